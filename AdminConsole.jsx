@@ -0,0 +1,195 @@
+import React, { useEffect, useState } from 'react';
+import { Eye, KeyRound, LogOut, Shield } from 'lucide-react';
+import AnalystConsole from './AnalystConsole.jsx';
+import PolicyEditor from './PolicyEditor.jsx';
+import { STAFF_ROLES } from './staffAuth.js';
+import { createStaffClient, fetchCurrentPolicy } from './staffClient.js';
+import { enrolStaffPasskey, signInStaff } from './webauthnClient.js';
+
+// Staff-only console, mounted on a page of its own (e.g. /admin) and never
+// inside the subscriber dashboard. Staff sign in with their passkey against
+// the relying-party server (rpServer.js with STAFF_FILE); the first time they
+// enrol one with the code they were given. What they see depends on the roles
+// in their session: analysts get the analyst console, policy admins the
+// detection policy editor. Subscribers and policy versions live on that
+// server too, which checks the session token on every call; the roles here
+// only decide what is shown.
+
+const cardStyle = {
+  marginTop: '20px',
+  background: 'linear-gradient(135deg, rgba(30, 41, 59, 0.6) 0%, rgba(15, 23, 42, 0.6) 100%)',
+  backdropFilter: 'blur(10px)',
+  border: '2px solid #334155',
+  borderRadius: '12px',
+  padding: '24px',
+  boxShadow: '0 4px 16px rgba(0, 0, 0, 0.2)'
+};
+
+const buttonStyle = (enabled = true, color = '#6366f1') => ({
+  padding: '8px 14px',
+  background: enabled ? color : '#334155',
+  color: enabled ? '#fff' : '#64748b',
+  border: 'none',
+  borderRadius: '6px',
+  fontSize: '12px',
+  fontWeight: 600,
+  cursor: enabled ? 'pointer' : 'not-allowed',
+  fontFamily: 'inherit'
+});
+
+const fieldStyle = {
+  padding: '8px 10px',
+  background: '#0f172a',
+  color: '#cbd5e1',
+  border: '1px solid #334155',
+  borderRadius: '4px',
+  fontSize: '12px',
+  fontFamily: 'inherit'
+};
+
+const CardHeading = ({ icon: Icon, title, detail }) => (
+  <div style={{ display: 'flex', alignItems: 'center', gap: '12px', marginBottom: '20px' }}>
+    <Icon size={24} color="#6366f1" />
+    <h3 style={{ margin: 0, fontSize: '16px', fontWeight: 600, letterSpacing: '0.5px' }}>{title}</h3>
+    {detail && <span style={{ color: '#64748b', fontSize: '12px' }}>{detail}</span>}
+  </div>
+);
+
+const SignIn = ({ onSignedIn }) => {
+  const [staffId, setStaffId] = useState('');
+  const [enrolmentCode, setEnrolmentCode] = useState('');
+  const [enrolling, setEnrolling] = useState(false);
+  const [busy, setBusy] = useState(false);
+  const [message, setMessage] = useState(null);
+
+  const signIn = async () => {
+    setBusy(true);
+    const result = await signInStaff({ staffId: staffId.trim() });
+    setBusy(false);
+    if (result.verified) {
+      onSignedIn({ session: result.session, client: createStaffClient({ token: result.token }) });
+    } else {
+      setMessage({ error: true, text: result.reason });
+    }
+  };
+
+  const enrol = async () => {
+    setBusy(true);
+    const result = await enrolStaffPasskey({ staffId: staffId.trim(), enrolmentCode: enrolmentCode.trim() });
+    setBusy(false);
+    if (result.verified) {
+      setEnrolling(false);
+      setEnrolmentCode('');
+      setMessage({ error: false, text: 'Passkey enrolled - sign in with it now' });
+    } else {
+      setMessage({ error: true, text: result.reason });
+    }
+  };
+
+  const canSubmit = !busy && !!staffId.trim() && (!enrolling || !!enrolmentCode.trim());
+
+  return (
+    <div style={cardStyle}>
+      <CardHeading icon={KeyRound} title="STAFF SIGN-IN" />
+      <div style={{ display: 'flex', gap: '8px', flexWrap: 'wrap' }}>
+        <input value={staffId} onChange={(e) => setStaffId(e.target.value)} placeholder="Staff ID" style={{ ...fieldStyle, width: '180px' }} />
+        {enrolling && (
+          <input value={enrolmentCode} onChange={(e) => setEnrolmentCode(e.target.value)} placeholder="Enrolment code" style={{ ...fieldStyle, width: '180px' }} />
+        )}
+        <button onClick={enrolling ? enrol : signIn} disabled={!canSubmit} style={buttonStyle(canSubmit)}>
+          {enrolling ? 'ENROL PASSKEY' : 'SIGN IN WITH PASSKEY'}
+        </button>
+        <button onClick={() => { setEnrolling(!enrolling); setMessage(null); }} style={buttonStyle(true, '#475569')}>
+          {enrolling ? 'Back to sign-in' : 'First time? Enrol'}
+        </button>
+      </div>
+      {message && <p style={{ margin: '10px 0 0 0', fontSize: '12px', color: message.error ? '#ff3366' : '#00ff88' }}>{message.text}</p>}
+    </div>
+  );
+};
+
+const AdminConsole = () => {
+  // { session, client } while signed in
+  const [staff, setStaff] = useState(null);
+  const session = staff && staff.session;
+  // Published policy version in force; null while the built-in default applies
+  const [activePolicy, setActivePolicy] = useState(null);
+
+  // Back to sign-in when the session runs out
+  useEffect(() => {
+    if (!session) return undefined;
+    const timer = setTimeout(() => setStaff(null), session.expiresAt - Date.now());
+    return () => clearTimeout(timer);
+  }, [session]);
+
+  // Keep up with versions published from other consoles
+  useEffect(() => {
+    const refresh = () => fetchCurrentPolicy()
+      .then(entry => setActivePolicy(previous => previous && entry && previous.version === entry.version ? previous : entry))
+      .catch(error => console.error('Error loading detection policy:', error));
+    refresh();
+    const interval = setInterval(refresh, 15000);
+    return () => clearInterval(interval);
+  }, []);
+
+  const signedIn = !!session;
+  const hasRole = (role) => signedIn && session.roles.includes(role);
+
+  return (
+    <div style={{
+      minHeight: '100vh',
+      background: 'linear-gradient(135deg, #0a0e27 0%, #1a1f3a 50%, #0f1629 100%)',
+      color: '#e0e7ff',
+      fontFamily: '"JetBrains Mono", "Courier New", monospace',
+      padding: '20px'
+    }}>
+      <div style={{ display: 'flex', alignItems: 'center', justifyContent: 'space-between', gap: '15px', flexWrap: 'wrap' }}>
+        <div style={{ display: 'flex', alignItems: 'center', gap: '15px' }}>
+          <Shield size={40} color="#6366f1" />
+          <div>
+            <h1 style={{ margin: 0, fontSize: '32px', fontWeight: 700, color: '#6366f1', letterSpacing: '-1px' }}>CyberSentrix</h1>
+            <p style={{ margin: '5px 0 0 0', fontSize: '13px', color: '#94a3b8', letterSpacing: '0.5px' }}>STAFF CONSOLE</p>
+          </div>
+        </div>
+        {signedIn && (
+          <div style={{ display: 'flex', alignItems: 'center', gap: '12px', fontSize: '12px' }}>
+            <span style={{ color: '#cbd5e1' }}>
+              {session.name}
+              <span style={{ color: '#64748b' }}> · {session.roles.map(role => STAFF_ROLES[role] || role).join(', ')}</span>
+            </span>
+            <button onClick={() => setStaff(null)} style={{ ...buttonStyle(true, '#475569'), display: 'flex', alignItems: 'center', gap: '6px' }}>
+              <LogOut size={14} /> SIGN OUT
+            </button>
+          </div>
+        )}
+      </div>
+
+      {!signedIn && <SignIn onSignedIn={setStaff} />}
+
+      {signedIn && !hasRole('analyst') && !hasRole('policyAdmin') && (
+        <div style={{ ...cardStyle, color: '#94a3b8', fontSize: '12px' }}>Your staff roles give you nothing to do here yet.</div>
+      )}
+
+      {hasRole('analyst') && (
+        <div style={cardStyle}>
+          <CardHeading icon={Eye} title="ANALYST CONSOLE" />
+          <AnalystConsole subscribers={staff.client.subscribers} session={session} />
+        </div>
+      )}
+
+      {hasRole('policyAdmin') && (
+        <div style={cardStyle}>
+          <CardHeading icon={Shield} title="DETECTION POLICY" detail={activePolicy ? `v${activePolicy.version}` : 'default'} />
+          <PolicyEditor
+            policies={staff.client.policies}
+            activeVersion={activePolicy}
+            onPublished={setActivePolicy}
+            loadEvents={staff.client.policies.events}
+          />
+        </div>
+      )}
+    </div>
+  );
+};
+
+export default AdminConsole;
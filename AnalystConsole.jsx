@@ -0,0 +1,150 @@
+import React, { useEffect, useState } from 'react';
+import SubscriberDetail from './SubscriberDetail.jsx';
+import { SIGNAL_LABELS } from './scoring.js';
+
+// Fraud analyst console: every monitored subscriber, highest risk first, with
+// their level, locked services and latest event. Open one to see their panels
+// and act on their behalf as the analyst signed in to the staff console.
+// Subscribers are monitored by the server; the list refreshes every few
+// seconds.
+
+const buttonStyle = (enabled = true, color = '#6366f1') => ({
+  padding: '6px 12px',
+  background: enabled ? color : '#334155',
+  color: enabled ? '#fff' : '#64748b',
+  border: 'none',
+  borderRadius: '6px',
+  fontSize: '11px',
+  fontWeight: 600,
+  cursor: enabled ? 'pointer' : 'not-allowed',
+  fontFamily: 'inherit'
+});
+
+const fieldStyle = {
+  padding: '6px 8px',
+  background: '#0f172a',
+  color: '#cbd5e1',
+  border: '1px solid #334155',
+  borderRadius: '4px',
+  fontSize: '11px',
+  fontFamily: 'inherit'
+};
+
+const emptyForm = { name: '', email: '', phone: '' };
+
+// subscribers: the staff client's subscriber calls (see staffClient.js).
+// session: the signed-in analyst's staff session.
+const AnalystConsole = ({ subscribers, session }) => {
+  const [rows, setRows] = useState([]);
+  const [selectedId, setSelectedId] = useState(null);
+  const [form, setForm] = useState(emptyForm);
+  const [error, setError] = useState(null);
+
+  const refresh = () => subscribers.list()
+    .then(setRows)
+    .catch(listError => setError(listError.message));
+
+  useEffect(() => {
+    refresh();
+    const interval = setInterval(refresh, 5000);
+    return () => clearInterval(interval);
+  }, [subscribers]);
+
+  const addSubscriber = async () => {
+    try {
+      await subscribers.add(form);
+      setForm(emptyForm);
+      setError(null);
+      await refresh();
+    } catch (addError) {
+      setError(addError.message);
+    }
+  };
+
+  const removeSubscriber = async (id) => {
+    try {
+      if (selectedId === id) setSelectedId(null);
+      await subscribers.remove(id);
+      await refresh();
+    } catch (removeError) {
+      setError(removeError.message);
+    }
+  };
+
+  return (
+    <div style={{ fontSize: '12px' }}>
+      <div style={{ display: 'flex', gap: '8px', alignItems: 'center', marginBottom: '14px', flexWrap: 'wrap' }}>
+        <span style={{ flex: 1 }} />
+        <input value={form.name} onChange={(e) => setForm({ ...form, name: e.target.value })} placeholder="Name" style={{ ...fieldStyle, width: '120px' }} />
+        <input value={form.email} onChange={(e) => setForm({ ...form, email: e.target.value })} placeholder="Email" style={{ ...fieldStyle, width: '160px' }} />
+        <input value={form.phone} onChange={(e) => setForm({ ...form, phone: e.target.value })} placeholder="Phone" style={{ ...fieldStyle, width: '110px' }} />
+        <button onClick={addSubscriber} disabled={!form.name.trim()} style={buttonStyle(!!form.name.trim())}>+ ADD SUBSCRIBER</button>
+      </div>
+      {error && <p style={{ margin: '0 0 10px 0', color: '#ff3366' }}>{error}</p>}
+
+      {rows.length === 0 ? (
+        <div style={{ color: '#64748b' }}>No subscribers monitored yet</div>
+      ) : (
+        <table style={{ width: '100%', borderCollapse: 'collapse' }}>
+          <thead>
+            <tr style={{ color: '#64748b', textAlign: 'left' }}>
+              <th style={{ fontWeight: 400, paddingBottom: '6px' }}>Risk</th>
+              <th style={{ fontWeight: 400 }}>Subscriber</th>
+              <th style={{ fontWeight: 400 }}>Locked</th>
+              <th style={{ fontWeight: 400 }}>Latest event</th>
+              <th />
+            </tr>
+          </thead>
+          <tbody>
+            {rows.map(({ subscriber, state }) => {
+              const lockedCount = state.services.filter(service => service.action === 'lock').length;
+              const latest = state.events[0];
+              return (
+                <tr
+                  key={subscriber.id}
+                  style={{
+                    borderTop: '1px solid #334155',
+                    background: subscriber.id === selectedId ? 'rgba(99, 102, 241, 0.1)' : 'transparent'
+                  }}
+                >
+                  <td style={{ padding: '8px 0', color: state.level.color, fontWeight: 700, whiteSpace: 'nowrap' }}>
+                    {state.score} {state.level.level}
+                  </td>
+                  <td style={{ color: '#cbd5e1' }}>
+                    {subscriber.name}
+                    <div style={{ color: '#64748b', fontSize: '11px' }}>{subscriber.email || subscriber.phone}</div>
+                  </td>
+                  <td style={{ color: lockedCount > 0 ? '#ff3366' : '#64748b' }}>
+                    {lockedCount > 0 ? `${lockedCount} / ${state.services.length}` : 'none'}
+                  </td>
+                  <td style={{ color: '#94a3b8' }}>
+                    {latest ? `${SIGNAL_LABELS[latest.type] || latest.type} · ${new Date(latest.detectedAt).toLocaleTimeString()}` : '–'}
+                  </td>
+                  <td style={{ textAlign: 'right', whiteSpace: 'nowrap' }}>
+                    <button onClick={() => setSelectedId(subscriber.id === selectedId ? null : subscriber.id)} style={buttonStyle()}>
+                      {subscriber.id === selectedId ? 'CLOSE' : 'OPEN'}
+                    </button>
+                    <button onClick={() => removeSubscriber(subscriber.id)} style={{ ...buttonStyle(true, '#475569'), marginLeft: '6px' }}>✕</button>
+                  </td>
+                </tr>
+              );
+            })}
+          </tbody>
+        </table>
+      )}
+
+      {selectedId && rows.some(row => row.subscriber.id === selectedId) && (
+        <SubscriberDetail
+          key={selectedId}
+          subscribers={subscribers}
+          subscriberId={selectedId}
+          session={session}
+          onChanged={refresh}
+          onClose={() => setSelectedId(null)}
+        />
+      )}
+    </div>
+  );
+};
+
+export default AnalystConsole;
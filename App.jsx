@@ -1,137 +1,222 @@
-import React, { useState, useEffect } from 'react';
-import { Shield, AlertTriangle, Check, Lock, Smartphone, MapPin, Activity, Clock, Eye, EyeOff, Fingerprint, Bell, ChevronRight, Zap, X } from 'lucide-react';
+import React, { useState, useEffect, useRef } from 'react';
+import { Shield, AlertTriangle, Check, Lock, Smartphone, MapPin, Activity, Clock, EyeOff, Fingerprint, Bell, ChevronRight, Zap, X } from 'lucide-react';
+import { defaultCollectors, generateDeviceFingerprint, getDeviceInfo } from './fingerprint.js';
+import { createRiskEngine } from './riskEngine.js';
+import { createEventStore } from './eventStore.js';
+import { filterEvents, flattenEvidence, groupEvents } from './eventQuery.js';
+import { createScoreTimeline } from './scoreTimeline.js';
+import { buildIncident, INCIDENT_FORMATS } from './incidentExport.js';
+import ScoreTimelineChart from './ScoreTimelineChart.jsx';
+import PlaybookPanel from './PlaybookPanel.jsx';
+import { SIGNAL_LABELS } from './scoring.js';
+import { simulateSIMSwap, simulateNewDevice, simulateLocationChange, simulateOTPBurst } from './simulations.js';
+import { toLocalTime } from './contextDetectors.js';
+import { loadActivityProfile, recordActivity, saveActivityProfile } from './activityProfile.js';
+import { gatherIceCandidates } from './webrtc.js';
+import { createDeviceRegistry, ENROLMENT_METHODS } from './deviceRegistry.js';
+import { matchFingerprint } from './fingerprintMatch.js';
+import { createLocationHistory } from './locationHistory.js';
+import { createZoneStore, locateInZones } from './trustedZones.js';
+import { createDefaultGeocoder, formatCoordinates } from './geocoder.js';
+import { createOtpMonitor } from './otpMonitor.js';
+import { createDetectionPipeline } from './detectionPipeline.js';
+import { createSessionRecorder } from './sessionRecorder.js';
+import { policyToEngineConfig } from './policy.js';
+import { fetchCurrentPolicy } from './staffClient.js';
+import SessionReplayPanel from './SessionReplayPanel.jsx';
+import { authenticate, registerCredential } from './webauthnClient.js';
+import { createRecoveryWorkflow, planRecovery } from './recoveryWorkflow.js';
+import { createTotpFactor } from './totp.js';
+import { createBackupCodes } from './backupCodes.js';
+import { createAttemptLimiter } from './attemptLimiter.js';
+import { SERVICE_ACTIONS } from './serviceRegistry.js';
+import { connectEngineWebhooks, createWebhookDispatcher, createWebhookEndpoints, WEBHOOK_EVENTS } from './webhooks.js';
+import { ALERT_SEVERITIES, createAlertQueue } from './alertQueue.js';
+import { bufferToHex, randomBytes } from './encoding.js';
+import { DEFAULT_NOTIFICATION_PREFERENCES, NOTIFICATION_SEVERITIES, notificationForWebhook, wantsNotification } from './notifications.js';
+import {
+  getNotificationPermission,
+  isPushSupported,
+  onNotificationOpen,
+  requestNotificationPermission,
+  sendTestPush,
+  showLocalNotification,
+  subscribeToPush,
+  unsubscribeFromPush,
+  updatePushPreferences
+} from './pushClient.js';
 
-// Real device fingerprinting utility
-const generateDeviceFingerprint = async () => {
-  const components = [];
-  
-  // Screen resolution
-  components.push(`${window.screen.width}x${window.screen.height}`);
-  
-  // Color depth
-  components.push(window.screen.colorDepth);
-  
-  // Timezone
-  components.push(Intl.DateTimeFormat().resolvedOptions().timeZone);
-  
-  // Language
-  components.push(navigator.language);
-  
-  // Platform
-  components.push(navigator.platform);
-  
-  // User agent
-  components.push(navigator.userAgent);
-  
-  // Hardware concurrency
-  components.push(navigator.hardwareConcurrency);
-  
-  // Device memory (if available)
-  if (navigator.deviceMemory) {
-    components.push(navigator.deviceMemory);
+const severityColors = {
+  critical: '#ff3366',
+  high: '#ff9933',
+  medium: '#ffcc00'
+};
+
+const DISABLED_COLLECTORS_KEY = 'cybersentrix.disabledCollectors';
+
+// Apply the saved collector switches before the first fingerprint is taken
+const loadDisabledCollectors = () => {
+  try {
+    const disabled = JSON.parse(localStorage.getItem(DISABLED_COLLECTORS_KEY)) || [];
+    disabled.forEach(name => defaultCollectors.setEnabled(name, false));
+  } catch (error) {
+    console.error('Error loading collector settings:', error);
   }
-  
-  // Canvas fingerprinting
-  const canvas = document.createElement('canvas');
-  const ctx = canvas.getContext('2d');
-  ctx.textBaseline = 'top';
-  ctx.font = '14px Arial';
-  ctx.fillStyle = '#f60';
-  ctx.fillRect(125, 1, 62, 20);
-  ctx.fillStyle = '#069';
-  ctx.fillText('CyberSentrix', 2, 15);
-  components.push(canvas.toDataURL());
-  
-  // WebGL fingerprinting
-  const gl = canvas.getContext('webgl');
-  if (gl) {
-    const debugInfo = gl.getExtension('WEBGL_debug_renderer_info');
-    if (debugInfo) {
-      components.push(gl.getParameter(debugInfo.UNMASKED_VENDOR_WEBGL));
-      components.push(gl.getParameter(debugInfo.UNMASKED_RENDERER_WEBGL));
-    }
+  return defaultCollectors.list();
+};
+
+// STUN server the VPN check asks for this browser's public address. Empty by
+// default: the server sees that address, so nothing is sent until the user
+// names one, and only local interfaces are checked.
+const STUN_SERVER_KEY = 'cybersentrix.stunServer';
+
+const loadStunServer = () => localStorage.getItem(STUN_SERVER_KEY) || '';
+
+// Stable account handle for the relying party; the WebAuthn user ID is derived
+// from it. It also names the account in exports, escalations and enrolment.
+const USER_ID_KEY = 'cybersentrix.userId';
+
+const loadUserId = () => {
+  let userId = localStorage.getItem(USER_ID_KEY);
+  if (!userId) {
+    userId = crypto.randomUUID();
+    localStorage.setItem(USER_ID_KEY, userId);
+  }
+  return userId;
+};
+
+// Severity preferences and this browser's push subscription
+// ({ id, webhookSecret, webhookUrl, endpointId } once enabled)
+const PUSH_SETTINGS_KEY = 'cybersentrix.push';
+// Webhook events the push sender turns into notifications
+const PUSH_WEBHOOK_EVENTS = ['event.detected', 'service.locked', 'recovery.completed'];
+
+const loadPushSettings = () => {
+  try {
+    const saved = JSON.parse(localStorage.getItem(PUSH_SETTINGS_KEY)) || {};
+    return {
+      preferences: { ...DEFAULT_NOTIFICATION_PREFERENCES, ...saved.preferences },
+      subscription: saved.subscription || null
+    };
+  } catch (error) {
+    console.error('Error loading notification settings:', error);
+    return { preferences: DEFAULT_NOTIFICATION_PREFERENCES, subscription: null };
   }
-  
-  // Generate hash
-  const fingerprint = await hashString(components.join('|||'));
-  return fingerprint;
 };
 
-// Simple hash function
-const hashString = async (str) => {
-  const encoder = new TextEncoder();
-  const data = encoder.encode(str);
-  const hashBuffer = await crypto.subtle.digest('SHA-256', data);
-  const hashArray = Array.from(new Uint8Array(hashBuffer));
-  const hashHex = hashArray.map(b => b.toString(16).padStart(2, '0')).join('');
-  return hashHex.substring(0, 12).toUpperCase();
+// Who hears about critical alerts nobody acknowledged, and after how long
+const ESCALATION_KEY = 'cybersentrix.escalation';
+
+const ESCALATION_DELAYS = {
+  60000: '1 min',
+  300000: '5 min',
+  900000: '15 min'
 };
 
-// Get device information
-const getDeviceInfo = () => {
-  const ua = navigator.userAgent;
-  let deviceName = 'Unknown Device';
-  
-  if (/iPhone/.test(ua)) {
-    const match = ua.match(/iPhone OS (\d+)_/);
-    deviceName = match ? `iPhone (iOS ${match[1]})` : 'iPhone';
-  } else if (/iPad/.test(ua)) {
-    deviceName = 'iPad';
-  } else if (/Android/.test(ua)) {
-    const match = ua.match(/Android (\d+)/);
-    deviceName = match ? `Android ${match[1]}` : 'Android Device';
-  } else if (/Windows/.test(ua)) {
-    deviceName = 'Windows PC';
-  } else if (/Mac/.test(ua)) {
-    deviceName = 'MacBook';
-  } else if (/Linux/.test(ua)) {
-    deviceName = 'Linux PC';
+const loadEscalation = () => {
+  try {
+    return { contact: '', afterMs: 300000, ...JSON.parse(localStorage.getItem(ESCALATION_KEY)) };
+  } catch (error) {
+    console.error('Error loading escalation settings:', error);
+    return { contact: '', afterMs: 300000 };
   }
-  
-  return {
-    name: deviceName,
-    platform: navigator.platform,
-    userAgent: navigator.userAgent,
-    cores: navigator.hardwareConcurrency || 'Unknown',
-    memory: navigator.deviceMemory ? `${navigator.deviceMemory} GB` : 'Unknown',
-    screen: `${window.screen.width}x${window.screen.height}`,
-    colorDepth: `${window.screen.colorDepth}-bit`
-  };
 };
 
-// Risk scoring engine
-const calculateRiskScore = (events) => {
-  let score = 0;
-  const weights = {
-    simSwap: 45,
-    deviceMismatch: 25,
-    locationAnomaly: 20,
-    otpBurst: 15,
-    unusualTime: 10,
-    vpnDetected: 15,
-    timezoneMismatch: 12
-  };
+const alertColors = {
+  critical: '#ff3366',
+  high: '#ff9933',
+  medium: '#ffcc00',
+  info: '#6366f1'
+};
 
-  events.forEach(event => {
-    score += weights[event.type] || 0;
-  });
+const ALERT_SNOOZE_MS = 5 * 60 * 1000;
+
+// After a completed recovery the user may enrol this device without proving an
+// existing credential, for this long
+const RECOVERY_ENROL_WINDOW_MS = 10 * 60 * 1000;
+
+const stepStatusColors = {
+  pending: '#64748b',
+  active: '#6366f1',
+  verifying: '#ffcc00',
+  passed: '#00ff88',
+  failed: '#ff3366'
+};
+
+// "1:05" for a countdown
+const formatRemaining = (ms) => {
+  const seconds = Math.max(0, Math.ceil(ms / 1000));
+  return `${Math.floor(seconds / 60)}:${String(seconds % 60).padStart(2, '0')}`;
+};
+
+const serviceActionColors = {
+  allow: '#00ff88',
+  stepUp: '#ffcc00',
+  readOnly: '#ff9933',
+  lock: '#ff3366'
+};
+
+const outboxStatusColors = {
+  pending: '#ffcc00',
+  delivered: '#00ff88',
+  dead: '#ff3366'
+};
+
+// Event log time filter presets
+const LOG_RANGES = {
+  all: { label: 'All time', ms: null },
+  '15m': { label: 'Last 15 min', ms: 15 * 60 * 1000 },
+  '1h': { label: 'Last hour', ms: 60 * 60 * 1000 },
+  '24h': { label: 'Last 24 hours', ms: 24 * 60 * 60 * 1000 }
+};
+
+const logControlStyle = {
+  padding: '6px 8px',
+  background: '#0f172a',
+  color: '#cbd5e1',
+  border: '1px solid #334155',
+  borderRadius: '4px',
+  fontSize: '11px',
+  fontFamily: 'inherit'
+};
 
-  return Math.min(score, 100);
+const FACTOR_LABELS = {
+  webauthn: 'Passkey',
+  totp: 'Authenticator app',
+  backupCode: 'Backup code'
 };
 
-const getRiskLevel = (score) => {
-  if (score >= 70) return { level: 'CRITICAL', color: '#ff3366', bg: 'rgba(255, 51, 102, 0.1)' };
-  if (score >= 40) return { level: 'HIGH', color: '#ff9933', bg: 'rgba(255, 153, 51, 0.1)' };
-  if (score >= 20) return { level: 'MEDIUM', color: '#ffcc00', bg: 'rgba(255, 204, 0, 0.1)' };
-  return { level: 'LOW', color: '#00ff88', bg: 'rgba(0, 255, 136, 0.1)' };
+const registryButtonStyle = {
+  padding: '3px 8px',
+  background: 'transparent',
+  color: '#94a3b8',
+  border: '1px solid #33415580',
+  borderRadius: '4px',
+  fontSize: '10px',
+  cursor: 'pointer',
+  fontFamily: 'inherit'
 };
 
+// Recovery factor buttons are frozen while services are locked
+const factorButtonStyle = (enabled) => ({
+  ...registryButtonStyle,
+  opacity: enabled ? 1 : 0.4,
+  cursor: enabled ? 'pointer' : 'not-allowed'
+});
+
 const CyberSentrix = () => {
-  const [riskScore, setRiskScore] = useState(5);
-  const [events, setEvents] = useState([]);
-  const [servicesLocked, setServicesLocked] = useState(false);
-  const [showAlert, setShowAlert] = useState(false);
-  const [alertMessage, setAlertMessage] = useState('');
+  // Detection runs in the headless risk engine; the component only renders it
+  const [eventStore] = useState(() => createEventStore());
+  const [engine] = useState(() => createRiskEngine({ store: eventStore }));
+  const [scoreTimeline] = useState(() => createScoreTimeline(engine));
+  const [timeline, setTimeline] = useState(() => ({ points: scoreTimeline.getPoints(), markers: scoreTimeline.getMarkers() }));
+  const [logIntegrity, setLogIntegrity] = useState(null);
+  const [archivedCount, setArchivedCount] = useState(0);
+  const [logFilters, setLogFilters] = useState({ text: '', type: '', severity: '', range: 'all' });
+  const [groupRepeats, setGroupRepeats] = useState(true);
+  // { event, group } shown in the event detail view
+  const [selectedEvent, setSelectedEvent] = useState(null);
+  const [engineState, setEngineState] = useState(() => engine.getState());
   
   // Real device data
   const [deviceInfo, setDeviceInfo] = useState({
@@ -158,16 +243,343 @@ const CyberSentrix = () => {
   });
   
   const [locationPermission, setLocationPermission] = useState('prompt');
+  const [otpMonitor] = useState(() => createOtpMonitor({ engine }));
+  // Every input reaches the engine through the pipeline, which records the
+  // session from page load for later replay
+  const [sessionRecorder] = useState(() => {
+    const recorder = createSessionRecorder();
+    recorder.start({ engine: engine.getConfig(), otpThresholds: otpMonitor.thresholds });
+    return recorder;
+  });
+  const [pipeline] = useState(() => createDetectionPipeline({ engine, otpMonitor, recorder: sessionRecorder }));
   const [otpActivity, setOtpActivity] = useState([]);
+  const [otpRate, setOtpRate] = useState(() => otpMonitor.getRate());
   const [showRecovery, setShowRecovery] = useState(false);
-  const [biometricVerifying, setBiometricVerifying] = useState(false);
-  const [recoveryStep, setRecoveryStep] = useState(0);
+  const [recoveryState, setRecoveryState] = useState(null);
+  // null while the workflow runs, then 'restoring' and 'complete'
+  const [recoveryPhase, setRecoveryPhase] = useState(null);
+  const [clock, setClock] = useState(() => Date.now());
   const [biometricAvailable, setBiometricAvailable] = useState(false);
-  const [trustedFingerprint, setTrustedFingerprint] = useState(null);
-  const [initialLocationSet, setInitialLocationSet] = useState(false);
-  const [trustedLocation, setTrustedLocation] = useState(null);
+  const [userId] = useState(loadUserId);
+  const [totpFactor] = useState(() => createTotpFactor());
+  const [backupCodes] = useState(() => createBackupCodes());
+  const [attemptLimiter] = useState(() => createAttemptLimiter());
+  const [totpEnrolled, setTotpEnrolled] = useState(false);
+  const [backupCodesRemaining, setBackupCodesRemaining] = useState(0);
+  // Pending authenticator enrolment { secret, uri } and freshly generated codes, shown once
+  const [totpSetup, setTotpSetup] = useState(null);
+  const [newBackupCodes, setNewBackupCodes] = useState(null);
+  const [factorInputs, setFactorInputs] = useState({});
+  const [webhookEndpoints] = useState(() => createWebhookEndpoints());
+  const [webhooks] = useState(() => createWebhookDispatcher({ endpoints: webhookEndpoints }));
+  const [integrations, setIntegrations] = useState([]);
+  const [outbox, setOutbox] = useState([]);
+  const [pushSettings, setPushSettings] = useState(loadPushSettings);
+  const [escalation, setEscalation] = useState(loadEscalation);
+  // Unacknowledged critical alerts go to the secondary contact through the
+  // webhook outbox; a downstream paging or SMS service does the contacting
+  const [alertQueue] = useState(() => createAlertQueue({
+    escalation: { contact: escalation.contact || null, afterMs: escalation.afterMs },
+    onEscalate: (alert, contact) => webhooks.enqueue('alert.escalated', {
+      contact,
+      subject: userId,
+      alert: { id: alert.id, severity: alert.severity, message: alert.message, eventId: alert.eventId, createdAt: new Date(alert.createdAt).toISOString() }
+    })
+  }));
+  const [alerts, setAlerts] = useState([]);
+  const [notificationPermission, setNotificationPermission] = useState(getNotificationPermission);
+  // null, 'enabling', or an error message
+  const [pushStatus, setPushStatus] = useState(null);
+  const [deviceRegistry] = useState(() => createDeviceRegistry());
+  const [enrolledDevices, setEnrolledDevices] = useState([]);
+  const [currentFingerprint, setCurrentFingerprint] = useState(null);
+  const [currentComponents, setCurrentComponents] = useState(null);
+  const [fingerprintMatch, setFingerprintMatch] = useState(null);
+  const [collectors, setCollectors] = useState(loadDisabledCollectors);
+  const [stunServer, setStunServer] = useState(loadStunServer);
+  const [collectorTimings, setCollectorTimings] = useState({});
+  const [locationHistory] = useState(() => createLocationHistory());
+  const [zoneStore] = useState(() => createZoneStore());
+  const [geocoder] = useState(() => createDefaultGeocoder());
+  const [zones, setZones] = useState([]);
+  const [zoneStatus, setZoneStatus] = useState(null);
+
+  const { score: riskScore, level: riskLevel, explanation, events, services, locked: servicesLocked } = engineState;
+  const filteredEvents = filterEvents(events, {
+    types: logFilters.type ? [logFilters.type] : [],
+    severities: logFilters.severity ? [logFilters.severity] : [],
+    from: LOG_RANGES[logFilters.range].ms ? Date.now() - LOG_RANGES[logFilters.range].ms : undefined,
+    text: logFilters.text
+  });
+  const logGroups = groupRepeats
+    ? groupEvents(filteredEvents)
+    : filteredEvents.map(event => ({ key: event.id, count: 1, points: event.points || 0, events: [event] }));
+  const updateLogFilter = (name, value) => setLogFilters(prev => ({ ...prev, [name]: value }));
+  // Simulations stay available while any service can still be attacked
+  const allServicesLocked = services.every(service => service.action === 'lock');
+  const recoveryRef = useRef(null);
+  // When the last recovery completed, for enrolment without an existing credential
+  const recoveredAtRef = useRef(0);
+  const currentRecoveryStep = recoveryState && recoveryState.steps[recoveryState.current];
+  const recoveryVerifying = !!currentRecoveryStep && currentRecoveryStep.status === 'verifying';
+
+  // Mirror engine state and surface its alerts
+  useEffect(() => {
+    return engine.subscribe((state, change) => {
+      setEngineState(state);
+
+      if (change.type === 'event') {
+        const { event } = change;
+        if (event.type === 'simSwap') {
+          setDeviceInfo(prev => ({
+            ...prev,
+            name: event.evidence.deviceName,
+            fingerprint: event.evidence.fingerprint,
+            trusted: false
+          }));
+        }
+        if (event.type === 'locationAnomaly') {
+          setLocation(prev => ({
+            ...prev,
+            ...event.evidence.location,
+            trusted: false
+          }));
+        }
+        if (event.alert) {
+          triggerAlert(event.alert, event.severity, { source: event.type, eventId: event.id });
+        }
+        // A fresh critical signal means the attacker may still be active
+        if (event.severity === 'critical' && recoveryRef.current) {
+          recoveryRef.current.abort(`Recovery aborted: ${event.description}`);
+        }
+      }
+
+      if (change.type === 'serviceLock') {
+        const names = change.services.map(service => service.name).join(', ');
+        triggerAlert(
+          `🔒 SECURITY LOCKDOWN: ${names} automatically disabled due to fraud risk (${change.services[0].reason}).`,
+          'critical',
+          { source: 'lockdown', eventId: state.events.length > 0 ? state.events[0].id : null }
+        );
+      }
+
+      if (change.type === 'storeError') {
+        triggerAlert(
+          change.what === 'archive'
+            ? `⚠️ EVENT LOG NOT ARCHIVED: ${change.error.message}. Events from before the recovery may come back on reload.`
+            : `⚠️ EVENT NOT SAVED: ${change.error.message}. It will be missing from the stored log after a reload.`,
+          'high',
+          { source: 'storage' }
+        );
+      }
+    });
+  }, [engine]);
+
+  useEffect(() => scoreTimeline.subscribe(setTimeline), [scoreTimeline]);
+
+  // Show an event in the detail view, e.g. when a notification is tapped.
+  // It may have been archived by a recovery since the notification went out.
+  const openEventById = async (eventId) => {
+    if (!eventId) return;
+    let event = engine.getEvents().find(candidate => candidate.id === eventId);
+    if (!event) event = (await eventStore.listArchived()).find(candidate => candidate.id === eventId);
+    if (!event) return;
+    const group = groupEvents(engine.getEvents()).find(candidate => candidate.events.some(e => e.id === eventId))
+      || { count: 1, points: event.points || 0, events: [event] };
+    setSelectedEvent({ event, group });
+  };
+
+  // Pick up where the last session left off: the open epoch of the stored log.
+  // Opened from a notification, the URL names the event to show.
+  useEffect(() => {
+    eventStore.listCurrent().then(stored => {
+      if (stored.length > 0) pipeline.process('restore', { events: stored });
+      const eventId = new URLSearchParams(window.location.search).get('event');
+      if (eventId) openEventById(eventId);
+    });
+    eventStore.listArchived().then(archived => setArchivedCount(archived.length));
+  }, [pipeline, eventStore]);
+
+  // The latest published policy drives scoring, levels and service rules.
+  // Policies are published from the staff console to the server; check for a
+  // new version on load and every minute.
+  useEffect(() => {
+    let appliedVersion = null;
+    const refresh = () => fetchCurrentPolicy()
+      .then(entry => {
+        if (!entry || entry.version === appliedVersion) return;
+        appliedVersion = entry.version;
+        pipeline.process('policy', { config: policyToEngineConfig(entry.policy) });
+      })
+      .catch(error => console.error('Error loading detection policy:', error));
+    refresh();
+    const interval = setInterval(refresh, 60000);
+    return () => clearInterval(interval);
+  }, [pipeline]);
+
+  // Snapshot the current incident and download it in the chosen format
+  const exportIncident = async (format) => {
+    const incident = buildIncident({
+      subject: userId,
+      score: riskScore,
+      level: riskLevel,
+      services,
+      device: {
+        ...deviceInfo,
+        match: fingerprintMatch && {
+          outcome: fingerprintMatch.outcome,
+          similarity: fingerprintMatch.similarity,
+          device: fingerprintMatch.device ? fingerprintMatch.device.name : null
+        }
+      },
+      events,
+      locations: await locationHistory.list(),
+      otpActivity: otpMonitor.getRecent(100),
+      timeline
+    });
+
+    const { serialize, mimeType, extension } = INCIDENT_FORMATS[format];
+    const url = URL.createObjectURL(new Blob([serialize(incident)], { type: mimeType }));
+    const link = document.createElement('a');
+    link.href = url;
+    link.download = `cybersentrix-incident-${incident.generatedAt.replace(/[:.]/g, '-')}.${extension}`;
+    link.click();
+    URL.revokeObjectURL(url);
+  };
+
+  const verifyEventLog = async () => {
+    setLogIntegrity(await eventStore.verify());
+    setArchivedCount((await eventStore.listArchived()).length);
+  };
+
+  // Downstream systems enforce locks through webhooks; the outbox survives reloads
+  useEffect(() => {
+    const disconnect = connectEngineWebhooks(engine, webhooks);
+    const unsubscribe = webhooks.subscribe(setOutbox);
+    webhookEndpoints.list().then(setIntegrations);
+    webhooks.start().then(() => webhooks.list()).then(setOutbox);
+    return () => {
+      disconnect();
+      unsubscribe();
+      webhooks.stop();
+    };
+  }, [engine, webhooks, webhookEndpoints]);
+
+  const addIntegration = async () => {
+    const url = window.prompt('Webhook URL', 'http://localhost:8788/webhooks');
+    if (!url) return;
+    const secret = window.prompt('Signing secret (configure the receiver with the same value)', bufferToHex(randomBytes(24)));
+    if (!secret) return;
+    await webhookEndpoints.add({ url, secret });
+    setIntegrations(await webhookEndpoints.list());
+  };
+
+  const removeIntegration = async (endpoint) => {
+    if (!window.confirm(`Stop sending webhooks to ${endpoint.url}?`)) return;
+    if (pushSettings.subscription && pushSettings.subscription.endpointId === endpoint.id) {
+      await disablePush();
+      return;
+    }
+    await webhookEndpoints.remove(endpoint.id);
+    setIntegrations(await webhookEndpoints.list());
+  };
+
+  useEffect(() => {
+    localStorage.setItem(PUSH_SETTINGS_KEY, JSON.stringify(pushSettings));
+  }, [pushSettings]);
+
+  // Tapped notifications focus this tab and open the incident
+  useEffect(() => onNotificationOpen(openEventById), [engine, eventStore]);
+
+  // Subscribe this browser with the push sender and route alerts to it
+  // through the webhook outbox, so they are retried like any integration
+  const enablePush = async () => {
+    setPushStatus('enabling');
+    try {
+      const { id, webhookSecret, webhookUrl } = await subscribeToPush({ preferences: pushSettings.preferences });
+      const endpoint = await webhookEndpoints.add({ url: webhookUrl, secret: webhookSecret, events: PUSH_WEBHOOK_EVENTS });
+      setPushSettings(prev => ({ ...prev, subscription: { id, webhookSecret, webhookUrl, endpointId: endpoint.id } }));
+      setIntegrations(await webhookEndpoints.list());
+      setPushStatus(null);
+    } catch (error) {
+      setPushStatus(error.message);
+    }
+    setNotificationPermission(getNotificationPermission());
+  };
+
+  const disablePush = async () => {
+    const { subscription } = pushSettings;
+    if (!subscription) return;
+    await webhookEndpoints.remove(subscription.endpointId);
+    setIntegrations(await webhookEndpoints.list());
+    setPushSettings(prev => ({ ...prev, subscription: null }));
+    try {
+      await unsubscribeFromPush({ id: subscription.id });
+      setPushStatus(null);
+    } catch (error) {
+      setPushStatus(`Unsubscribed locally; push sender not reached: ${error.message}`);
+    }
+  };
+
+  const setNotificationSeverity = async (severity, enabled) => {
+    const preferences = { ...pushSettings.preferences, [severity]: enabled };
+    setPushSettings(prev => ({ ...prev, preferences }));
+    if (!pushSettings.subscription) return;
+    try {
+      await updatePushPreferences({ id: pushSettings.subscription.id, preferences });
+    } catch (error) {
+      setPushStatus(`Preferences not saved on the push sender: ${error.message}`);
+    }
+  };
+
+  const sendTestNotification = async () => {
+    try {
+      await sendTestPush({ id: pushSettings.subscription.id });
+      setPushStatus(null);
+    } catch (error) {
+      setPushStatus(error.message);
+    }
+  };
+
+  const allowLocalNotifications = async () => {
+    setNotificationPermission(await requestNotificationPermission());
+  };
+
+  // Without a push subscription, still notify while the tab is in the background
+  useEffect(() => engine.subscribe((state, change) => {
+    if (pushSettings.subscription || !document.hidden) return;
+    let notification = null;
+    if (change.type === 'event') {
+      notification = notificationForWebhook({ type: 'event.detected', data: { event: change.event, score: state.score } });
+    }
+    if (change.type === 'serviceLock') {
+      const triggeredBy = state.events.length > 0 ? state.events[0].id : null;
+      notification = notificationForWebhook({ type: 'service.locked', data: { ...change.services[0], triggeredBy } });
+    }
+    if (notification && wantsNotification(pushSettings.preferences, notification.severity)) {
+      showLocalNotification(notification).catch(error => console.error('Notification failed:', error));
+    }
+  }), [engine, pushSettings]);
 
-  const riskLevel = getRiskLevel(riskScore);
+  // Live OTP telemetry: recent requests and a rolling rate chart
+  useEffect(() => {
+    const refresh = () => {
+      setOtpActivity(otpMonitor.getRecent());
+      setOtpRate(otpMonitor.getRate());
+    };
+    const unsubscribe = otpMonitor.subscribe(refresh);
+    const interval = setInterval(refresh, 5000);
+    return () => {
+      unsubscribe();
+      clearInterval(interval);
+    };
+  }, [otpMonitor]);
+
+  // Let signal contributions decay while the dashboard is open
+  useEffect(() => {
+    const interval = setInterval(() => pipeline.process('tick'), 15000);
+    return () => clearInterval(interval);
+  }, [pipeline]);
 
   // Initialize real device fingerprint and check biometric availability
   useEffect(() => {
@@ -177,7 +589,28 @@ const CyberSentrix = () => {
         const realDeviceInfo = getDeviceInfo();
         
         // Generate device fingerprint
-        const fingerprint = await generateDeviceFingerprint();
+        const { id: fingerprint, components, timings } = await generateDeviceFingerprint();
+        setCurrentFingerprint(fingerprint);
+        setCurrentComponents(components);
+        setCollectorTimings(timings);
+
+        // Trusted if this fingerprint matches an enrolled device, exactly or
+        // as the same device after small drift (browser update, new monitor)
+        const devices = await deviceRegistry.list();
+        const match = pipeline.process('fingerprint', {
+          fingerprint,
+          components,
+          devices,
+          skip: defaultCollectors.disabledComponents()
+        });
+        if (match.outcome === 'match') {
+          await deviceRegistry.touch(match.device.id);
+        }
+        if (match.outcome === 'drifted') {
+          await deviceRegistry.updateFingerprint(match.device.id, { fingerprint, components, changed: match.changed });
+        }
+        setFingerprintMatch(match);
+        setEnrolledDevices(await deviceRegistry.list());
         
         setDeviceInfo(prev => ({
           ...prev,
@@ -188,12 +621,9 @@ const CyberSentrix = () => {
           memory: realDeviceInfo.memory,
           screen: realDeviceInfo.screen,
           colorDepth: realDeviceInfo.colorDepth,
-          trusted: true
+          trusted: match.outcome === 'match' || match.outcome === 'drifted'
         }));
         
-        // Store as trusted fingerprint
-        setTrustedFingerprint(fingerprint);
-        
         // Check if Web Authentication API is available (for biometrics)
         if (window.PublicKeyCredential) {
           const available = await PublicKeyCredential.isUserVerifyingPlatformAuthenticatorAvailable();
@@ -205,10 +635,264 @@ const CyberSentrix = () => {
     };
 
     initializeDevice();
-  }, []);
+  }, [engine, deviceRegistry]);
+
+  const changeStunServer = (value) => {
+    setStunServer(value);
+    localStorage.setItem(STUN_SERVER_KEY, value.trim());
+  };
+
+  // Collector switches are saved and take effect on the next fingerprint
+  const toggleCollector = (name, enabled) => {
+    defaultCollectors.setEnabled(name, enabled);
+    const updated = defaultCollectors.list();
+    localStorage.setItem(
+      DISABLED_COLLECTORS_KEY,
+      JSON.stringify(updated.filter(collector => !collector.enabled).map(collector => collector.name))
+    );
+    setCollectors(updated);
+  };
+
+  const refreshDevices = async () => {
+    setEnrolledDevices(await deviceRegistry.list());
+  };
+
+  // Trusting a new device needs proof the user already holds a credential: a
+  // passkey assertion, an authenticator or backup code, or a recovery just
+  // completed. Only the first device of an empty registry is trusted on first use.
+  const proveExistingCredential = async () => {
+    if (enrolledDevices.length === 0 || Date.now() - recoveredAtRef.current < RECOVERY_ENROL_WINDOW_MS) return true;
+    if (biometricAvailable) {
+      // The relying party also refuses a second passkey without this assertion
+      const assertion = await authenticate({ userId });
+      if (!assertion.verified) triggerAlert(`🔐 ENROLMENT REFUSED: Confirm with an enrolled passkey first (${assertion.reason}).`, 'medium');
+      return assertion.verified;
+    }
+    if (totpEnrolled || backupCodesRemaining > 0) return confirmExistingFactor('enroll this device');
+    triggerAlert('🔐 ENROLMENT REFUSED: No credential to confirm with - complete a recovery to enroll this device.', 'medium');
+    return false;
+  };
+
+  const enrollCurrentDevice = async () => {
+    // Otherwise whoever caused the lock could make their own device trusted
+    if (engine.isLocked()) {
+      triggerAlert('🔒 ENROLMENT BLOCKED: Services are locked - complete recovery before enrolling a device.', 'medium');
+      return;
+    }
+    if (!(await proveExistingCredential())) return;
+
+    const name = window.prompt('Name this device', getDeviceInfo().name);
+    if (!name) return;
+
+    // With a platform authenticator, enrolment also registers a passkey with
+    // the relying party; recovery later requires an assertion from it
+    let credentialId = null;
+    if (biometricAvailable) {
+      const registration = await registerCredential({ userId, userName: userId, displayName: name });
+      if (!registration.verified) {
+        triggerAlert(`🔐 ENROLMENT FAILED: Passkey registration was not verified (${registration.reason}).`, 'medium');
+        return;
+      }
+      credentialId = registration.credentialId;
+    }
+
+    await deviceRegistry.enroll({
+      name,
+      fingerprint: currentFingerprint,
+      components: currentComponents,
+      method: credentialId ? 'webauthn' : 'manual',
+      credentialId
+    });
+    setDeviceInfo(prev => ({ ...prev, trusted: prev.fingerprint === currentFingerprint }));
+    await refreshDevices();
+  };
+
+  const renameDevice = async (device) => {
+    const name = window.prompt('Rename device', device.name);
+    if (!name) return;
+    await deviceRegistry.rename(device.id, name);
+    await refreshDevices();
+  };
+
+  const revokeDevice = async (device) => {
+    if (!window.confirm(`Revoke trust for "${device.name}"?`)) return;
+    await deviceRegistry.revoke(device.id);
+    if (device.fingerprint === currentFingerprint) {
+      setDeviceInfo(prev => ({ ...prev, trusted: false }));
+    }
+    await refreshDevices();
+  };
+
+  const refreshRecoveryFactors = async () => {
+    setTotpEnrolled(await totpFactor.isEnrolled());
+    setBackupCodesRemaining(await backupCodes.remaining());
+  };
+
+  useEffect(() => {
+    refreshRecoveryFactors();
+  }, [totpFactor, backupCodes]);
+
+  // Changing recovery factors while services are locked would let whoever
+  // triggered the lock enrol factors of their own and then recover with them
+  const refuseWhileLocked = () => {
+    if (!engine.isLocked()) return false;
+    triggerAlert('🔒 RECOVERY FACTORS FROZEN: Complete recovery before changing backup codes or the authenticator app.', 'medium');
+    return true;
+  };
+
+  // Replacing or removing a factor needs a code from one the user already has.
+  // Failures count against the same limits as recovery attempts.
+  const confirmExistingFactor = async (action) => {
+    const code = window.prompt(`To ${action}, enter a code from your authenticator app${backupCodesRemaining > 0 ? ' or an unused backup code' : ''}`);
+    if (!code) return false;
+    const result = totpEnrolled && /^\d{6}$/.test(code.trim())
+      ? await attemptLimiter.guard('totp', input => totpFactor.verify(input))(code)
+      : await attemptLimiter.guard('backupCode', input => backupCodes.verify(input))(code);
+    if (!result.verified) {
+      triggerAlert(`🔐 FACTOR NOT CONFIRMED: ${result.reason}.`, 'medium');
+      return false;
+    }
+    return true;
+  };
+
+  const generateBackupCodes = async () => {
+    if (refuseWhileLocked()) return;
+    if (backupCodesRemaining > 0 && !(await confirmExistingFactor('replace your backup codes'))) return;
+    setNewBackupCodes(await backupCodes.generate());
+    await refreshRecoveryFactors();
+  };
+
+  const beginTotpSetup = async () => {
+    if (refuseWhileLocked()) return;
+    setTotpSetup(await totpFactor.begin(userId));
+    setFactorInputs(prev => ({ ...prev, totpSetup: '' }));
+  };
+
+  const confirmTotpSetup = async () => {
+    if (refuseWhileLocked()) return;
+    const result = await totpFactor.confirm(factorInputs.totpSetup || '');
+    if (!result.verified) {
+      triggerAlert(`🔐 AUTHENTICATOR NOT CONFIRMED: ${result.reason}. Enter the current code from your app.`, 'medium');
+      return;
+    }
+    setTotpSetup(null);
+    await refreshRecoveryFactors();
+  };
 
-  // Get real geolocation
+  const cancelTotpSetup = async () => {
+    await totpFactor.cancel();
+    setTotpSetup(null);
+  };
+
+  const removeTotp = async () => {
+    if (refuseWhileLocked()) return;
+    if (!(await confirmExistingFactor('remove the authenticator app'))) return;
+    await totpFactor.remove();
+    setTotpSetup(null);
+    await refreshRecoveryFactors();
+  };
+
+  // Compare this login's hour against the learned activity hours, then learn it
+  useEffect(() => {
+    const now = new Date();
+    const profile = loadActivityProfile();
+    pipeline.process('loginTime', { profile, localTime: toLocalTime(now) });
+    saveActivityProfile(recordActivity(profile, now));
+  }, [pipeline]);
+
+  // The timezone check needs a position, so these run on the first fix
+  const contextChecked = useRef(false);
+  const runLocationDetectors = async (position) => {
+    if (contextChecked.current) return;
+    contextChecked.current = true;
+
+    // Raw inputs go through the pipeline, so a replay re-runs these detectors
+    pipeline.process('timezone', {
+      position,
+      browserTimeZone: Intl.DateTimeFormat().resolvedOptions().timeZone,
+      at: Date.now()
+    });
+
+    const stun = loadStunServer();
+    const candidates = await gatherIceCandidates({ iceServers: stun ? [{ urls: stun }] : [] });
+    pipeline.process('network', { candidates });
+  };
+
+  // Trusted zones are read from the watchPosition callback, so mirror them in a ref
+  const zonesRef = useRef([]);
+  const lastLocationRef = useRef(null);
+
+  // Check the latest fix against trusted zones; outside all of them is an
+  // ongoing graded condition that clears on return
+  const evaluateZones = (fix, zones) => {
+    const placement = locateInZones(fix, zones);
+    setZoneStatus(zones.length === 0 ? null : placement);
+
+    const signal = pipeline.process('zones', { fix, zones });
+    return !signal;
+  };
+
+  // Continuously track real geolocation
   useEffect(() => {
+    let watchId = null;
+
+    // Fixes are handled one at a time, in arrival order: each is measured
+    // against the previous one, so reading latest() for one fix must not
+    // interleave with add() for another
+    let positionQueue = Promise.resolve();
+
+    const handlePosition = async (position) => {
+      const { latitude, longitude, accuracy } = position.coords;
+      runLocationDetectors({ latitude, longitude, accuracy })
+        .catch(error => console.error('Error running context detectors:', error));
+
+      // Velocity check against the previous fix, which may be from an
+      // earlier session
+      const fix = { latitude, longitude, accuracy, timestamp: position.timestamp };
+      const previousFix = await locationHistory.latest();
+      await locationHistory.add(fix);
+      const travelSignal = pipeline.process('location', { fix, previous: previousFix });
+
+      const inZone = evaluateZones(fix, zonesRef.current);
+      
+      // Get timezone
+      const timezone = Intl.DateTimeFormat().resolvedOptions().timeZone;
+
+      const locationData = {
+        trusted: inZone && !travelSignal,
+        coordinates: formatCoordinates(latitude, longitude),
+        timezone: timezone,
+        accuracy: `${Math.round(accuracy)}m`,
+        latitude,
+        longitude
+      };
+      
+      // Reverse geocoding through the cached provider chain
+      try {
+        const place = await geocoder.reverse({ latitude, longitude });
+        lastLocationRef.current = {
+          ...locationData,
+          city: place ? [place.city, place.country].filter(Boolean).join(', ') : 'Location detected'
+        };
+      } catch (error) {
+        lastLocationRef.current = { ...locationData, city: 'Location detected' };
+      }
+      setLocation(lastLocationRef.current);
+    };
+
+    const handleError = (error) => {
+      setLocation(prev => ({
+        ...prev,
+        city: 'Location access denied',
+        coordinates: 'Permission required',
+        trusted: false
+      }));
+      
+      if (error.code === error.PERMISSION_DENIED) {
+        setLocationPermission('denied');
+      }
+    };
+
     const getLocation = async () => {
       if (!navigator.geolocation) {
         setLocation(prev => ({
@@ -231,100 +915,78 @@ const CyberSentrix = () => {
         console.log('Permission API not available');
       }
 
-      navigator.geolocation.getCurrentPosition(
-        async (position) => {
-          const { latitude, longitude, accuracy } = position.coords;
-          
-          // Get timezone
-          const timezone = Intl.DateTimeFormat().resolvedOptions().timeZone;
-          
-          // Reverse geocoding using public API
-          try {
-            const response = await fetch(
-              `https://nominatim.openstreetmap.org/reverse?format=json&lat=${latitude}&lon=${longitude}`
-            );
-            const data = await response.json();
-            
-            const city = data.address.city || data.address.town || data.address.village || 'Unknown Location';
-            const country = data.address.country || '';
-            
-            const locationData = {
-              city: `${city}, ${country}`,
-              trusted: true,
-              coordinates: `${latitude.toFixed(4)}° N, ${longitude.toFixed(4)}° W`,
-              timezone: timezone,
-              accuracy: `${Math.round(accuracy)}m`,
-              latitude,
-              longitude
-            };
-            
-            setLocation(locationData);
-            
-            // Set as trusted location on first load
-            if (!initialLocationSet) {
-              setTrustedLocation(locationData);
-              setInitialLocationSet(true);
-            }
-          } catch (error) {
-            setLocation(prev => ({
-              ...prev,
-              city: 'Location detected',
-              coordinates: `${latitude.toFixed(4)}° N, ${longitude.toFixed(4)}° W`,
-              timezone: timezone,
-              accuracy: `${Math.round(accuracy)}m`,
-              latitude,
-              longitude
-            }));
-          }
-        },
-        (error) => {
-          setLocation(prev => ({
-            ...prev,
-            city: 'Location access denied',
-            coordinates: 'Permission required',
-            trusted: false
-          }));
-          
-          if (error.code === error.PERMISSION_DENIED) {
-            setLocationPermission('denied');
-          }
-        },
-        {
-          enableHighAccuracy: true,
-          timeout: 10000,
-          maximumAge: 0
-        }
-      );
+      zonesRef.current = await zoneStore.list();
+      setZones(zonesRef.current);
+
+      const queuePosition = (position) => {
+        positionQueue = positionQueue
+          .then(() => handlePosition(position))
+          .catch(error => console.error('Error handling position:', error));
+      };
+
+      watchId = navigator.geolocation.watchPosition(queuePosition, handleError, {
+        enableHighAccuracy: true,
+        timeout: 10000,
+        maximumAge: 0
+      });
     };
 
     getLocation();
-  }, [initialLocationSet]);
+    return () => {
+      if (watchId !== null) navigator.geolocation.clearWatch(watchId);
+    };
+  }, [pipeline, locationHistory, zoneStore, geocoder]);
 
-  // Auto-lock services when risk is critical
-  useEffect(() => {
-    if (riskScore >= 70 && !servicesLocked) {
-      setServicesLocked(true);
-      triggerAlert('🔒 SECURITY LOCKDOWN: All transaction services have been automatically disabled due to critical fraud risk.');
+  const refreshZones = async () => {
+    zonesRef.current = await zoneStore.list();
+    setZones(zonesRef.current);
+    const latest = await locationHistory.latest();
+    if (latest) {
+      const inZone = evaluateZones(latest, zonesRef.current);
+      setLocation(prev => ({ ...prev, trusted: inZone }));
     }
-  }, [riskScore, servicesLocked]);
-
-  const addEvent = (type, description, severity) => {
-    const newEvent = {
-      id: Date.now(),
-      type,
-      description,
-      severity,
-      timestamp: new Date().toLocaleString()
-    };
-    setEvents(prev => [newEvent, ...prev]);
-    return newEvent;
   };
 
-  const triggerAlert = (message) => {
-    setAlertMessage(message);
-    setShowAlert(true);
+  const addZoneHere = async () => {
+    const latest = await locationHistory.latest();
+    if (!latest) {
+      alert('Please allow location access first to add a trusted zone');
+      return;
+    }
+    const name = window.prompt('Zone name (e.g. Home, Office)');
+    if (!name) return;
+    const radius = Number(window.prompt('Zone radius in metres', '500'));
+    if (!radius || radius <= 0) return;
+    await zoneStore.add({ name, latitude: latest.latitude, longitude: latest.longitude, radius });
+    await refreshZones();
+  };
+
+  const removeZone = async (zone) => {
+    if (!window.confirm(`Remove trusted zone "${zone.name}"?`)) return;
+    await zoneStore.remove(zone.id);
+    await refreshZones();
   };
 
+  // Alerts queue up instead of replacing each other; each needs acknowledging
+  const triggerAlert = (message, severity = 'high', details = {}) => alertQueue.raise({ message, severity, ...details });
+
+  useEffect(() => {
+    const unsubscribe = alertQueue.subscribe(setAlerts);
+    alertQueue.restore();
+    return () => {
+      unsubscribe();
+      alertQueue.dispose();
+    };
+  }, [alertQueue]);
+
+  useEffect(() => {
+    localStorage.setItem(ESCALATION_KEY, JSON.stringify(escalation));
+    alertQueue.setEscalation({ contact: escalation.contact.trim() || null, afterMs: escalation.afterMs });
+  }, [alertQueue, escalation]);
+
+  const pendingAlerts = alerts.filter(alert => alert.status === 'active');
+  const snoozedAlerts = alerts.filter(alert => alert.status === 'snoozed');
+
   const requestLocationPermission = () => {
     navigator.geolocation.getCurrentPosition(
       () => {
@@ -336,174 +998,131 @@ const CyberSentrix = () => {
     );
   };
 
-  const simulateSIMSwap = async () => {
-    // Simulate SIM swap by changing device fingerprint
-    const fakeFingerprint = await hashString(Math.random().toString());
-    
-    addEvent('simSwap', 'SIM card changed to new device', 'critical');
-    setDeviceInfo(prev => ({
-      ...prev,
-      name: 'Unknown Android Device',
-      fingerprint: fakeFingerprint,
-      trusted: false
-    }));
-    const newScore = calculateRiskScore([...events, { type: 'simSwap' }]);
-    setRiskScore(newScore);
-    triggerAlert('⚠️ SIM SWAP DETECTED: Device fingerprint changed. Your phone number may have been transferred to a new device.');
-  };
+  const handleSIMSwap = () => simulateSIMSwap(pipeline);
 
-  const simulateNewDevice = async () => {
-    addEvent('deviceMismatch', 'Login attempt from unrecognized device fingerprint', 'high');
-    const newScore = calculateRiskScore([...events, { type: 'deviceMismatch' }]);
-    setRiskScore(newScore);
-    triggerAlert('🔔 New device login detected with different hardware fingerprint');
-  };
+  const handleNewDevice = () => simulateNewDevice(pipeline);
 
-  const simulateLocationChange = () => {
-    if (!location.latitude || !location.longitude) {
+  const handleLocationChange = async () => {
+    const previous = await locationHistory.latest();
+    if (!previous) {
       alert('Please allow location access first to simulate location anomaly');
       return;
     }
-    
-    // Calculate distance from trusted location
-    const distance = trustedLocation ? 
-      calculateDistance(
-        trustedLocation.latitude, 
-        trustedLocation.longitude,
-        location.latitude,
-        location.longitude
-      ) : 0;
-    
-    addEvent('locationAnomaly', `Impossible travel: Location changed to Moscow, Russia (${Math.round(distance)}km from trusted location)`, 'high');
-    setLocation(prev => ({
-      ...prev,
-      city: 'Moscow, Russia',
-      trusted: false,
-      coordinates: '55.7558° N, 37.6173° E'
-    }));
-    const newScore = calculateRiskScore([...events, { type: 'locationAnomaly' }]);
-    setRiskScore(newScore);
-    triggerAlert('🌍 LOCATION ANOMALY: Activity detected from Russia - impossible travel pattern identified.');
+
+    try {
+      simulateLocationChange(pipeline, { previous });
+    } catch (error) {
+      alert(`Location anomaly not simulated: ${error.message}`);
+    }
   };
 
-  const simulateOTPBurst = () => {
-    const burst = Array.from({ length: 5 }, (_, i) => ({
-      id: Date.now() + i,
-      code: Math.floor(100000 + Math.random() * 900000),
-      service: ['Banking App', 'Email', 'Social Media', 'Payment Gateway', 'Crypto Wallet'][i],
-      timestamp: new Date(Date.now() - i * 1000).toLocaleTimeString()
-    }));
-    setOtpActivity(burst);
-    addEvent('otpBurst', '5 OTP requests in 30 seconds - credential stuffing detected', 'high');
-    const newScore = calculateRiskScore([...events, { type: 'otpBurst' }]);
-    setRiskScore(newScore);
-    triggerAlert('⚡ OTP BURST DETECTED: Multiple authentication codes requested rapidly - possible credential stuffing attack.');
+  const handleOTPBurst = () => simulateOTPBurst(pipeline);
+
+  // Factor verifiers offered to the recovery workflow: only factors this user
+  // had set up before services were locked, so factors added afterwards (e.g.
+  // by whoever caused the lock) cannot be used to recover. Guessable codes are
+  // rate limited across attempts.
+  const buildRecoveryVerifiers = async () => {
+    const lockTimes = engine.getServices().filter(service => service.action === 'lock').map(service => service.lockedAt);
+    const lockedAt = lockTimes.length > 0 ? Math.min(...lockTimes) : Infinity;
+    const predatesLock = (time) => time !== null && time < lockedAt;
+
+    const verifiers = {};
+    const passkeyDevices = (await deviceRegistry.list()).filter(device => device.credentialId && predatesLock(device.firstSeen));
+    if (biometricAvailable && passkeyDevices.length > 0) {
+      // Assertion with a passkey registered before the lockdown, verified by
+      // the relying party, which holds the registration times.
+      // This will trigger device biometric (Face ID, Touch ID, Windows Hello, etc.)
+      verifiers.webauthn = () => authenticate({ userId, createdBefore: lockedAt === Infinity ? null : lockedAt });
+    }
+    if (predatesLock(await totpFactor.enrolledAt())) {
+      verifiers.totp = attemptLimiter.guard('totp', code => totpFactor.verify(code));
+    }
+    if (predatesLock(await backupCodes.generatedAt())) {
+      verifiers.backupCode = attemptLimiter.guard('backupCode', async code => {
+        const result = await backupCodes.verify(code);
+        await refreshRecoveryFactors();
+        return result;
+      });
+    }
+    return verifiers;
   };
 
-  const calculateDistance = (lat1, lon1, lat2, lon2) => {
-    const R = 6371; // Earth's radius in km
-    const dLat = (lat2 - lat1) * Math.PI / 180;
-    const dLon = (lon2 - lon1) * Math.PI / 180;
-    const a = Math.sin(dLat/2) * Math.sin(dLat/2) +
-              Math.cos(lat1 * Math.PI / 180) * Math.cos(lat2 * Math.PI / 180) *
-              Math.sin(dLon/2) * Math.sin(dLon/2);
-    const c = 2 * Math.atan2(Math.sqrt(a), Math.sqrt(1-a));
-    return R * c;
+  const submitRecoveryFactor = (factor) => {
+    if (!recoveryRef.current) return;
+    recoveryRef.current.submit(factor, factorInputs[factor]);
+    setFactorInputs(prev => ({ ...prev, [factor]: '' }));
   };
 
-  const startRecovery = () => {
+  const startRecovery = async () => {
+    const workflow = createRecoveryWorkflow({
+      plan: planRecovery(engine.getEvents()),
+      verifiers: await buildRecoveryVerifiers()
+    });
+    recoveryRef.current = workflow;
+    setRecoveryState(workflow.getState());
+    setRecoveryPhase(null);
+    setFactorInputs({});
     setShowRecovery(true);
-    setRecoveryStep(0);
+
+    workflow.subscribe(state => {
+      setRecoveryState(state);
+      if (state.status !== 'active') recoveryRef.current = null;
+      if (state.status === 'completed') restoreAccess(state);
+    });
   };
 
-  const verifyBiometric = async () => {
-    setBiometricVerifying(true);
-    
-    if (biometricAvailable) {
-      // Use Web Authentication API for real biometric verification
-      try {
-        const publicKeyCredentialCreationOptions = {
-          challenge: new Uint8Array(32), // In production, get from server
-          rp: {
-            name: "CyberSentrix",
-            id: window.location.hostname,
-          },
-          user: {
-            id: new Uint8Array(16),
-            name: "user@cybersentrix.com",
-            displayName: "User",
-          },
-          pubKeyCredParams: [{alg: -7, type: "public-key"}],
-          authenticatorSelection: {
-            authenticatorAttachment: "platform",
-            userVerification: "required"
-          },
-          timeout: 60000,
-          attestation: "direct"
-        };
+  const closeRecovery = () => {
+    if (recoveryRef.current) recoveryRef.current.abort();
+    setShowRecovery(false);
+  };
 
-        // This will trigger device biometric (Face ID, Touch ID, Windows Hello, etc.)
-        const credential = await navigator.credentials.create({
-          publicKey: publicKeyCredentialCreationOptions
-        });
+  // Abandon a running workflow (and its timers) on unmount
+  useEffect(() => () => {
+    if (recoveryRef.current) recoveryRef.current.abort();
+  }, []);
 
-        if (credential) {
-          // Biometric verification successful
-          setTimeout(() => {
-            setBiometricVerifying(false);
-            setRecoveryStep(1);
-            completeRecovery();
-          }, 1000);
-        }
-      } catch (error) {
-        console.error('Biometric verification error:', error);
-        // Fall back to simulated verification
-        setTimeout(() => {
-          setBiometricVerifying(false);
-          setRecoveryStep(1);
-          completeRecovery();
-        }, 2000);
-      }
-    } else {
-      // Simulated verification for devices without biometric support
-      setTimeout(() => {
-        setBiometricVerifying(false);
-        setRecoveryStep(1);
-        completeRecovery();
-      }, 2000);
+  // Countdown for step deadlines and cooling-off periods
+  useEffect(() => {
+    if (!recoveryState || recoveryState.status !== 'active') return undefined;
+    const interval = setInterval(() => setClock(Date.now()), 1000);
+    return () => clearInterval(interval);
+  }, [recoveryState]);
+
+  const restoreAccess = async (completed) => {
+    setRecoveryPhase('restoring');
+
+    // Restore to real device fingerprint
+    const { id: realFingerprint, components } = await generateDeviceFingerprint();
+    const match = matchFingerprint({ id: realFingerprint, components }, await deviceRegistry.list(), {
+      skip: defaultCollectors.disabledComponents()
+    });
+
+    pipeline.process('reset');
+    recoveredAtRef.current = Date.now();
+    setDeviceInfo(prev => ({
+      ...prev,
+      fingerprint: realFingerprint,
+      trusted: match.outcome === 'match' || match.outcome === 'drifted'
+    }));
+
+    // Restore the last real location in place of any simulated one
+    if (lastLocationRef.current) {
+      setLocation(lastLocationRef.current);
     }
+
+    setRecoveryPhase('complete');
+    webhooks.enqueue('recovery.completed', {
+      plan: completed.plan,
+      factors: completed.steps.filter(step => step.factor).map(step => step.factor),
+      score: engine.getScore()
+    });
   };
 
-  const completeRecovery = () => {
-    setTimeout(() => {
-      setRecoveryStep(2);
-      setTimeout(async () => {
-        setRecoveryStep(3);
-        setTimeout(async () => {
-          // Restore to real device fingerprint
-          const realFingerprint = await generateDeviceFingerprint();
-          
-          setServicesLocked(false);
-          setRiskScore(5);
-          setEvents([]);
-          setOtpActivity([]);
-          setDeviceInfo(prev => ({
-            ...prev,
-            fingerprint: realFingerprint,
-            trusted: true
-          }));
-          
-          // Restore trusted location
-          if (trustedLocation) {
-            setLocation(trustedLocation);
-          }
-          
-          setShowRecovery(false);
-          setRecoveryStep(0);
-          triggerAlert('✅ ACCOUNT RECOVERED: Biometric verification successful. All services restored.');
-        }, 1500);
-      }, 1500);
-    }, 1500);
+  const finishRecovery = () => {
+    setShowRecovery(false);
+    setRecoveryPhase(null);
+    triggerAlert('✅ ACCOUNT RECOVERED: All recovery steps passed. All services restored.', 'info', { source: 'recovery' });
   };
 
   return (
@@ -612,7 +1231,7 @@ const CyberSentrix = () => {
       </div>
 
       {/* Alert Modal */}
-      {showAlert && (
+      {pendingAlerts.length > 0 && (
         <div style={{
           position: 'fixed',
           top: 0,
@@ -626,43 +1245,202 @@ const CyberSentrix = () => {
           zIndex: 1000,
           animation: 'slideIn 0.3s ease-out'
         }}>
-          <div style={{
-            background: 'linear-gradient(135deg, #1e293b 0%, #0f172a 100%)',
-            border: `2px solid ${riskLevel.color}`,
-            borderRadius: '12px',
-            padding: '30px',
-            maxWidth: '500px',
-            width: '90%',
-            boxShadow: `0 20px 60px rgba(0, 0, 0, 0.5), 0 0 40px ${riskLevel.color}40`
-          }}>
-            <div style={{ display: 'flex', alignItems: 'flex-start', gap: '15px', marginBottom: '20px' }}>
-              <AlertTriangle size={32} color={riskLevel.color} style={{ flexShrink: 0 }} />
-              <div style={{ flex: 1 }}>
-                <h3 style={{ margin: '0 0 10px 0', fontSize: '18px', color: riskLevel.color }}>
-                  SECURITY ALERT
-                </h3>
-                <p style={{ margin: 0, fontSize: '14px', lineHeight: '1.6', color: '#cbd5e1' }}>
-                  {alertMessage}
-                </p>
+          <div style={{ maxWidth: '500px', width: '90%' }}>
+            {/* Highest priority alert on top, the rest stacked beneath */}
+            {pendingAlerts.slice(0, 3).map((alert, i) => {
+              const color = alertColors[alert.severity];
+              return (
+                <div key={alert.id} style={{
+                  background: 'linear-gradient(135deg, #1e293b 0%, #0f172a 100%)',
+                  border: `2px solid ${color}`,
+                  borderRadius: '12px',
+                  padding: i === 0 ? '30px' : '14px 20px',
+                  marginTop: i === 0 ? 0 : '-4px',
+                  transform: i === 0 ? 'none' : `scale(${1 - i * 0.04})`,
+                  opacity: i === 0 ? 1 : 0.8 - i * 0.15,
+                  boxShadow: i === 0 ? `0 20px 60px rgba(0, 0, 0, 0.5), 0 0 40px ${color}40` : 'none'
+                }}>
+                  {i === 0 ? (
+                    <>
+                      <div style={{ display: 'flex', alignItems: 'flex-start', gap: '15px', marginBottom: '20px' }}>
+                        <AlertTriangle size={32} color={color} style={{ flexShrink: 0 }} />
+                        <div style={{ flex: 1 }}>
+                          <h3 style={{ margin: '0 0 10px 0', fontSize: '18px', color, display: 'flex', justifyContent: 'space-between', gap: '10px' }}>
+                            SECURITY ALERT
+                            <span style={{ fontSize: '11px', fontWeight: 600, letterSpacing: '1px' }}>
+                              {ALERT_SEVERITIES[alert.severity].label}
+                              {pendingAlerts.length > 1 && ` · 1 OF ${pendingAlerts.length}`}
+                            </span>
+                          </h3>
+                          <p style={{ margin: 0, fontSize: '14px', lineHeight: '1.6', color: '#cbd5e1' }}>
+                            {alert.message}
+                          </p>
+                          <p style={{ margin: '10px 0 0 0', fontSize: '11px', color: '#64748b' }}>
+                            {new Date(alert.createdAt).toLocaleTimeString()}
+                            {alert.escalatedAt
+                              ? ` · Escalated to ${alert.escalatedTo} at ${new Date(alert.escalatedAt).toLocaleTimeString()}`
+                              : alert.escalateAt && escalation.contact.trim()
+                                ? ` · Escalates to ${escalation.contact.trim()} at ${new Date(alert.escalateAt).toLocaleTimeString()} unless acknowledged`
+                                : ''}
+                          </p>
+                          {alert.eventId && (
+                            <button
+                              onClick={() => openEventById(alert.eventId)}
+                              style={{ ...registryButtonStyle, marginTop: '10px' }}
+                            >
+                              View Event
+                            </button>
+                          )}
+                        </div>
+                      </div>
+                      <div style={{ display: 'flex', gap: '10px' }}>
+                        <button
+                          onClick={() => alertQueue.acknowledge(alert.id)}
+                          style={{
+                            flex: 1,
+                            padding: '12px',
+                            background: color,
+                            color: '#fff',
+                            border: 'none',
+                            borderRadius: '8px',
+                            fontSize: '14px',
+                            fontWeight: 600,
+                            cursor: 'pointer',
+                            fontFamily: 'inherit'
+                          }}
+                        >
+                          ACKNOWLEDGE
+                        </button>
+                        <button
+                          onClick={() => alertQueue.snooze(alert.id, ALERT_SNOOZE_MS)}
+                          style={{
+                            padding: '12px 16px',
+                            background: 'transparent',
+                            color: '#94a3b8',
+                            border: '1px solid #334155',
+                            borderRadius: '8px',
+                            fontSize: '14px',
+                            fontWeight: 600,
+                            cursor: 'pointer',
+                            fontFamily: 'inherit'
+                          }}
+                        >
+                          SNOOZE 5 MIN
+                        </button>
+                      </div>
+                    </>
+                  ) : (
+                    <div style={{ display: 'flex', justifyContent: 'space-between', gap: '10px', fontSize: '12px' }}>
+                      <span style={{ color: '#cbd5e1', overflow: 'hidden', textOverflow: 'ellipsis', whiteSpace: 'nowrap' }}>{alert.message}</span>
+                      <span style={{ color, fontWeight: 600, flexShrink: 0 }}>{ALERT_SEVERITIES[alert.severity].label}</span>
+                    </div>
+                  )}
+                </div>
+              );
+            })}
+            {(pendingAlerts.length > 3 || snoozedAlerts.length > 0) && (
+              <div style={{ marginTop: '10px', textAlign: 'center', fontSize: '12px', color: '#94a3b8' }}>
+                {pendingAlerts.length > 3 && `+${pendingAlerts.length - 3} more`}
+                {pendingAlerts.length > 3 && snoozedAlerts.length > 0 && ' · '}
+                {snoozedAlerts.length > 0 && `${snoozedAlerts.length} snoozed`}
               </div>
+            )}
+            {pendingAlerts.length > 1 && (
+              <button
+                onClick={() => alertQueue.acknowledgeAll()}
+                style={{ ...registryButtonStyle, display: 'block', margin: '10px auto 0' }}
+              >
+                Acknowledge All ({pendingAlerts.length})
+              </button>
+            )}
+          </div>
+        </div>
+      )}
+
+      {/* Event detail */}
+      {selectedEvent && (
+        <div
+          onClick={() => setSelectedEvent(null)}
+          style={{
+            position: 'fixed',
+            top: 0,
+            left: 0,
+            right: 0,
+            bottom: 0,
+            background: 'rgba(0, 0, 0, 0.8)',
+            display: 'flex',
+            alignItems: 'center',
+            justifyContent: 'center',
+            zIndex: 1000
+          }}
+        >
+          <div
+            onClick={(e) => e.stopPropagation()}
+            style={{
+              background: 'linear-gradient(135deg, #1e293b 0%, #0f172a 100%)',
+              border: `2px solid ${severityColors[selectedEvent.event.severity] || '#ff9933'}`,
+              borderRadius: '12px',
+              padding: '30px',
+              maxWidth: '560px',
+              width: '90%',
+              maxHeight: '80vh',
+              overflowY: 'auto',
+              fontSize: '12px'
+            }}
+          >
+            <div style={{ display: 'flex', justifyContent: 'space-between', alignItems: 'center', marginBottom: '16px' }}>
+              <h3 style={{ margin: 0, fontSize: '18px' }}>{SIGNAL_LABELS[selectedEvent.event.type] || selectedEvent.event.type}</h3>
+              <button onClick={() => setSelectedEvent(null)} style={{ background: 'none', border: 'none', cursor: 'pointer', padding: 0 }}>
+                <X size={20} color="#94a3b8" />
+              </button>
             </div>
-            <button
-              onClick={() => setShowAlert(false)}
-              style={{
-                width: '100%',
-                padding: '12px',
-                background: riskLevel.color,
-                color: '#fff',
-                border: 'none',
-                borderRadius: '8px',
-                fontSize: '14px',
-                fontWeight: 600,
-                cursor: 'pointer',
-                fontFamily: 'inherit'
-              }}
-            >
-              ACKNOWLEDGE
-            </button>
+            <p style={{ margin: '0 0 16px 0', color: '#cbd5e1', fontSize: '13px' }}>{selectedEvent.event.description}</p>
+            {[
+              ['Severity', selectedEvent.event.severity],
+              ['Detected', `${new Date(selectedEvent.event.timestamp).toLocaleString()} (${selectedEvent.event.timestamp})`],
+              ['Score impact', selectedEvent.event.points > 0 ? `+${selectedEvent.event.points} points` : 'none (score unchanged)'],
+              ['Event ID', selectedEvent.event.id],
+              ...(selectedEvent.event.hash ? [['Chain hash', selectedEvent.event.hash]] : [])
+            ].map(([label, value]) => (
+              <div key={label} style={{ display: 'flex', justifyContent: 'space-between', gap: '12px', padding: '6px 0', borderBottom: '1px solid #1e293b' }}>
+                <span style={{ color: '#64748b' }}>{label}</span>
+                <span style={{ color: '#cbd5e1', fontFamily: 'monospace', textAlign: 'right', wordBreak: 'break-all' }}>{value}</span>
+              </div>
+            ))}
+            <div style={{ color: '#94a3b8', letterSpacing: '1px', margin: '20px 0 8px 0' }}>EVIDENCE</div>
+            {flattenEvidence(selectedEvent.event.evidence).length === 0 && (
+              <p style={{ margin: 0, color: '#64748b' }}>No evidence recorded</p>
+            )}
+            {flattenEvidence(selectedEvent.event.evidence).map(([path, value]) => (
+              <div key={path} style={{ display: 'flex', justifyContent: 'space-between', gap: '12px', padding: '4px 0' }}>
+                <span style={{ color: '#64748b' }}>{path}</span>
+                <span style={{ color: '#94a3b8', fontFamily: 'monospace', textAlign: 'right', wordBreak: 'break-all' }}>{String(value)}</span>
+              </div>
+            ))}
+            {selectedEvent.group.count > 1 && (
+              <>
+                <div style={{ color: '#94a3b8', letterSpacing: '1px', margin: '20px 0 8px 0' }}>
+                  OCCURRENCES ({selectedEvent.group.count}, +{selectedEvent.group.points} points total)
+                </div>
+                {selectedEvent.group.events.map(occurrence => (
+                  <div
+                    key={occurrence.id}
+                    onClick={() => setSelectedEvent(prev => ({ ...prev, event: occurrence }))}
+                    style={{
+                      display: 'flex',
+                      justifyContent: 'space-between',
+                      padding: '4px 6px',
+                      borderRadius: '4px',
+                      cursor: 'pointer',
+                      background: occurrence.id === selectedEvent.event.id ? 'rgba(99, 102, 241, 0.15)' : 'transparent'
+                    }}
+                  >
+                    <span style={{ color: '#cbd5e1' }}>{new Date(occurrence.timestamp).toLocaleString()}</span>
+                    <span style={{ color: '#64748b' }}>{occurrence.points > 0 ? `+${occurrence.points} pts` : '—'}</span>
+                  </div>
+                ))}
+              </>
+            )}
           </div>
         </div>
       )}
@@ -695,68 +1473,154 @@ const CyberSentrix = () => {
               Account Recovery Process
             </h3>
 
-            {/* Step 0: Biometric Verification */}
-            {recoveryStep === 0 && (
+            {/* Plan progress */}
+            {recoveryState && (
+              <div style={{ marginBottom: '25px' }}>
+                <div style={{ fontSize: '11px', color: '#94a3b8', marginBottom: '10px', textAlign: 'center' }}>
+                  {recoveryState.plan.toUpperCase()} RECOVERY PLAN
+                </div>
+                {recoveryState.steps.map((step, index) => (
+                  <div key={step.id} style={{
+                    display: 'flex',
+                    justifyContent: 'space-between',
+                    padding: '6px 10px',
+                    marginBottom: '4px',
+                    borderRadius: '6px',
+                    fontSize: '12px',
+                    background: index === recoveryState.current && recoveryState.status === 'active' ? 'rgba(99, 102, 241, 0.15)' : 'transparent'
+                  }}>
+                    <span style={{ color: '#cbd5e1' }}>{index + 1}. {step.label}</span>
+                    <span style={{ color: stepStatusColors[step.status], fontWeight: 600 }}>
+                      {step.status.toUpperCase()}
+                    </span>
+                  </div>
+                ))}
+              </div>
+            )}
+
+            {/* Factor step */}
+            {recoveryState && recoveryState.status === 'active' && currentRecoveryStep.kind === 'factor' && (
               <div style={{ textAlign: 'center' }}>
                 <div style={{
                   width: '120px',
                   height: '120px',
                   margin: '0 auto 30px',
                   borderRadius: '50%',
-                  background: biometricVerifying ? 'rgba(99, 102, 241, 0.2)' : 'rgba(99, 102, 241, 0.1)',
+                  background: recoveryVerifying ? 'rgba(99, 102, 241, 0.2)' : 'rgba(99, 102, 241, 0.1)',
                   border: '3px solid #6366f1',
                   display: 'flex',
                   alignItems: 'center',
                   justifyContent: 'center',
-                  animation: biometricVerifying ? 'riskPulse 1s infinite' : 'none'
+                  animation: recoveryVerifying ? 'riskPulse 1s infinite' : 'none'
                 }}>
                   <Fingerprint size={60} color="#6366f1" />
                 </div>
                 <p style={{ marginBottom: '20px', color: '#cbd5e1', fontSize: '13px' }}>
-                  {biometricVerifying ? 'Verifying your identity...' : 
-                   biometricAvailable ? 'Your device will prompt for biometric authentication' : 
-                   'Click to verify (simulated on this device)'}
+                  {recoveryVerifying ? 'Verifying your identity...' : `${currentRecoveryStep.label}: use any one of these`}
                 </p>
-                {biometricAvailable && !biometricVerifying && (
-                  <p style={{ marginBottom: '30px', color: '#94a3b8', fontSize: '12px' }}>
-                    🔐 Use Face ID, Touch ID, or Windows Hello
+                {currentRecoveryStep.error && !recoveryVerifying && (
+                  <p style={{ marginBottom: '20px', color: '#ff3366', fontSize: '12px' }}>
+                    ✗ Identity not verified: {currentRecoveryStep.error}
                   </p>
                 )}
-                {!biometricVerifying && (
-                  <button
-                    onClick={verifyBiometric}
-                    style={{
-                      width: '100%',
-                      padding: '14px',
-                      background: '#6366f1',
-                      color: '#fff',
-                      border: 'none',
-                      borderRadius: '8px',
-                      fontSize: '14px',
-                      fontWeight: 600,
-                      cursor: 'pointer',
-                      fontFamily: 'inherit'
-                    }}
-                  >
-                    START VERIFICATION
-                  </button>
-                )}
+                <p style={{ marginBottom: '20px', color: '#64748b', fontSize: '11px' }}>
+                  Attempt {Math.min(currentRecoveryStep.attempts + 1, currentRecoveryStep.maxAttempts)} of {currentRecoveryStep.maxAttempts}
+                  {currentRecoveryStep.deadline && ` · ${formatRemaining(currentRecoveryStep.deadline - clock)} left`}
+                </p>
+                {!recoveryVerifying && currentRecoveryStep.factors.map(factor => (
+                  <div key={factor} style={{ marginBottom: '12px', textAlign: 'left' }}>
+                    {factor === 'webauthn' ? (
+                      <button
+                        onClick={() => submitRecoveryFactor('webauthn')}
+                        style={{
+                          width: '100%',
+                          padding: '14px',
+                          background: '#6366f1',
+                          color: '#fff',
+                          border: 'none',
+                          borderRadius: '8px',
+                          fontSize: '14px',
+                          fontWeight: 600,
+                          cursor: 'pointer',
+                          fontFamily: 'inherit'
+                        }}
+                      >
+                        🔐 VERIFY WITH FACE ID, TOUCH ID OR WINDOWS HELLO
+                      </button>
+                    ) : (
+                      <form
+                        onSubmit={(e) => {
+                          e.preventDefault();
+                          submitRecoveryFactor(factor);
+                        }}
+                        style={{ display: 'flex', gap: '8px' }}
+                      >
+                        <input
+                          value={factorInputs[factor] || ''}
+                          onChange={(e) => setFactorInputs(prev => ({ ...prev, [factor]: e.target.value }))}
+                          placeholder={factor === 'totp' ? '6-digit authenticator code' : 'Backup code (XXXXX-XXXXX)'}
+                          autoComplete="one-time-code"
+                          style={{
+                            flex: 1,
+                            padding: '12px',
+                            background: '#0f172a',
+                            color: '#cbd5e1',
+                            border: '1px solid #334155',
+                            borderRadius: '8px',
+                            fontFamily: 'inherit'
+                          }}
+                        />
+                        <button
+                          type="submit"
+                          disabled={!factorInputs[factor]}
+                          style={{
+                            padding: '12px 16px',
+                            background: factorInputs[factor] ? '#6366f1' : '#334155',
+                            color: '#fff',
+                            border: 'none',
+                            borderRadius: '8px',
+                            fontWeight: 600,
+                            cursor: factorInputs[factor] ? 'pointer' : 'not-allowed',
+                            fontFamily: 'inherit'
+                          }}
+                        >
+                          VERIFY
+                        </button>
+                      </form>
+                    )}
+                    <div style={{ color: '#64748b', fontSize: '11px', marginTop: '4px' }}>{FACTOR_LABELS[factor]}</div>
+                  </div>
+                ))}
               </div>
             )}
 
-            {/* Step 1: Identity Confirmed */}
-            {recoveryStep === 1 && (
+            {/* Wait step, e.g. cooling-off */}
+            {recoveryState && recoveryState.status === 'active' && currentRecoveryStep.kind === 'wait' && (
               <div style={{ textAlign: 'center' }}>
-                <Check size={80} color="#00ff88" style={{ marginBottom: '20px' }} />
-                <h4 style={{ margin: '0 0 10px 0', color: '#00ff88', fontSize: '18px' }}>
-                  Identity Verified
+                <Clock size={80} color="#ff9933" style={{ marginBottom: '20px' }} />
+                <h4 style={{ margin: '0 0 10px 0', color: '#ff9933', fontSize: '18px' }}>
+                  {currentRecoveryStep.label}
+                </h4>
+                <p style={{ color: '#cbd5e1', fontSize: '13px' }}>
+                  Services unlock in {formatRemaining(currentRecoveryStep.deadline - clock)} unless new threats appear
+                </p>
+              </div>
+            )}
+
+            {/* Failed or aborted: services stay locked */}
+            {recoveryState && (recoveryState.status === 'failed' || recoveryState.status === 'aborted') && (
+              <div style={{ textAlign: 'center' }}>
+                <X size={80} color="#ff3366" style={{ marginBottom: '20px' }} />
+                <h4 style={{ margin: '0 0 10px 0', color: '#ff3366', fontSize: '18px' }}>
+                  {recoveryState.status === 'failed' ? 'Recovery Failed' : 'Recovery Aborted'}
                 </h4>
-                <p style={{ color: '#cbd5e1' }}>Processing recovery...</p>
+                <p style={{ color: '#cbd5e1', fontSize: '13px' }}>{recoveryState.reason}</p>
+                <p style={{ color: '#94a3b8', fontSize: '12px' }}>Services remain locked.</p>
               </div>
             )}
 
-            {/* Step 2: Restoring Services */}
-            {recoveryStep === 2 && (
+            {/* Restoring Services */}
+            {recoveryPhase === 'restoring' && (
               <div style={{ textAlign: 'center' }}>
                 <div style={{ marginBottom: '20px', animation: 'spin 1s linear infinite' }}>
                   <Zap size={80} color="#6366f1" />
@@ -768,8 +1632,8 @@ const CyberSentrix = () => {
               </div>
             )}
 
-            {/* Step 3: Complete */}
-            {recoveryStep === 3 && (
+            {/* Complete */}
+            {recoveryPhase === 'complete' && (
               <div style={{ textAlign: 'center' }}>
                 <Shield size={80} color="#00ff88" style={{ marginBottom: '20px' }} />
                 <h4 style={{ margin: '0 0 10px 0', color: '#00ff88', fontSize: '18px' }}>
@@ -778,6 +1642,26 @@ const CyberSentrix = () => {
                 <p style={{ color: '#cbd5e1' }}>Your account is now secure</p>
               </div>
             )}
+
+            {recoveryPhase !== 'restoring' && (
+              <button
+                onClick={recoveryPhase === 'complete' ? finishRecovery : closeRecovery}
+                style={{
+                  width: '100%',
+                  marginTop: '15px',
+                  padding: '12px',
+                  background: 'transparent',
+                  color: '#94a3b8',
+                  border: '1px solid #334155',
+                  borderRadius: '8px',
+                  fontSize: '13px',
+                  cursor: 'pointer',
+                  fontFamily: 'inherit'
+                }}
+              >
+                {recoveryPhase === 'complete' ? 'DONE' : recoveryState && recoveryState.status === 'active' ? 'CANCEL RECOVERY' : 'CLOSE'}
+              </button>
+            )}
           </div>
         </div>
       )}
@@ -792,7 +1676,7 @@ const CyberSentrix = () => {
           padding: '30px',
           marginBottom: '25px',
           boxShadow: `0 8px 32px rgba(0, 0, 0, 0.3), 0 0 30px ${riskLevel.color}20`,
-          animation: riskScore >= 70 ? 'glow 2s infinite' : 'none'
+          animation: riskLevel.level === 'CRITICAL' ? 'glow 2s infinite' : 'none'
         }}>
           <div style={{ display: 'flex', justifyContent: 'space-between', alignItems: 'center', marginBottom: '20px' }}>
             <div>
@@ -805,7 +1689,7 @@ const CyberSentrix = () => {
                   fontWeight: 700, 
                   color: riskLevel.color,
                   lineHeight: 1,
-                  animation: riskScore >= 70 ? 'pulse 1.5s infinite' : 'none'
+                  animation: riskLevel.level === 'CRITICAL' ? 'pulse 1.5s infinite' : 'none'
                 }}>
                   {riskScore}
                 </span>
@@ -842,6 +1726,31 @@ const CyberSentrix = () => {
               boxShadow: `0 0 20px ${riskLevel.color}80`
             }} />
           </div>
+
+          {/* Score history */}
+          <div style={{ marginTop: '20px' }}>
+            <ScoreTimelineChart points={timeline.points} markers={timeline.markers} bands={engine.getConfig().bands} />
+          </div>
+
+          {/* Score breakdown */}
+          <div style={{ marginTop: '20px', fontSize: '12px' }}>
+            <div style={{ color: '#94a3b8', letterSpacing: '1px', marginBottom: '10px' }}>
+              WHY IS MY SCORE {riskScore}?
+            </div>
+            {explanation.breakdown.length === 0 ? (
+              <p style={{ margin: 0, color: '#64748b' }}>Baseline risk - no active signals</p>
+            ) : (
+              [...explanation.breakdown, ...explanation.synergies].map(entry => (
+                <div key={entry.label} style={{ display: 'flex', justifyContent: 'space-between', marginBottom: '6px' }}>
+                  <span style={{ color: '#cbd5e1' }}>
+                    {entry.signals ? `⚡ ${entry.label} (combined)` : entry.label}
+                    {entry.count > 1 && <span style={{ color: '#64748b' }}> ×{entry.count}</span>}
+                  </span>
+                  <span style={{ color: riskLevel.color, fontWeight: 600 }}>+{entry.points}</span>
+                </div>
+              ))
+            )}
+          </div>
         </div>
 
         {/* Main Grid */}
@@ -902,6 +1811,196 @@ const CyberSentrix = () => {
                   {deviceInfo.trusted ? 'Trusted' : 'Untrusted'}
                 </span>
               </div>
+              {fingerprintMatch && fingerprintMatch.outcome !== 'none' && (
+                <div style={{ display: 'flex', justifyContent: 'space-between', marginTop: '8px' }}>
+                  <span style={{ color: '#94a3b8' }}>Match:</span>
+                  <span style={{ color: fingerprintMatch.outcome === 'mismatch' ? '#ff3366' : fingerprintMatch.outcome === 'drifted' ? '#ffcc00' : '#00ff88' }}>
+                    {fingerprintMatch.outcome === 'match' && 'Exact'}
+                    {fingerprintMatch.outcome === 'drifted' && `Same device, drifted (${Math.round(fingerprintMatch.similarity * 100)}%)`}
+                    {fingerprintMatch.outcome === 'mismatch' && `No match (closest ${Math.round(fingerprintMatch.similarity * 100)}%)`}
+                  </span>
+                </div>
+              )}
+            </div>
+
+            {/* Components that differ from the closest enrolled device */}
+            {fingerprintMatch && fingerprintMatch.changed.length > 0 && (
+              <div style={{ marginTop: '12px', fontSize: '11px' }}>
+                <div style={{ color: '#94a3b8', letterSpacing: '1px', marginBottom: '6px' }}>
+                  CHANGED COMPONENTS
+                </div>
+                {fingerprintMatch.changed.map(change => (
+                  <div key={change.component} style={{ marginBottom: '6px' }}>
+                    <span style={{ color: '#ffcc00' }}>{change.label}</span>
+                    <div style={{ color: '#64748b', fontFamily: 'monospace', wordBreak: 'break-all' }}>
+                      {String(change.before ?? '—')} → {String(change.after ?? '—')}
+                    </div>
+                  </div>
+                ))}
+              </div>
+            )}
+
+            {/* Fingerprint collector plugins */}
+            <div style={{ marginTop: '16px', paddingTop: '16px', borderTop: '1px solid #334155', fontSize: '11px' }}>
+              <div style={{ color: '#94a3b8', letterSpacing: '1px', marginBottom: '10px', fontSize: '12px' }}>
+                FINGERPRINT COLLECTORS
+              </div>
+              {collectors.map(collector => (
+                <label key={collector.name} style={{ display: 'flex', justifyContent: 'space-between', alignItems: 'center', marginBottom: '4px', cursor: 'pointer' }}>
+                  <span style={{ color: collector.enabled ? '#cbd5e1' : '#64748b' }}>
+                    <input
+                      type="checkbox"
+                      checked={collector.enabled}
+                      onChange={(e) => toggleCollector(collector.name, e.target.checked)}
+                      style={{ marginRight: '8px' }}
+                    />
+                    {collector.label}
+                  </span>
+                  <span style={{ color: '#64748b', fontFamily: 'monospace' }}>
+                    {!collector.enabled ? 'off' : collectorTimings[collector.name] !== undefined ? `${collectorTimings[collector.name]}ms` : '—'}
+                  </span>
+                </label>
+              ))}
+              <p style={{ margin: '6px 0 0 0', color: '#64748b' }}>Changes apply to the next fingerprint.</p>
+            </div>
+
+            {/* STUN server for the VPN check */}
+            <div style={{ marginTop: '16px', paddingTop: '16px', borderTop: '1px solid #334155', fontSize: '11px' }}>
+              <div style={{ color: '#94a3b8', letterSpacing: '1px', marginBottom: '10px', fontSize: '12px' }}>
+                VPN CHECK · STUN SERVER
+              </div>
+              <input
+                value={stunServer}
+                onChange={(e) => changeStunServer(e.target.value)}
+                placeholder="stun:stun.example.com:3478"
+                style={{
+                  width: '100%',
+                  boxSizing: 'border-box',
+                  padding: '6px 8px',
+                  background: '#0f172a',
+                  color: '#cbd5e1',
+                  border: '1px solid #334155',
+                  borderRadius: '4px',
+                  fontSize: '11px',
+                  fontFamily: 'inherit'
+                }}
+              />
+              <p style={{ margin: '6px 0 0 0', color: '#64748b' }}>
+                {stunServer
+                  ? `Your public address is revealed to ${stunServer} to spot split tunnels. Applies from the next page load.`
+                  : 'None set: only local network interfaces are checked and nothing is sent.'}
+              </p>
+            </div>
+
+            {/* Enrolled device registry */}
+            <div style={{ marginTop: '16px', paddingTop: '16px', borderTop: '1px solid #334155', fontSize: '12px' }}>
+              <div style={{ color: '#94a3b8', letterSpacing: '1px', marginBottom: '10px' }}>
+                ENROLLED DEVICES ({enrolledDevices.length})
+              </div>
+              {enrolledDevices.length === 0 && (
+                <p style={{ margin: '0 0 10px 0', color: '#64748b' }}>
+                  No devices enrolled yet - enroll this device to trust it
+                </p>
+              )}
+              {enrolledDevices.map(device => (
+                <div key={device.id} style={{
+                  padding: '10px',
+                  background: 'rgba(99, 102, 241, 0.05)',
+                  border: `1px solid ${device.fingerprint === currentFingerprint ? '#00ff8840' : '#6366f140'}`,
+                  borderRadius: '6px',
+                  marginBottom: '8px'
+                }}>
+                  <div style={{ display: 'flex', justifyContent: 'space-between', alignItems: 'center' }}>
+                    <span style={{ color: '#cbd5e1', fontWeight: 600 }}>
+                      {device.name}
+                      {device.fingerprint === currentFingerprint && <span style={{ color: '#00ff88', fontWeight: 400 }}> (this device)</span>}
+                    </span>
+                    <span style={{ display: 'flex', gap: '6px' }}>
+                      <button onClick={() => renameDevice(device)} style={registryButtonStyle}>Rename</button>
+                      <button onClick={() => revokeDevice(device)} style={{ ...registryButtonStyle, color: '#ff3366', borderColor: '#ff336660' }}>Revoke</button>
+                    </span>
+                  </div>
+                  <div style={{ color: '#64748b', fontSize: '11px', marginTop: '4px' }}>
+                    {device.fingerprint} · {ENROLMENT_METHODS[device.enrolmentMethod] || device.enrolmentMethod}
+                  </div>
+                  <div style={{ color: '#64748b', fontSize: '11px' }}>
+                    First seen {new Date(device.firstSeen).toLocaleString()} · Last seen {new Date(device.lastSeen).toLocaleString()}
+                  </div>
+                </div>
+              ))}
+              {currentFingerprint && !enrolledDevices.some(device => device.fingerprint === currentFingerprint) && (
+                <button
+                  onClick={enrollCurrentDevice}
+                  disabled={servicesLocked}
+                  title={servicesLocked ? 'Complete recovery before enrolling a device' : undefined}
+                  style={{
+                    width: '100%',
+                    padding: '10px',
+                    background: servicesLocked ? '#334155' : '#6366f1',
+                    color: servicesLocked ? '#64748b' : '#fff',
+                    border: 'none',
+                    borderRadius: '6px',
+                    fontSize: '12px',
+                    fontWeight: 600,
+                    cursor: servicesLocked ? 'not-allowed' : 'pointer',
+                    fontFamily: 'inherit'
+                  }}
+                >
+                  ➕ Enroll This Device
+                </button>
+              )}
+            </div>
+
+            {/* Recovery factors for when biometrics are unavailable */}
+            <div style={{ marginTop: '16px', paddingTop: '16px', borderTop: '1px solid #334155', fontSize: '12px' }}>
+              <div style={{ color: '#94a3b8', letterSpacing: '1px', marginBottom: '10px' }}>
+                RECOVERY FACTORS
+              </div>
+              {servicesLocked && (
+                <div style={{ color: '#ffcc00', marginBottom: '8px' }}>Frozen while services are locked - recover first to change them.</div>
+              )}
+              <div style={{ display: 'flex', justifyContent: 'space-between', alignItems: 'center', marginBottom: '8px' }}>
+                <span style={{ color: '#cbd5e1' }}>
+                  Backup codes: <span style={{ color: backupCodesRemaining > 0 ? '#00ff88' : '#64748b' }}>{backupCodesRemaining} remaining</span>
+                </span>
+                <button onClick={generateBackupCodes} disabled={servicesLocked} style={factorButtonStyle(!servicesLocked)}>
+                  {backupCodesRemaining > 0 ? 'Regenerate' : 'Generate'}
+                </button>
+              </div>
+              {newBackupCodes && (
+                <div style={{ padding: '10px', background: 'rgba(255, 204, 0, 0.05)', border: '1px solid #ffcc0040', borderRadius: '6px', marginBottom: '8px' }}>
+                  <div style={{ color: '#ffcc00', marginBottom: '6px' }}>Write these down now - they will not be shown again. Each works once.</div>
+                  <div style={{ display: 'grid', gridTemplateColumns: '1fr 1fr', gap: '4px', fontFamily: 'monospace', color: '#cbd5e1' }}>
+                    {newBackupCodes.map(code => <span key={code}>{code}</span>)}
+                  </div>
+                  <button onClick={() => setNewBackupCodes(null)} style={{ ...registryButtonStyle, marginTop: '8px' }}>I have saved them</button>
+                </div>
+              )}
+              <div style={{ display: 'flex', justifyContent: 'space-between', alignItems: 'center', marginBottom: '8px' }}>
+                <span style={{ color: '#cbd5e1' }}>
+                  Authenticator app: <span style={{ color: totpEnrolled ? '#00ff88' : '#64748b' }}>{totpEnrolled ? 'Enrolled' : 'Not set up'}</span>
+                </span>
+                {totpEnrolled
+                  ? <button onClick={removeTotp} disabled={servicesLocked} style={{ ...factorButtonStyle(!servicesLocked), color: '#ff3366', borderColor: '#ff336660' }}>Remove</button>
+                  : !totpSetup && <button onClick={beginTotpSetup} disabled={servicesLocked} style={factorButtonStyle(!servicesLocked)}>Set Up</button>}
+              </div>
+              {totpSetup && (
+                <div style={{ padding: '10px', background: 'rgba(99, 102, 241, 0.05)', border: '1px solid #6366f140', borderRadius: '6px' }}>
+                  <div style={{ color: '#94a3b8', marginBottom: '6px' }}>Add this key to your authenticator app (scan the URI as a QR code or type the secret):</div>
+                  <div style={{ fontFamily: 'monospace', color: '#cbd5e1', wordBreak: 'break-all', marginBottom: '6px' }}>{totpSetup.secret}</div>
+                  <a href={totpSetup.uri} style={{ color: '#6366f1', wordBreak: 'break-all', fontSize: '11px' }}>{totpSetup.uri}</a>
+                  <div style={{ display: 'flex', gap: '6px', marginTop: '8px' }}>
+                    <input
+                      value={factorInputs.totpSetup || ''}
+                      onChange={(e) => setFactorInputs(prev => ({ ...prev, totpSetup: e.target.value }))}
+                      placeholder="Code from the app"
+                      style={{ flex: 1, padding: '6px', background: '#0f172a', color: '#cbd5e1', border: '1px solid #334155', borderRadius: '4px', fontFamily: 'inherit' }}
+                    />
+                    <button onClick={confirmTotpSetup} style={registryButtonStyle}>Confirm</button>
+                    <button onClick={cancelTotpSetup} style={registryButtonStyle}>Cancel</button>
+                  </div>
+                </div>
+              )}
             </div>
           </div>
 
@@ -941,6 +2040,14 @@ const CyberSentrix = () => {
                 <span style={{ color: '#94a3b8' }}>Accuracy:</span>
                 <span style={{ color: '#cbd5e1' }}>{location.accuracy || 'N/A'}</span>
               </div>
+              <div style={{ display: 'flex', justifyContent: 'space-between', marginBottom: '8px' }}>
+                <span style={{ color: '#94a3b8' }}>Zone:</span>
+                <span style={{ color: !zoneStatus ? '#64748b' : zoneStatus.inside ? '#00ff88' : '#ff9933' }}>
+                  {!zoneStatus && 'No trusted zones'}
+                  {zoneStatus && zoneStatus.inside && zoneStatus.zone.name}
+                  {zoneStatus && !zoneStatus.inside && `Outside (${zoneStatus.distanceKm.toFixed(1)}km from ${zoneStatus.zone.name})`}
+                </span>
+              </div>
               <div style={{ display: 'flex', justifyContent: 'space-between' }}>
                 <span style={{ color: '#94a3b8' }}>Status:</span>
                 <span style={{ 
@@ -954,6 +2061,33 @@ const CyberSentrix = () => {
                 </span>
               </div>
             </div>
+
+            {/* Trusted zones */}
+            <div style={{ marginTop: '16px', paddingTop: '16px', borderTop: '1px solid #334155', fontSize: '12px' }}>
+              <div style={{ color: '#94a3b8', letterSpacing: '1px', marginBottom: '10px' }}>
+                TRUSTED ZONES ({zones.length})
+              </div>
+              {zones.map(zone => (
+                <div key={zone.id} style={{
+                  display: 'flex',
+                  justifyContent: 'space-between',
+                  alignItems: 'center',
+                  padding: '8px 10px',
+                  background: 'rgba(99, 102, 241, 0.05)',
+                  border: `1px solid ${zoneStatus && zoneStatus.inside && zoneStatus.zone.id === zone.id ? '#00ff8840' : '#6366f140'}`,
+                  borderRadius: '6px',
+                  marginBottom: '8px'
+                }}>
+                  <span style={{ color: '#cbd5e1' }}>
+                    {zone.name} <span style={{ color: '#64748b', fontSize: '11px' }}>· {zone.radius}m</span>
+                  </span>
+                  <button onClick={() => removeZone(zone)} style={{ ...registryButtonStyle, color: '#ff3366', borderColor: '#ff336660' }}>Remove</button>
+                </div>
+              ))}
+              <button onClick={addZoneHere} style={{ ...registryButtonStyle, width: '100%', padding: '8px', fontSize: '11px' }}>
+                ➕ Add Current Location as Zone
+              </button>
+            </div>
             {locationPermission !== 'granted' && (
               <button
                 onClick={requestLocationPermission}
@@ -992,30 +2126,141 @@ const CyberSentrix = () => {
               </h3>
             </div>
             <div style={{ fontSize: '12px' }}>
-              {['Banking', 'Payments', 'Transfers', 'OTP Auth'].map((service, i) => (
-                <div key={i} style={{
-                  display: 'flex',
-                  justifyContent: 'space-between',
-                  alignItems: 'center',
+              {services.map((service, i) => (
+                <div key={service.id} style={{
                   padding: '12px',
-                  background: servicesLocked ? 'rgba(255, 51, 102, 0.1)' : 'rgba(99, 102, 241, 0.05)',
+                  background: `${serviceActionColors[service.action]}${service.action === 'allow' ? '0d' : '1a'}`,
                   borderRadius: '6px',
-                  marginBottom: i < 3 ? '8px' : 0,
-                  border: `1px solid ${servicesLocked ? '#ff336640' : '#6366f140'}`
+                  marginBottom: i < services.length - 1 ? '8px' : 0,
+                  border: `1px solid ${serviceActionColors[service.action]}40`
                 }}>
-                  <span style={{ color: '#cbd5e1' }}>{service}</span>
-                  <span style={{
-                    padding: '4px 12px',
-                    borderRadius: '4px',
-                    fontSize: '11px',
-                    fontWeight: 600,
-                    background: servicesLocked ? '#ff3366' : '#00ff88',
-                    color: servicesLocked ? '#fff' : '#0a0e27'
-                  }}>
-                    {servicesLocked ? 'LOCKED' : 'ACTIVE'}
+                  <div style={{ display: 'flex', justifyContent: 'space-between', alignItems: 'center' }}>
+                    <span style={{ color: '#cbd5e1' }}>{service.name}</span>
+                    <span style={{
+                      padding: '4px 12px',
+                      borderRadius: '4px',
+                      fontSize: '11px',
+                      fontWeight: 600,
+                      background: serviceActionColors[service.action],
+                      color: service.action === 'lock' ? '#fff' : '#0a0e27'
+                    }}>
+                      {SERVICE_ACTIONS[service.action].label}
+                    </span>
+                  </div>
+                  <div style={{ color: '#64748b', fontSize: '11px', marginTop: '4px' }}>{service.reason}</div>
+                </div>
+              ))}
+            </div>
+
+            {/* Push notifications */}
+            <div style={{ marginTop: '16px', paddingTop: '16px', borderTop: '1px solid #334155', fontSize: '12px' }}>
+              <div style={{ display: 'flex', justifyContent: 'space-between', alignItems: 'center', marginBottom: '10px' }}>
+                <span style={{ color: '#94a3b8', letterSpacing: '1px', display: 'flex', alignItems: 'center', gap: '6px' }}>
+                  <Bell size={14} />
+                  NOTIFICATIONS
+                </span>
+                {pushSettings.subscription ? (
+                  <span style={{ display: 'flex', gap: '6px' }}>
+                    <button onClick={sendTestNotification} style={registryButtonStyle}>Test</button>
+                    <button onClick={disablePush} style={{ ...registryButtonStyle, color: '#ff3366', borderColor: '#ff336660' }}>Turn Off</button>
                   </span>
+                ) : isPushSupported() ? (
+                  <button onClick={enablePush} disabled={pushStatus === 'enabling'} style={registryButtonStyle}>
+                    {pushStatus === 'enabling' ? 'Enabling...' : 'Enable Push'}
+                  </button>
+                ) : notificationPermission === 'default' && (
+                  <button onClick={allowLocalNotifications} style={registryButtonStyle}>Allow Notifications</button>
+                )}
+              </div>
+              <p style={{ margin: '0 0 10px 0', color: '#64748b' }}>
+                {pushSettings.subscription
+                  ? 'Push is on: alerts reach this device even when the dashboard is closed'
+                  : notificationPermission === 'denied'
+                    ? 'Notifications are blocked in the browser settings'
+                    : notificationPermission === 'granted'
+                      ? 'Alerts show only while this tab is open in the background'
+                      : 'Alerts show only on this page'}
+              </p>
+              {pushStatus && pushStatus !== 'enabling' && (
+                <p style={{ margin: '0 0 10px 0', color: '#ff3366' }}>{pushStatus}</p>
+              )}
+              {Object.entries(NOTIFICATION_SEVERITIES).map(([severity, label]) => (
+                <label key={severity} style={{ display: 'flex', alignItems: 'center', marginBottom: '4px', cursor: 'pointer', color: pushSettings.preferences[severity] ? '#cbd5e1' : '#64748b' }}>
+                  <input
+                    type="checkbox"
+                    checked={!!pushSettings.preferences[severity]}
+                    onChange={(e) => setNotificationSeverity(severity, e.target.checked)}
+                    style={{ marginRight: '8px' }}
+                  />
+                  {label}
+                </label>
+              ))}
+              <div style={{ color: '#94a3b8', letterSpacing: '1px', margin: '12px 0 8px 0' }}>ESCALATION</div>
+              <div style={{ display: 'flex', gap: '6px' }}>
+                <input
+                  value={escalation.contact}
+                  onChange={(e) => setEscalation(prev => ({ ...prev, contact: e.target.value }))}
+                  placeholder="Secondary contact (email or phone)"
+                  style={{ ...logControlStyle, flex: 1, minWidth: 0 }}
+                />
+                <select
+                  value={escalation.afterMs}
+                  onChange={(e) => setEscalation(prev => ({ ...prev, afterMs: Number(e.target.value) }))}
+                  style={logControlStyle}
+                >
+                  {Object.entries(ESCALATION_DELAYS).map(([ms, label]) => (
+                    <option key={ms} value={ms}>after {label}</option>
+                  ))}
+                </select>
+              </div>
+              <p style={{ margin: '6px 0 0 0', color: '#64748b' }}>
+                {escalation.contact.trim()
+                  ? 'Critical alerts not acknowledged in time are sent to this contact through the webhook integrations'
+                  : 'No secondary contact - unacknowledged critical alerts are not escalated'}
+              </p>
+            </div>
+
+            {/* Webhook integrations */}
+            <div style={{ marginTop: '16px', paddingTop: '16px', borderTop: '1px solid #334155', fontSize: '12px' }}>
+              <div style={{ display: 'flex', justifyContent: 'space-between', alignItems: 'center', marginBottom: '10px' }}>
+                <span style={{ color: '#94a3b8', letterSpacing: '1px' }}>INTEGRATIONS ({integrations.length})</span>
+                <button onClick={addIntegration} style={registryButtonStyle}>Add Webhook</button>
+              </div>
+              {integrations.length === 0 && (
+                <p style={{ margin: '0 0 10px 0', color: '#64748b' }}>
+                  No webhooks registered - downstream systems are not told about locks
+                </p>
+              )}
+              {integrations.map(endpoint => (
+                <div key={endpoint.id} style={{ display: 'flex', justifyContent: 'space-between', alignItems: 'center', marginBottom: '6px' }}>
+                  <span style={{ color: '#cbd5e1', wordBreak: 'break-all' }}>{endpoint.url}</span>
+                  <button onClick={() => removeIntegration(endpoint)} style={{ ...registryButtonStyle, color: '#ff3366', borderColor: '#ff336660' }}>Remove</button>
                 </div>
               ))}
+              {outbox.length > 0 && (
+                <div style={{ marginTop: '10px' }}>
+                  <div style={{ color: '#64748b', marginBottom: '6px' }}>
+                    OUTBOX · {outbox.filter(entry => entry.status === 'pending').length} pending · {outbox.filter(entry => entry.status === 'dead').length} failed
+                  </div>
+                  {outbox.slice(0, 5).map(entry => (
+                    <div key={entry.id} style={{ display: 'flex', justifyContent: 'space-between', alignItems: 'center', color: '#94a3b8', fontSize: '11px', marginBottom: '4px' }}>
+                      <span>
+                        {WEBHOOK_EVENTS[entry.event.type] || entry.event.type}
+                        {entry.event.data.name && ` · ${entry.event.data.name}`}
+                        {entry.lastError && entry.status !== 'delivered' && <span style={{ color: '#64748b' }}> · {entry.lastError}</span>}
+                      </span>
+                      <span style={{ display: 'flex', gap: '6px', alignItems: 'center' }}>
+                        <span style={{ color: outboxStatusColors[entry.status], fontWeight: 600 }}>
+                          {entry.status.toUpperCase()}{entry.attempts > 1 ? ` ×${entry.attempts}` : ''}
+                        </span>
+                        {entry.status === 'dead' && (
+                          <button onClick={() => webhooks.retry(entry.id)} style={registryButtonStyle}>Retry</button>
+                        )}
+                      </span>
+                    </div>
+                  ))}
+                </div>
+              )}
             </div>
           </div>
         </div>
@@ -1036,82 +2281,84 @@ const CyberSentrix = () => {
           </h3>
           <div style={{ display: 'grid', gridTemplateColumns: 'repeat(auto-fit, minmax(200px, 1fr))', gap: '12px' }}>
             <button
-              onClick={simulateSIMSwap}
-              disabled={servicesLocked}
+              onClick={handleSIMSwap}
+              disabled={allServicesLocked}
               style={{
                 padding: '14px',
-                background: servicesLocked ? '#334155' : 'linear-gradient(135deg, #dc2626 0%, #991b1b 100%)',
-                color: servicesLocked ? '#64748b' : '#fff',
+                background: allServicesLocked ? '#334155' : 'linear-gradient(135deg, #dc2626 0%, #991b1b 100%)',
+                color: allServicesLocked ? '#64748b' : '#fff',
                 border: 'none',
                 borderRadius: '8px',
                 fontSize: '13px',
                 fontWeight: 600,
-                cursor: servicesLocked ? 'not-allowed' : 'pointer',
+                cursor: allServicesLocked ? 'not-allowed' : 'pointer',
                 fontFamily: 'inherit',
-                opacity: servicesLocked ? 0.5 : 1,
+                opacity: allServicesLocked ? 0.5 : 1,
                 transition: 'all 0.2s'
               }}
             >
               🔄 SIMULATE SIM SWAP
             </button>
             <button
-              onClick={simulateNewDevice}
-              disabled={servicesLocked}
+              onClick={handleNewDevice}
+              disabled={allServicesLocked}
               style={{
                 padding: '14px',
-                background: servicesLocked ? '#334155' : 'linear-gradient(135deg, #ea580c 0%, #9a3412 100%)',
-                color: servicesLocked ? '#64748b' : '#fff',
+                background: allServicesLocked ? '#334155' : 'linear-gradient(135deg, #ea580c 0%, #9a3412 100%)',
+                color: allServicesLocked ? '#64748b' : '#fff',
                 border: 'none',
                 borderRadius: '8px',
                 fontSize: '13px',
                 fontWeight: 600,
-                cursor: servicesLocked ? 'not-allowed' : 'pointer',
+                cursor: allServicesLocked ? 'not-allowed' : 'pointer',
                 fontFamily: 'inherit',
-                opacity: servicesLocked ? 0.5 : 1,
+                opacity: allServicesLocked ? 0.5 : 1,
                 transition: 'all 0.2s'
               }}
             >
               📱 NEW DEVICE LOGIN
             </button>
             <button
-              onClick={simulateLocationChange}
-              disabled={servicesLocked}
+              onClick={handleLocationChange}
+              disabled={allServicesLocked}
               style={{
                 padding: '14px',
-                background: servicesLocked ? '#334155' : 'linear-gradient(135deg, #ca8a04 0%, #713f12 100%)',
-                color: servicesLocked ? '#64748b' : '#fff',
+                background: allServicesLocked ? '#334155' : 'linear-gradient(135deg, #ca8a04 0%, #713f12 100%)',
+                color: allServicesLocked ? '#64748b' : '#fff',
                 border: 'none',
                 borderRadius: '8px',
                 fontSize: '13px',
                 fontWeight: 600,
-                cursor: servicesLocked ? 'not-allowed' : 'pointer',
+                cursor: allServicesLocked ? 'not-allowed' : 'pointer',
                 fontFamily: 'inherit',
-                opacity: servicesLocked ? 0.5 : 1,
+                opacity: allServicesLocked ? 0.5 : 1,
                 transition: 'all 0.2s'
               }}
             >
               🌍 LOCATION ANOMALY
             </button>
             <button
-              onClick={simulateOTPBurst}
-              disabled={servicesLocked}
+              onClick={handleOTPBurst}
+              disabled={allServicesLocked}
               style={{
                 padding: '14px',
-                background: servicesLocked ? '#334155' : 'linear-gradient(135deg, #7c3aed 0%, #5b21b6 100%)',
-                color: servicesLocked ? '#64748b' : '#fff',
+                background: allServicesLocked ? '#334155' : 'linear-gradient(135deg, #7c3aed 0%, #5b21b6 100%)',
+                color: allServicesLocked ? '#64748b' : '#fff',
                 border: 'none',
                 borderRadius: '8px',
                 fontSize: '13px',
                 fontWeight: 600,
-                cursor: servicesLocked ? 'not-allowed' : 'pointer',
+                cursor: allServicesLocked ? 'not-allowed' : 'pointer',
                 fontFamily: 'inherit',
-                opacity: servicesLocked ? 0.5 : 1,
+                opacity: allServicesLocked ? 0.5 : 1,
                 transition: 'all 0.2s'
               }}
             >
               ⚡ OTP BURST ATTACK
             </button>
           </div>
+          <PlaybookPanel engine={engine} otpMonitor={otpMonitor} target={pipeline} getOrigin={() => locationHistory.latest()} />
+          <SessionReplayPanel recorder={sessionRecorder} engine={engine} />
           {servicesLocked && (
             <button
               onClick={startRecovery}
@@ -1155,32 +2402,100 @@ const CyberSentrix = () => {
               <h3 style={{ margin: 0, fontSize: '16px', fontWeight: 600, letterSpacing: '0.5px' }}>
                 SECURITY EVENT LOG
               </h3>
+              <span style={{ marginLeft: 'auto', display: 'flex', gap: '6px', alignItems: 'center' }}>
+                <span style={{ color: '#64748b', fontSize: '11px' }}>Export</span>
+                {Object.entries(INCIDENT_FORMATS).map(([format, { label }]) => (
+                  <button key={format} onClick={() => exportIncident(format)} style={registryButtonStyle}>{label}</button>
+                ))}
+                <button onClick={verifyEventLog} style={registryButtonStyle}>Verify Chain</button>
+              </span>
+            </div>
+            {logIntegrity && (
+              <div style={{
+                padding: '8px 10px',
+                marginBottom: '12px',
+                borderRadius: '6px',
+                fontSize: '11px',
+                background: logIntegrity.valid ? 'rgba(0, 255, 136, 0.08)' : 'rgba(255, 51, 102, 0.1)',
+                border: `1px solid ${logIntegrity.valid ? '#00ff8840' : '#ff336660'}`,
+                color: logIntegrity.valid ? '#00ff88' : '#ff3366'
+              }}>
+                {logIntegrity.valid
+                  ? `✓ Hash chain intact: ${logIntegrity.entries} entries, ${archivedCount} archived`
+                  : `✗ Tampering detected: ${logIntegrity.problems.map(problem => `#${problem.seq} ${problem.reason}`).join('; ')}`}
+              </div>
+            )}
+            {/* Filters */}
+            <div style={{ display: 'flex', flexWrap: 'wrap', gap: '6px', marginBottom: '12px' }}>
+              <input
+                value={logFilters.text}
+                onChange={(e) => updateLogFilter('text', e.target.value)}
+                placeholder="Search description or evidence"
+                style={{ ...logControlStyle, flex: '1 1 160px' }}
+              />
+              <select value={logFilters.type} onChange={(e) => updateLogFilter('type', e.target.value)} style={logControlStyle}>
+                <option value="">All types</option>
+                {[...new Set(events.map(event => event.type))].map(type => (
+                  <option key={type} value={type}>{SIGNAL_LABELS[type] || type}</option>
+                ))}
+              </select>
+              <select value={logFilters.severity} onChange={(e) => updateLogFilter('severity', e.target.value)} style={logControlStyle}>
+                <option value="">All severities</option>
+                {Object.keys(severityColors).map(severity => (
+                  <option key={severity} value={severity}>{severity}</option>
+                ))}
+              </select>
+              <select value={logFilters.range} onChange={(e) => updateLogFilter('range', e.target.value)} style={logControlStyle}>
+                {Object.entries(LOG_RANGES).map(([key, range]) => (
+                  <option key={key} value={key}>{range.label}</option>
+                ))}
+              </select>
+              <label style={{ display: 'flex', alignItems: 'center', gap: '4px', fontSize: '11px', color: '#94a3b8' }}>
+                <input type="checkbox" checked={groupRepeats} onChange={(e) => setGroupRepeats(e.target.checked)} />
+                Group repeats
+              </label>
             </div>
             <div style={{ maxHeight: '300px', overflowY: 'auto' }}>
-              {events.length === 0 ? (
+              {logGroups.length === 0 ? (
                 <p style={{ color: '#64748b', fontSize: '13px', textAlign: 'center', padding: '20px' }}>
-                  No security events detected
+                  {events.length === 0 ? 'No security events detected' : 'No events match the filters'}
                 </p>
               ) : (
-                events.map((event, i) => (
-                  <div key={event.id} style={{
-                    padding: '12px',
-                    background: event.severity === 'critical' ? 'rgba(255, 51, 102, 0.1)' : 'rgba(255, 153, 51, 0.1)',
-                    borderLeft: `3px solid ${event.severity === 'critical' ? '#ff3366' : '#ff9933'}`,
-                    borderRadius: '4px',
-                    marginBottom: i < events.length - 1 ? '10px' : 0,
-                    animation: 'slideIn 0.3s ease-out',
-                    fontSize: '12px'
-                  }}>
-                    <div style={{ display: 'flex', justifyContent: 'space-between', marginBottom: '6px' }}>
-                      <span style={{ color: event.severity === 'critical' ? '#ff3366' : '#ff9933', fontWeight: 600, textTransform: 'uppercase', fontSize: '11px' }}>
-                        {event.severity}
-                      </span>
-                      <span style={{ color: '#64748b', fontSize: '11px' }}>{event.timestamp.split(',')[1]}</span>
+                logGroups.map((group, i) => {
+                  const event = group.events[0];
+                  return (
+                    <div
+                      key={group.key}
+                      onClick={() => setSelectedEvent({ event, group })}
+                      style={{
+                        padding: '12px',
+                        background: `${severityColors[event.severity] || '#ff9933'}1a`,
+                        borderLeft: `3px solid ${severityColors[event.severity] || '#ff9933'}`,
+                        borderRadius: '4px',
+                        marginBottom: i < logGroups.length - 1 ? '10px' : 0,
+                        animation: 'slideIn 0.3s ease-out',
+                        fontSize: '12px',
+                        cursor: 'pointer'
+                      }}
+                    >
+                      <div style={{ display: 'flex', justifyContent: 'space-between', marginBottom: '6px' }}>
+                        <span style={{ color: severityColors[event.severity] || '#ff9933', fontWeight: 600, textTransform: 'uppercase', fontSize: '11px' }}>
+                          {event.severity}
+                          {group.count > 1 && <span style={{ color: '#94a3b8', marginLeft: '8px' }}>×{group.count}</span>}
+                        </span>
+                        <span style={{ color: '#64748b', fontSize: '11px' }}>
+                          {group.count > 1 && `${new Date(group.events[group.count - 1].timestamp).toLocaleTimeString()} – `}
+                          {new Date(event.timestamp).toLocaleTimeString()}
+                        </span>
+                      </div>
+                      <p style={{ margin: 0, color: '#cbd5e1' }}>{event.description}</p>
+                      <div style={{ display: 'flex', justifyContent: 'space-between', marginTop: '4px', fontSize: '11px', color: '#64748b' }}>
+                        <span>{SIGNAL_LABELS[event.type] || event.type}</span>
+                        <span>{group.points > 0 ? `+${group.points} pts` : '—'} · details ›</span>
+                      </div>
                     </div>
-                    <p style={{ margin: 0, color: '#cbd5e1' }}>{event.description}</p>
-                  </div>
-                ))
+                  );
+                })
               )}
             </div>
           </div>
@@ -1200,6 +2515,32 @@ const CyberSentrix = () => {
                 OTP ACTIVITY MONITOR
               </h3>
             </div>
+            {/* Request rate: 5s buckets over the last two minutes */}
+            <div style={{ marginBottom: '16px' }}>
+              <div style={{ display: 'flex', justifyContent: 'space-between', fontSize: '11px', color: '#94a3b8', marginBottom: '6px' }}>
+                <span>REQUEST RATE (5s)</span>
+                <span>Burst at {otpMonitor.thresholds.global} / {otpMonitor.thresholds.windowMs / 1000}s</span>
+              </div>
+              <svg viewBox={`0 0 ${otpRate.length * 10} 40`} preserveAspectRatio="none" style={{ width: '100%', height: '48px', display: 'block' }}>
+                {otpRate.map((bucket, i) => {
+                  const peak = Math.max(3, ...otpRate.map(b => b.count));
+                  const height = (bucket.count / peak) * 38;
+                  return (
+                    <rect
+                      key={bucket.start}
+                      x={i * 10 + 1}
+                      y={40 - height}
+                      width={8}
+                      height={height}
+                      fill={bucket.count >= otpMonitor.thresholds.perService ? '#ff3366' : '#8b5cf6'}
+                    >
+                      <title>{`${new Date(bucket.start).toLocaleTimeString()}: ${bucket.count} requests`}</title>
+                    </rect>
+                  );
+                })}
+                <line x1="0" y1="39.5" x2={otpRate.length * 10} y2="39.5" stroke="#334155" strokeWidth="1" />
+              </svg>
+            </div>
             <div style={{ maxHeight: '300px', overflowY: 'auto' }}>
               {otpActivity.length === 0 ? (
                 <p style={{ color: '#64748b', fontSize: '13px', textAlign: 'center', padding: '20px' }}>
@@ -1217,16 +2558,19 @@ const CyberSentrix = () => {
                   }}>
                     <div style={{ display: 'flex', justifyContent: 'space-between', marginBottom: '6px' }}>
                       <span style={{ color: '#cbd5e1', fontWeight: 600 }}>{otp.service}</span>
-                      <span style={{ color: '#64748b', fontSize: '11px' }}>{otp.timestamp}</span>
+                      <span style={{ color: '#64748b', fontSize: '11px' }}>{new Date(otp.timestamp).toLocaleTimeString()}</span>
                     </div>
-                    <div style={{ 
-                      fontFamily: 'monospace', 
-                      fontSize: '18px', 
-                      color: '#8b5cf6',
-                      letterSpacing: '2px',
-                      fontWeight: 700
-                    }}>
-                      {otp.code}
+                    <div style={{ display: 'flex', justifyContent: 'space-between', alignItems: 'baseline' }}>
+                      <span style={{ 
+                        fontFamily: 'monospace', 
+                        fontSize: '18px', 
+                        color: '#8b5cf6',
+                        letterSpacing: '2px',
+                        fontWeight: 700
+                      }}>
+                        {otp.maskedCode}
+                      </span>
+                      <span style={{ color: '#64748b', fontSize: '11px', textTransform: 'uppercase' }}>{otp.channel}</span>
                     </div>
                   </div>
                 ))
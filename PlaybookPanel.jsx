@@ -0,0 +1,230 @@
+import React, { useEffect, useMemo, useState } from 'react';
+import { formatDuration, parsePlaybook, PLAYBOOK_LIBRARY } from './playbook.js';
+import { createPlaybookPlayer } from './playbookPlayer.js';
+import { SIGNAL_LABELS } from './scoring.js';
+
+// Attack playbook editor and player: pick a scripted scenario or write one,
+// play, pause or step through it, and see which detections fired and how long
+// each took once it finishes.
+
+const LIBRARY_LABELS = {
+  simSwapTakeover: 'SIM swap takeover',
+  credentialStuffing: 'Credential stuffing',
+  deviceTheft: 'Stolen phone'
+};
+
+const SPEEDS = [1, 10, 60];
+
+const stepStatusColors = {
+  pending: '#64748b',
+  running: '#6366f1',
+  done: '#00ff88',
+  skipped: '#334155'
+};
+
+const controlStyle = (enabled, color = '#6366f1') => ({
+  padding: '8px 14px',
+  background: enabled ? color : '#334155',
+  color: enabled ? '#fff' : '#64748b',
+  border: 'none',
+  borderRadius: '6px',
+  fontSize: '12px',
+  fontWeight: 600,
+  cursor: enabled ? 'pointer' : 'not-allowed',
+  fontFamily: 'inherit'
+});
+
+const fieldStyle = {
+  padding: '6px 8px',
+  background: '#0f172a',
+  color: '#cbd5e1',
+  border: '1px solid #334155',
+  borderRadius: '4px',
+  fontSize: '11px',
+  fontFamily: 'inherit'
+};
+
+const PlaybookPanel = ({ engine, otpMonitor, target, getOrigin }) => {
+  const [choice, setChoice] = useState('simSwapTakeover');
+  const [text, setText] = useState(PLAYBOOK_LIBRARY.simSwapTakeover);
+  const [player, setPlayer] = useState(null);
+  const [playerState, setPlayerState] = useState(null);
+  const [speed, setSpeed] = useState(1);
+
+  const parsed = useMemo(() => {
+    try {
+      return { playbook: parsePlaybook(text), error: null };
+    } catch (error) {
+      return { playbook: null, error: error.message };
+    }
+  }, [text]);
+
+  // The editor is locked while a player exists, so this is what it plays
+  const { playbook } = parsed;
+  const status = playerState ? playerState.status : 'ready';
+
+  useEffect(() => {
+    if (!player) return undefined;
+    const unsubscribe = player.subscribe(setPlayerState);
+    return () => {
+      unsubscribe();
+      player.dispose();
+    };
+  }, [player]);
+
+  // Keep the progress bar moving between signals
+  useEffect(() => {
+    if (!player || status !== 'playing') return undefined;
+    const interval = setInterval(() => setPlayerState(player.getState()), 250);
+    return () => clearInterval(interval);
+  }, [player, status]);
+
+  const choose = (key) => {
+    setChoice(key);
+    if (key !== 'custom') setText(PLAYBOOK_LIBRARY[key]);
+    setPlayer(null);
+    setPlayerState(null);
+  };
+
+  // The player is created on first use, starting travel from the last real fix
+  const ensurePlayer = async () => {
+    if (player) return player;
+    const created = createPlaybookPlayer({
+      playbook: parsed.playbook,
+      engine,
+      otpMonitor,
+      target,
+      origin: (await getOrigin()) || undefined,
+      speed
+    });
+    setPlayer(created);
+    setPlayerState(created.getState());
+    return created;
+  };
+
+  const play = async () => (await ensurePlayer()).play();
+
+  const step = async () => {
+    const current = await ensurePlayer();
+    await current.step();
+  };
+
+  const reset = () => {
+    setPlayer(null);
+    setPlayerState(null);
+  };
+
+  const changeSpeed = (value) => {
+    setSpeed(value);
+    if (player) player.setSpeed(value);
+  };
+
+  const report = player && status === 'finished' ? player.getReport() : null;
+  const steps = playerState ? playerState.steps : playbook ? playbook.steps.map(entry => ({ ...entry, status: 'pending' })) : [];
+  const position = playerState ? playerState.position : 0;
+  const canRun = !!playbook && status !== 'finished';
+
+  return (
+    <div style={{ marginTop: '20px', paddingTop: '20px', borderTop: '1px solid #334155', fontSize: '12px' }}>
+      <div style={{ display: 'flex', justifyContent: 'space-between', alignItems: 'center', marginBottom: '10px', gap: '10px', flexWrap: 'wrap' }}>
+        <span style={{ color: '#94a3b8', letterSpacing: '1px' }}>ATTACK PLAYBOOKS</span>
+        <span style={{ display: 'flex', gap: '6px' }}>
+          <select value={choice} onChange={(e) => choose(e.target.value)} disabled={status === 'playing'} style={fieldStyle}>
+            {Object.keys(PLAYBOOK_LIBRARY).map(key => (
+              <option key={key} value={key}>{LIBRARY_LABELS[key] || key}</option>
+            ))}
+            <option value="custom">Custom</option>
+          </select>
+          <select value={speed} onChange={(e) => changeSpeed(Number(e.target.value))} style={fieldStyle}>
+            {SPEEDS.map(value => <option key={value} value={value}>{value}× speed</option>)}
+          </select>
+        </span>
+      </div>
+
+      <textarea
+        value={text}
+        onChange={(e) => {
+          setText(e.target.value);
+          setChoice('custom');
+          reset();
+        }}
+        disabled={!!player}
+        spellCheck={false}
+        rows={8}
+        style={{ ...fieldStyle, width: '100%', boxSizing: 'border-box', fontFamily: 'monospace', resize: 'vertical' }}
+      />
+      {parsed.error ? (
+        <p style={{ margin: '6px 0 0 0', color: '#ff3366' }}>{parsed.error}</p>
+      ) : (
+        <p style={{ margin: '6px 0 0 0', color: '#64748b' }}>
+          {parsed.playbook.name}{parsed.playbook.description && ` - ${parsed.playbook.description}`} · {parsed.playbook.steps.length} steps · {formatDuration(parsed.playbook.durationMs)}
+        </p>
+      )}
+
+      <div style={{ display: 'flex', gap: '8px', margin: '12px 0' }}>
+        {status === 'playing' ? (
+          <button onClick={() => player.pause()} style={controlStyle(true, '#ff9933')}>❚❚ PAUSE</button>
+        ) : (
+          <button onClick={play} disabled={!canRun} style={controlStyle(canRun)}>▶ PLAY</button>
+        )}
+        <button onClick={step} disabled={!canRun} style={controlStyle(canRun, '#475569')}>STEP ▸</button>
+        <button onClick={() => player.stop()} disabled={!player || status === 'finished'} style={controlStyle(!!player && status !== 'finished', '#475569')}>■ STOP</button>
+        <button onClick={reset} disabled={!player} style={controlStyle(!!player, '#475569')}>↺ RESET</button>
+      </div>
+
+      {playbook && (
+        <>
+          <div style={{ height: '6px', background: 'rgba(15, 23, 42, 0.8)', borderRadius: '3px', overflow: 'hidden', marginBottom: '10px' }}>
+            <div style={{
+              height: '100%',
+              width: `${playbook.durationMs > 0 ? Math.min(100, (position / playbook.durationMs) * 100) : status === 'finished' ? 100 : 0}%`,
+              background: '#6366f1',
+              transition: 'width 0.25s linear'
+            }} />
+          </div>
+          {steps.map(entry => (
+            <div key={entry.index} style={{ display: 'flex', justifyContent: 'space-between', marginBottom: '4px', color: stepStatusColors[entry.status] }}>
+              <span>
+                {entry.status === 'done' ? '✓' : entry.status === 'running' ? '▸' : '○'} {entry.label}
+                {entry.params.city && ` · ${entry.params.city}`}
+              </span>
+              <span style={{ fontFamily: 'monospace' }}>+{formatDuration(entry.at)}</span>
+            </div>
+          ))}
+        </>
+      )}
+
+      {report && (
+        <div style={{ marginTop: '14px', padding: '12px', background: 'rgba(15, 23, 42, 0.6)', borderRadius: '8px', border: '1px solid #334155' }}>
+          <div style={{ color: '#94a3b8', letterSpacing: '1px', marginBottom: '8px' }}>
+            DETECTION REPORT · {report.detections.length} fired · {report.steps.reduce((total, entry) => total + entry.missed.length, 0)} missed
+          </div>
+          {report.steps.map(entry => (
+            <div key={entry.index} style={{ marginBottom: '8px' }}>
+              <div style={{ color: '#cbd5e1' }}>{entry.label}{entry.status === 'skipped' && <span style={{ color: '#64748b' }}> (not played)</span>}</div>
+              {entry.fired.map((detection, i) => (
+                <div key={i} style={{ display: 'flex', justifyContent: 'space-between', color: '#00ff88', paddingLeft: '12px' }}>
+                  <span>✓ {SIGNAL_LABELS[detection.type] || detection.type}</span>
+                  <span style={{ fontFamily: 'monospace' }}>fired after {formatDuration(detection.latencyMs)}</span>
+                </div>
+              ))}
+              {entry.missed.map(type => (
+                <div key={type} style={{ color: '#ff3366', paddingLeft: '12px' }}>✗ {SIGNAL_LABELS[type] || type} not detected</div>
+              ))}
+              {entry.status === 'done' && entry.fired.length === 0 && entry.missed.length === 0 && (
+                <div style={{ color: '#64748b', paddingLeft: '12px' }}>no detection expected</div>
+              )}
+            </div>
+          ))}
+          {report.locks.map((lock, i) => (
+            <div key={i} style={{ color: '#ff3366', marginTop: '4px' }}>
+              🔒 {lock.services.join(', ')} locked {formatDuration(lock.at)} into the playbook
+            </div>
+          ))}
+        </div>
+      )}
+    </div>
+  );
+};
+
+export default PlaybookPanel;
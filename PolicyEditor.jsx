@@ -0,0 +1,223 @@
+import React, { useEffect, useMemo, useState } from 'react';
+import { DEFAULT_POLICY, dryRunPolicy, parsePolicy, validatePolicy } from './policy.js';
+import { RISK_BANDS, SIGNAL_LABELS } from './scoring.js';
+
+// Admin editor for the detection policy: edit the JSON, see schema problems as
+// you type, dry-run the draft over the last logged events, then publish it as
+// a new version. Earlier versions can be rolled back to. Lives in the staff
+// console; versions are kept by the server, which only lets a signed-in
+// policy admin publish or roll back.
+
+const DRY_RUN_SIZES = [20, 50, 100];
+
+const levelColor = (level) => (RISK_BANDS.find(band => band.level === level) || RISK_BANDS[RISK_BANDS.length - 1]).color;
+
+const buttonStyle = (enabled, color = '#6366f1') => ({
+  padding: '8px 14px',
+  background: enabled ? color : '#334155',
+  color: enabled ? '#fff' : '#64748b',
+  border: 'none',
+  borderRadius: '6px',
+  fontSize: '12px',
+  fontWeight: 600,
+  cursor: enabled ? 'pointer' : 'not-allowed',
+  fontFamily: 'inherit'
+});
+
+const fieldStyle = {
+  padding: '6px 8px',
+  background: '#0f172a',
+  color: '#cbd5e1',
+  border: '1px solid #334155',
+  borderRadius: '4px',
+  fontSize: '11px',
+  fontFamily: 'inherit'
+};
+
+const format = (policy) => JSON.stringify(policy, null, 2);
+
+const Outcome = ({ result }) => (
+  <span style={{ color: levelColor(result.level) }}>
+    {result.score} {result.level}
+    {result.locked.length > 0 && <span style={{ color: '#ff3366' }}> 🔒 {result.locked.join(', ')}</span>}
+  </span>
+);
+
+// policies: the staff client's policy calls (see staffClient.js).
+// activeVersion: the published entry in force, or null for the built-in default.
+// onPublished: called with each version published or rolled back to from here.
+// loadEvents: async () -> event store entries to dry-run against.
+const PolicyEditor = ({ policies, activeVersion, onPublished, loadEvents, baseScore }) => {
+  const activePolicy = activeVersion ? activeVersion.policy : DEFAULT_POLICY;
+  const [text, setText] = useState(() => format(activePolicy));
+  const [note, setNote] = useState('');
+  const [limit, setLimit] = useState(50);
+  const [dryRun, setDryRun] = useState(null);
+  const [versions, setVersions] = useState([]);
+  const [message, setMessage] = useState(null);
+
+  useEffect(() => {
+    policies.list()
+      .then(setVersions)
+      .catch(error => setMessage({ error: true, text: error.message }));
+  }, [policies, activeVersion]);
+
+  // A newly published or rolled back version becomes the draft
+  useEffect(() => {
+    setText(format(activePolicy));
+    setDryRun(null);
+  }, [activeVersion]);
+
+  const parsed = useMemo(() => {
+    try {
+      const policy = parsePolicy(text);
+      return { policy, errors: validatePolicy(policy) };
+    } catch (error) {
+      return { policy: null, errors: [error.message] };
+    }
+  }, [text]);
+
+  const valid = parsed.errors.length === 0;
+  const unchanged = valid && format(parsed.policy) === format(activePolicy);
+  // Publishing needs a dry run of exactly this draft
+  const canPublish = valid && !unchanged && dryRun !== null;
+
+  const edit = (value) => {
+    setText(value);
+    setDryRun(null);
+    setMessage(null);
+  };
+
+  const runDryRun = async () => {
+    try {
+      setDryRun(dryRunPolicy(await loadEvents(), { current: activePolicy, draft: parsed.policy, limit, baseScore }));
+    } catch (error) {
+      setMessage({ error: true, text: `Dry run failed: ${error.message}` });
+    }
+  };
+
+  const publish = async () => {
+    try {
+      const entry = await policies.publish(parsed.policy, { note: note.trim() });
+      setNote('');
+      onPublished(entry);
+      setMessage({ error: false, text: `Published version ${entry.version}` });
+    } catch (error) {
+      setMessage({ error: true, text: error.message });
+    }
+  };
+
+  const rollback = async (version) => {
+    try {
+      const entry = await policies.rollback(version);
+      onPublished(entry);
+      setMessage({ error: false, text: `Version ${version} republished as version ${entry.version}` });
+    } catch (error) {
+      setMessage({ error: true, text: error.message });
+    }
+  };
+
+  return (
+    <div style={{ fontSize: '12px' }}>
+      <div style={{ display: 'flex', justifyContent: 'space-between', alignItems: 'center', marginBottom: '10px', gap: '10px', flexWrap: 'wrap' }}>
+        <span style={{ color: '#94a3b8' }}>
+          {activeVersion
+            ? `Version ${activeVersion.version} in force since ${new Date(activeVersion.publishedAt).toLocaleString()}`
+            : 'Built-in default policy in force'}
+        </span>
+        <span style={{ display: 'flex', gap: '6px' }}>
+          <button onClick={() => edit(format(activePolicy))} style={buttonStyle(true, '#475569')}>Reset draft</button>
+          <button onClick={() => edit(format(DEFAULT_POLICY))} style={buttonStyle(true, '#475569')}>Load defaults</button>
+        </span>
+      </div>
+
+      <textarea
+        value={text}
+        onChange={(e) => edit(e.target.value)}
+        spellCheck={false}
+        rows={16}
+        style={{ ...fieldStyle, width: '100%', boxSizing: 'border-box', fontFamily: 'monospace', resize: 'vertical' }}
+      />
+      {valid ? (
+        <p style={{ margin: '6px 0 0 0', color: '#00ff88' }}>✓ Valid{unchanged && ' · same as the policy in force'}</p>
+      ) : (
+        <ul style={{ margin: '6px 0 0 0', paddingLeft: '18px', color: '#ff3366' }}>
+          {parsed.errors.map((error, i) => <li key={i}>{error}</li>)}
+        </ul>
+      )}
+
+      <div style={{ display: 'flex', gap: '8px', alignItems: 'center', margin: '12px 0', flexWrap: 'wrap' }}>
+        <select value={limit} onChange={(e) => { setLimit(Number(e.target.value)); setDryRun(null); }} style={fieldStyle}>
+          {DRY_RUN_SIZES.map(size => <option key={size} value={size}>Last {size} events</option>)}
+        </select>
+        <button onClick={runDryRun} disabled={!valid} style={buttonStyle(valid)}>DRY RUN</button>
+        <input
+          value={note}
+          onChange={(e) => setNote(e.target.value)}
+          placeholder="Change note"
+          style={{ ...fieldStyle, flex: 1, minWidth: '140px' }}
+        />
+        <button onClick={publish} disabled={!canPublish} style={buttonStyle(canPublish, '#00cc6a')}>PUBLISH</button>
+      </div>
+      {message && <p style={{ margin: '0 0 12px 0', color: message.error ? '#ff3366' : '#00ff88' }}>{message.text}</p>}
+
+      {dryRun && (
+        <div style={{ padding: '12px', background: 'rgba(15, 23, 42, 0.6)', borderRadius: '8px', border: '1px solid #334155', marginBottom: '12px' }}>
+          <div style={{ color: '#94a3b8', letterSpacing: '1px', marginBottom: '8px' }}>
+            DRY RUN · {dryRun.summary.events} events · {dryRun.summary.changed} changed ·
+            peak {dryRun.summary.peak.current} → {dryRun.summary.peak.draft} ·
+            locks {dryRun.summary.locks.current} → {dryRun.summary.locks.draft}
+          </div>
+          {dryRun.rows.length === 0 ? (
+            <div style={{ color: '#64748b' }}>No logged events yet</div>
+          ) : (
+            <div style={{ maxHeight: '260px', overflowY: 'auto' }}>
+              <table style={{ width: '100%', borderCollapse: 'collapse' }}>
+                <thead>
+                  <tr style={{ color: '#64748b', textAlign: 'left' }}>
+                    <th style={{ fontWeight: 400, paddingBottom: '6px' }}>Event</th>
+                    <th style={{ fontWeight: 400 }}>When</th>
+                    <th style={{ fontWeight: 400 }}>In force</th>
+                    <th style={{ fontWeight: 400 }}>Draft</th>
+                  </tr>
+                </thead>
+                <tbody>
+                  {[...dryRun.rows].reverse().map(row => (
+                    <tr key={row.event.id} style={{ borderTop: '1px solid #334155', background: row.changed ? 'rgba(99, 102, 241, 0.1)' : 'transparent' }}>
+                      <td style={{ padding: '6px 0', color: '#cbd5e1' }}>{SIGNAL_LABELS[row.event.type] || row.event.type}</td>
+                      <td style={{ color: '#64748b' }}>{new Date(row.event.detectedAt).toLocaleString()}</td>
+                      <td><Outcome result={row.current} /></td>
+                      <td><Outcome result={row.draft} /></td>
+                    </tr>
+                  ))}
+                </tbody>
+              </table>
+            </div>
+          )}
+        </div>
+      )}
+
+      <div style={{ color: '#94a3b8', letterSpacing: '1px', marginBottom: '8px' }}>VERSION HISTORY</div>
+      {versions.length === 0 ? (
+        <div style={{ color: '#64748b' }}>Nothing published yet</div>
+      ) : versions.map(entry => (
+        <div key={entry.version} style={{ display: 'flex', justifyContent: 'space-between', alignItems: 'center', gap: '10px', padding: '6px 0', borderTop: '1px solid #334155' }}>
+          <span style={{ color: '#cbd5e1' }}>
+            v{entry.version} · {new Date(entry.publishedAt).toLocaleString()} · {entry.author.name} ({entry.author.staffId})
+            {entry.note && <span style={{ color: '#64748b' }}> · {entry.note}</span>}
+          </span>
+          {activeVersion && entry.version === activeVersion.version ? (
+            <span style={{ color: '#00ff88' }}>IN FORCE</span>
+          ) : (
+            <span style={{ display: 'flex', gap: '6px' }}>
+              <button onClick={() => edit(format(entry.policy))} style={buttonStyle(true, '#475569')}>Edit</button>
+              <button onClick={() => rollback(entry.version)} style={buttonStyle(true, '#475569')}>Roll back</button>
+            </span>
+          )}
+        </div>
+      ))}
+    </div>
+  );
+};
+
+export default PolicyEditor;
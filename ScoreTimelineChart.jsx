@@ -0,0 +1,229 @@
+import React, { useRef, useState } from 'react';
+import { RISK_BANDS, SIGNAL_LABELS, getRiskLevel } from './scoring.js';
+
+// Risk score over time as a step line over the LOW-CRITICAL bands, with
+// lockdown and recovery markers. Zoom with the range buttons or by dragging
+// across the chart; hover for the change behind each point.
+
+const WIDTH = 600;
+const HEIGHT = 180;
+const PAD = { left: 28, right: 8, top: 8, bottom: 20 };
+const PLOT_W = WIDTH - PAD.left - PAD.right;
+const PLOT_H = HEIGHT - PAD.top - PAD.bottom;
+
+const RANGES = {
+  '5m': { label: '5m', ms: 5 * 60 * 1000 },
+  '15m': { label: '15m', ms: 15 * 60 * 1000 },
+  '1h': { label: '1h', ms: 60 * 60 * 1000 },
+  all: { label: 'All', ms: null }
+};
+
+const markerColors = {
+  lockdown: '#ff3366',
+  recovery: '#00ff88'
+};
+
+const CAUSE_LABELS = {
+  start: 'Monitoring started',
+  decay: 'Signals decayed',
+  condition: 'Ongoing condition changed',
+  reset: 'Recovery reset the score',
+  restore: 'Restored from stored log'
+};
+
+const rangeButtonStyle = (active) => ({
+  padding: '3px 8px',
+  background: active ? '#6366f1' : 'transparent',
+  color: active ? '#fff' : '#94a3b8',
+  border: '1px solid #334155',
+  borderRadius: '4px',
+  fontSize: '11px',
+  cursor: 'pointer',
+  fontFamily: 'inherit'
+});
+
+const formatTick = (ms, span) => new Date(ms).toLocaleTimeString([], span > 10 * 60 * 1000
+  ? { hour: '2-digit', minute: '2-digit' }
+  : { hour: '2-digit', minute: '2-digit', second: '2-digit' });
+
+const ScoreTimelineChart = ({ points, markers, bands = RISK_BANDS, now = Date.now() }) => {
+  const svgRef = useRef(null);
+  // { range } follows the present; { from, to } is a fixed window from a drag
+  const [zoom, setZoom] = useState({ range: 'all' });
+  const [hover, setHover] = useState(null);
+  const [drag, setDrag] = useState(null);
+
+  const end = zoom.to !== undefined ? zoom.to : now;
+  const start = zoom.from !== undefined
+    ? zoom.from
+    : RANGES[zoom.range].ms ? end - RANGES[zoom.range].ms : Math.min(points.length > 0 ? points[0].at : end, end - 60 * 1000);
+  const span = Math.max(end - start, 1);
+
+  const x = (at) => PAD.left + ((at - start) / span) * PLOT_W;
+  const y = (score) => PAD.top + (1 - score / 100) * PLOT_H;
+  const timeAt = (plotX) => start + ((plotX - PAD.left) / PLOT_W) * span;
+
+  // Carry in the score from before the window so the line starts at the edge
+  const before = points.filter(point => point.at < start);
+  const visible = points.filter(point => point.at >= start && point.at <= end);
+  const series = [
+    ...(before.length > 0 ? [{ ...before[before.length - 1], at: start, carried: true }] : []),
+    ...visible
+  ];
+
+  let path = '';
+  series.forEach((point, i) => {
+    path += i === 0
+      ? `M ${x(point.at)} ${y(point.score)}`
+      : ` H ${x(point.at)} V ${y(point.score)}`;
+  });
+  if (series.length > 0) path += ` H ${x(end)}`;
+
+  const toPlotX = (event) => {
+    const rect = svgRef.current.getBoundingClientRect();
+    return ((event.clientX - rect.left) / rect.width) * WIDTH;
+  };
+
+  const handleMouseMove = (event) => {
+    const plotX = toPlotX(event);
+    if (drag) setDrag(prev => ({ ...prev, current: plotX }));
+
+    const nearest = visible.reduce((best, point) => {
+      const distance = Math.abs(x(point.at) - plotX);
+      return !best || distance < best.distance ? { point, distance } : best;
+    }, null);
+    setHover(nearest && nearest.distance < 20 ? nearest.point : null);
+  };
+
+  const handleMouseUp = () => {
+    if (drag && Math.abs(drag.current - drag.start) > 5) {
+      const from = timeAt(Math.max(PAD.left, Math.min(drag.start, drag.current)));
+      const to = timeAt(Math.min(WIDTH - PAD.right, Math.max(drag.start, drag.current)));
+      setZoom({ from, to });
+    }
+    setDrag(null);
+  };
+
+  const ticks = Array.from({ length: 5 }, (_, i) => start + (span * i) / 4);
+
+  return (
+    <div style={{ position: 'relative' }}>
+      <div style={{ display: 'flex', justifyContent: 'space-between', alignItems: 'center', marginBottom: '8px' }}>
+        <span style={{ color: '#94a3b8', letterSpacing: '1px', fontSize: '12px' }}>SCORE HISTORY</span>
+        <span style={{ display: 'flex', gap: '4px' }}>
+          {Object.entries(RANGES).map(([key, range]) => (
+            <button key={key} onClick={() => setZoom({ range: key })} style={rangeButtonStyle(zoom.range === key)}>
+              {range.label}
+            </button>
+          ))}
+          {zoom.from !== undefined && (
+            <button onClick={() => setZoom({ range: 'all' })} style={rangeButtonStyle(false)}>Reset zoom</button>
+          )}
+        </span>
+      </div>
+
+      <svg
+        ref={svgRef}
+        viewBox={`0 0 ${WIDTH} ${HEIGHT}`}
+        style={{ width: '100%', height: 'auto', display: 'block', cursor: 'crosshair', userSelect: 'none' }}
+        onMouseDown={(event) => {
+          const plotX = toPlotX(event);
+          setDrag({ start: plotX, current: plotX });
+        }}
+        onMouseMove={handleMouseMove}
+        onMouseUp={handleMouseUp}
+        onMouseLeave={() => {
+          setHover(null);
+          setDrag(null);
+        }}
+      >
+        {/* Risk level bands */}
+        {bands.map((band, i) => {
+          const top = i === 0 ? 100 : bands[i - 1].min;
+          return (
+            <g key={band.level}>
+              <rect x={PAD.left} y={y(top)} width={PLOT_W} height={y(band.min) - y(top)} fill={band.color} opacity={0.08} />
+              <text x={WIDTH - PAD.right - 4} y={y(top) + 11} textAnchor="end" fontSize="9" fill={band.color} opacity={0.7}>
+                {band.level}
+              </text>
+              <text x={PAD.left - 4} y={y(band.min) + 3} textAnchor="end" fontSize="9" fill="#64748b">{band.min}</text>
+            </g>
+          );
+        })}
+
+        {/* Lockdown and recovery markers */}
+        {markers.filter(marker => marker.at >= start && marker.at <= end).map((marker, i) => (
+          <g key={`${marker.at}-${i}`}>
+            <line
+              x1={x(marker.at)} y1={PAD.top} x2={x(marker.at)} y2={PAD.top + PLOT_H}
+              stroke={markerColors[marker.kind]} strokeWidth="1" strokeDasharray="3 3"
+            />
+            <text x={x(marker.at) + 3} y={PAD.top + 9} fontSize="9" fill={markerColors[marker.kind]}>
+              {marker.kind === 'lockdown' ? '🔒' : '✓'}
+            </text>
+            <title>{`${new Date(marker.at).toLocaleString()}: ${marker.label}`}</title>
+          </g>
+        ))}
+
+        <path d={path} fill="none" stroke="#6366f1" strokeWidth="2" />
+        {visible.map((point, i) => (
+          <circle
+            key={`${point.at}-${i}`}
+            cx={x(point.at)}
+            cy={y(point.score)}
+            r={hover === point ? 4 : 2}
+            fill={getRiskLevel(point.score, bands).color}
+          />
+        ))}
+
+        {hover && (
+          <line x1={x(hover.at)} y1={PAD.top} x2={x(hover.at)} y2={PAD.top + PLOT_H} stroke="#94a3b8" strokeWidth="0.5" />
+        )}
+
+        {drag && (
+          <rect
+            x={Math.min(drag.start, drag.current)}
+            y={PAD.top}
+            width={Math.abs(drag.current - drag.start)}
+            height={PLOT_H}
+            fill="#6366f1"
+            opacity={0.15}
+          />
+        )}
+
+        {ticks.map(tick => (
+          <text key={tick} x={x(tick)} y={HEIGHT - 6} textAnchor="middle" fontSize="9" fill="#64748b">
+            {formatTick(tick, span)}
+          </text>
+        ))}
+      </svg>
+
+      {hover && (
+        <div style={{
+          position: 'absolute',
+          left: `${Math.min(70, Math.max(0, (x(hover.at) / WIDTH) * 100 - 15))}%`,
+          top: '30px',
+          padding: '8px 10px',
+          background: '#0f172a',
+          border: `1px solid ${getRiskLevel(hover.score, bands).color}`,
+          borderRadius: '6px',
+          fontSize: '11px',
+          pointerEvents: 'none',
+          maxWidth: '45%'
+        }}>
+          <div style={{ color: getRiskLevel(hover.score, bands).color, fontWeight: 700 }}>
+            {hover.score} · {getRiskLevel(hover.score, bands).level}
+          </div>
+          <div style={{ color: '#64748b' }}>{new Date(hover.at).toLocaleString()}</div>
+          <div style={{ color: '#cbd5e1', marginTop: '4px' }}>
+            {hover.signal
+              ? `${SIGNAL_LABELS[hover.signal] || hover.signal}: ${hover.description}`
+              : CAUSE_LABELS[hover.cause] || hover.cause}
+          </div>
+        </div>
+      )}
+    </div>
+  );
+};
+
+export default ScoreTimelineChart;
@@ -0,0 +1,198 @@
+import React, { useEffect, useState } from 'react';
+import { formatDuration } from './playbook.js';
+import { DEFAULT_WEIGHTS, SIGNAL_LABELS } from './scoring.js';
+import { parseSession, serializeSession } from './sessionRecorder.js';
+import { compareReplays, verifyReplay } from './sessionReplay.js';
+
+// Session recorder controls and replay bench: download what this dashboard has
+// seen since it opened, or load a session file, and replay it under the
+// recorded weights and alternatives to see how the score and locks change.
+
+// Multipliers applied to the recorded weights
+const WEIGHT_PRESETS = [
+  { name: 'Recorded', factor: 1 },
+  { name: 'Strict ×1.5', factor: 1.5 },
+  { name: 'Lenient ×0.5', factor: 0.5 }
+];
+
+const levelColors = {
+  CRITICAL: '#ff3366',
+  HIGH: '#ff9933',
+  MEDIUM: '#ffcc00',
+  LOW: '#00ff88'
+};
+
+const buttonStyle = (enabled = true) => ({
+  padding: '8px 14px',
+  background: enabled ? '#6366f1' : '#334155',
+  color: enabled ? '#fff' : '#64748b',
+  border: 'none',
+  borderRadius: '6px',
+  fontSize: '12px',
+  fontWeight: 600,
+  cursor: enabled ? 'pointer' : 'not-allowed',
+  fontFamily: 'inherit'
+});
+
+const fieldStyle = {
+  padding: '6px 8px',
+  background: '#0f172a',
+  color: '#cbd5e1',
+  border: '1px solid #334155',
+  borderRadius: '4px',
+  fontSize: '11px',
+  fontFamily: 'monospace'
+};
+
+const scaleWeights = (weights, factor) =>
+  Object.fromEntries(Object.entries(weights).map(([type, weight]) => [type, Math.round(weight * factor * 10) / 10]));
+
+// -> [{ name, scoring }], or throws on invalid custom weights
+const buildVariants = (session, customText) => {
+  const recorded = { ...DEFAULT_WEIGHTS, ...(session.config.engine.scoring || {}).weights };
+  const variants = WEIGHT_PRESETS.map(({ name, factor }) => ({ name, scoring: { weights: scaleWeights(recorded, factor) } }));
+  if (!customText.trim()) return variants;
+
+  let custom;
+  try {
+    custom = JSON.parse(customText);
+  } catch (error) {
+    throw new Error(`Custom weights: ${error.message}`);
+  }
+  if (!custom || typeof custom !== 'object' || Array.isArray(custom)) throw new Error('Custom weights must be an object');
+  Object.entries(custom).forEach(([type, weight]) => {
+    if (!(type in recorded)) throw new Error(`Custom weights: unknown signal "${type}"`);
+    if (typeof weight !== 'number' || weight < 0) throw new Error(`Custom weights: ${type} must be a number ≥ 0`);
+  });
+  return [...variants, { name: 'Custom', scoring: { weights: { ...recorded, ...custom } } }];
+};
+
+const Check = ({ value, label }) => (
+  <span style={{ color: value === null ? '#64748b' : value ? '#00ff88' : '#ff3366' }}>
+    {value === null ? '–' : value ? '✓' : '✗'} {label}
+  </span>
+);
+
+const SessionReplayPanel = ({ recorder, engine }) => {
+  const [status, setStatus] = useState(() => recorder.getStatus());
+  // { name, session }
+  const [loaded, setLoaded] = useState(null);
+  const [customWeights, setCustomWeights] = useState('');
+  const [result, setResult] = useState(null);
+  const [error, setError] = useState(null);
+
+  useEffect(() => recorder.subscribe(setStatus), [recorder]);
+
+  const download = () => {
+    const session = recorder.exportSession(engine);
+    const url = URL.createObjectURL(new Blob([serializeSession(session)], { type: 'application/json' }));
+    const link = document.createElement('a');
+    link.href = url;
+    link.download = `cybersentrix-session-${new Date(session.startedAt).toISOString().replace(/[:.]/g, '-')}.json`;
+    link.click();
+    URL.revokeObjectURL(url);
+  };
+
+  const loadFile = async (file) => {
+    if (!file) return;
+    try {
+      setLoaded({ name: file.name, session: parseSession(await file.text()) });
+      setResult(null);
+      setError(null);
+    } catch (loadError) {
+      setError(loadError.message);
+    }
+  };
+
+  const replay = (source) => {
+    try {
+      setResult({
+        name: source.name,
+        session: source.session,
+        verification: verifyReplay(source.session),
+        variants: compareReplays(source.session, buildVariants(source.session, customWeights))
+      });
+      setError(null);
+    } catch (replayError) {
+      setError(replayError.message);
+    }
+  };
+
+  const replayCurrent = () => replay({ name: 'This session', session: recorder.exportSession(engine) });
+
+  return (
+    <div style={{ marginTop: '20px', paddingTop: '20px', borderTop: '1px solid #334155', fontSize: '12px' }}>
+      <div style={{ display: 'flex', justifyContent: 'space-between', alignItems: 'center', marginBottom: '10px', gap: '10px', flexWrap: 'wrap' }}>
+        <span style={{ color: '#94a3b8', letterSpacing: '1px' }}>SESSION RECORDING</span>
+        <span style={{ color: status.recording ? '#ff3366' : '#64748b' }}>
+          {status.recording ? '● REC' : '■ STOPPED'} · {status.inputs} inputs
+          {status.startedAt && ` since ${new Date(status.startedAt).toLocaleTimeString()}`}
+          {status.truncated && ' · limit reached'}
+        </span>
+      </div>
+
+      <div style={{ display: 'flex', gap: '8px', flexWrap: 'wrap', marginBottom: '12px' }}>
+        <button onClick={download} style={buttonStyle()}>⬇ DOWNLOAD SESSION</button>
+        <button onClick={replayCurrent} style={buttonStyle()}>↻ REPLAY THIS SESSION</button>
+        <label style={{ ...buttonStyle(), background: '#475569' }}>
+          ⬆ LOAD FILE
+          <input type="file" accept=".json,application/json" onChange={(e) => loadFile(e.target.files[0])} style={{ display: 'none' }} />
+        </label>
+        {loaded && (
+          <button onClick={() => replay(loaded)} style={buttonStyle()}>↻ REPLAY {loaded.name}</button>
+        )}
+      </div>
+
+      <div style={{ color: '#64748b', marginBottom: '6px' }}>
+        Custom weights (optional), e.g. {'{ "simSwap": 60, "otpBurst": 25 }'}
+      </div>
+      <textarea
+        value={customWeights}
+        onChange={(e) => setCustomWeights(e.target.value)}
+        placeholder={Object.keys(DEFAULT_WEIGHTS).map(type => `"${type}"`).join(', ')}
+        spellCheck={false}
+        rows={2}
+        style={{ ...fieldStyle, width: '100%', boxSizing: 'border-box', resize: 'vertical' }}
+      />
+      {error && <p style={{ margin: '6px 0 0 0', color: '#ff3366' }}>{error}</p>}
+
+      {result && (
+        <div style={{ marginTop: '14px', padding: '12px', background: 'rgba(15, 23, 42, 0.6)', borderRadius: '8px', border: '1px solid #334155' }}>
+          <div style={{ color: '#94a3b8', letterSpacing: '1px', marginBottom: '8px' }}>
+            REPLAY · {result.name} · {result.session.inputs.length} inputs · {formatDuration(result.session.endedAt - result.session.startedAt)}
+          </div>
+          <div style={{ display: 'flex', gap: '16px', marginBottom: '10px' }}>
+            <Check value={result.verification.deterministic} label="Deterministic" />
+            <Check value={result.verification.matchesRecording} label="Matches live outcome" />
+          </div>
+          <table style={{ width: '100%', borderCollapse: 'collapse' }}>
+            <thead>
+              <tr style={{ color: '#64748b', textAlign: 'left' }}>
+                <th style={{ fontWeight: 400, paddingBottom: '6px' }}>Weights</th>
+                <th style={{ fontWeight: 400 }}>Final</th>
+                <th style={{ fontWeight: 400 }}>Peak</th>
+                <th style={{ fontWeight: 400 }}>Events</th>
+                <th style={{ fontWeight: 400 }}>First lock</th>
+              </tr>
+            </thead>
+            <tbody>
+              {result.variants.map(variant => (
+                <tr key={variant.name} style={{ color: '#cbd5e1', borderTop: '1px solid #334155' }}>
+                  <td style={{ padding: '6px 0' }}>{variant.name}</td>
+                  <td style={{ color: levelColors[variant.level] }}>{variant.score} {variant.level}</td>
+                  <td>{variant.peakScore}</td>
+                  <td title={variant.events.map(event => SIGNAL_LABELS[event.type] || event.type).join(', ')}>{variant.events.length}</td>
+                  <td style={{ color: variant.firstLockMs === null ? '#00ff88' : '#ff3366' }}>
+                    {variant.firstLockMs === null ? 'none' : `+${formatDuration(variant.firstLockMs)} (${variant.locks.flatMap(lock => lock.services).join(', ')})`}
+                  </td>
+                </tr>
+              ))}
+            </tbody>
+          </table>
+        </div>
+      )}
+    </div>
+  );
+};
+
+export default SessionReplayPanel;
@@ -0,0 +1,242 @@
+import React, { useEffect, useState } from 'react';
+import { ENROLMENT_METHODS } from './deviceRegistry.js';
+import { formatCoordinates } from './geocoder.js';
+import { SIGNAL_LABELS } from './scoring.js';
+import { SERVICE_ACTIONS } from './serviceRegistry.js';
+
+// One subscriber as an analyst sees it: devices, locations, services and
+// events from the subscriber's own runtime on the server, lock and unlock on
+// their behalf under the analyst's staff session, and the audit trail of what
+// analysts have done. Refreshes every few seconds.
+
+const severityColors = {
+  critical: '#ff3366',
+  high: '#ff9933',
+  medium: '#ffcc00',
+  info: '#6366f1'
+};
+
+const serviceActionColors = {
+  allow: '#00ff88',
+  stepUp: '#ffcc00',
+  readOnly: '#ff9933',
+  lock: '#ff3366'
+};
+
+const sectionStyle = {
+  padding: '14px',
+  background: 'rgba(15, 23, 42, 0.6)',
+  borderRadius: '8px',
+  border: '1px solid #334155'
+};
+
+const headingStyle = { color: '#94a3b8', letterSpacing: '1px', marginBottom: '10px' };
+
+const buttonStyle = (enabled, color = '#6366f1') => ({
+  padding: '6px 12px',
+  background: enabled ? color : '#334155',
+  color: enabled ? '#fff' : '#64748b',
+  border: 'none',
+  borderRadius: '6px',
+  fontSize: '11px',
+  fontWeight: 600,
+  cursor: enabled ? 'pointer' : 'not-allowed',
+  fontFamily: 'inherit'
+});
+
+const fieldStyle = {
+  padding: '6px 8px',
+  background: '#0f172a',
+  color: '#cbd5e1',
+  border: '1px solid #334155',
+  borderRadius: '4px',
+  fontSize: '11px',
+  fontFamily: 'inherit'
+};
+
+// subscribers: the staff client's subscriber calls (see staffClient.js).
+// onChanged: called after each change, so the list can catch up.
+const SubscriberDetail = ({ subscribers, subscriberId, session, onChanged, onClose }) => {
+  // { subscriber, state, devices, locations, audit } once loaded
+  const [detail, setDetail] = useState(null);
+  const [reason, setReason] = useState('');
+  const [message, setMessage] = useState(null);
+  // Contact details being edited, or null
+  const [details, setDetails] = useState(null);
+
+  const refresh = () => subscribers.get(subscriberId)
+    .then(setDetail)
+    .catch(error => setMessage(error.message));
+
+  useEffect(() => {
+    refresh();
+    const interval = setInterval(refresh, 5000);
+    return () => clearInterval(interval);
+  }, [subscribers, subscriberId]);
+
+  const act = async (action) => {
+    try {
+      await action();
+      setMessage(null);
+      await refresh();
+      onChanged();
+      return true;
+    } catch (error) {
+      setMessage(error.message);
+      return false;
+    }
+  };
+
+  const lock = async (services) => {
+    if (await act(() => subscribers.lock(subscriberId, { services, reason }))) setReason('');
+  };
+
+  const unlock = async () => {
+    if (await act(() => subscribers.unlock(subscriberId, { reason }))) setReason('');
+  };
+
+  const saveDetails = async () => {
+    if (await act(() => subscribers.update(subscriberId, details))) setDetails(null);
+  };
+
+  if (!detail) {
+    return <div style={{ marginTop: '16px', fontSize: '12px', color: message ? '#ff3366' : '#64748b' }}>{message || 'Loading…'}</div>;
+  }
+
+  const { subscriber, state, devices, locations, audit } = detail;
+  const canAct = !!reason.trim();
+
+  return (
+    <div style={{ marginTop: '16px', fontSize: '12px' }}>
+      <div style={{ display: 'flex', justifyContent: 'space-between', alignItems: 'center', marginBottom: '12px', gap: '10px' }}>
+        <span>
+          <span style={{ color: '#cbd5e1', fontWeight: 600, fontSize: '14px' }}>{subscriber.name}</span>
+          <span style={{ color: '#64748b' }}>
+            {subscriber.email && ` · ${subscriber.email}`}{subscriber.phone && ` · ${subscriber.phone}`}
+          </span>
+          <span style={{ color: state.level.color, marginLeft: '10px', fontWeight: 700 }}>{state.score} {state.level.level}</span>
+        </span>
+        <span style={{ display: 'flex', gap: '6px' }}>
+          <button
+            onClick={() => setDetails(details ? null : { name: subscriber.name, email: subscriber.email, phone: subscriber.phone })}
+            style={buttonStyle(true, '#475569')}
+          >
+            {details ? 'CANCEL' : 'EDIT'}
+          </button>
+          <button onClick={onClose} style={buttonStyle(true, '#475569')}>CLOSE</button>
+        </span>
+      </div>
+
+      {details && (
+        <div style={{ display: 'flex', gap: '8px', marginBottom: '12px', flexWrap: 'wrap' }}>
+          <input value={details.name} onChange={(e) => setDetails({ ...details, name: e.target.value })} placeholder="Name" style={fieldStyle} />
+          <input value={details.email} onChange={(e) => setDetails({ ...details, email: e.target.value })} placeholder="Email" style={fieldStyle} />
+          <input value={details.phone} onChange={(e) => setDetails({ ...details, phone: e.target.value })} placeholder="Phone" style={fieldStyle} />
+          <button onClick={saveDetails} style={buttonStyle(true)}>SAVE</button>
+        </div>
+      )}
+
+      <div style={{ display: 'grid', gridTemplateColumns: 'repeat(auto-fit, minmax(260px, 1fr))', gap: '12px' }}>
+        {/* Devices */}
+        <div style={sectionStyle}>
+          <div style={headingStyle}>DEVICES</div>
+          {devices.length === 0 ? (
+            <div style={{ color: '#64748b' }}>No enrolled devices</div>
+          ) : devices.map(device => (
+            <div key={device.id} style={{ marginBottom: '8px' }}>
+              <div style={{ color: '#cbd5e1' }}>{device.name}</div>
+              <div style={{ color: '#64748b', fontSize: '11px' }}>
+                {ENROLMENT_METHODS[device.enrolmentMethod] || device.enrolmentMethod} · last seen {new Date(device.lastSeen).toLocaleString()}
+              </div>
+              <div style={{ color: '#64748b', fontSize: '11px', fontFamily: 'monospace' }}>{device.fingerprint.slice(0, 16)}…</div>
+            </div>
+          ))}
+        </div>
+
+        {/* Locations */}
+        <div style={sectionStyle}>
+          <div style={headingStyle}>LOCATIONS</div>
+          {locations.length === 0 ? (
+            <div style={{ color: '#64748b' }}>No location fixes</div>
+          ) : locations.slice(0, 5).map((fix, i) => (
+            <div key={`${fix.timestamp}-${i}`} style={{ display: 'flex', justifyContent: 'space-between', marginBottom: '6px' }}>
+              <span style={{ color: i === 0 ? '#cbd5e1' : '#94a3b8' }}>{formatCoordinates(fix.latitude, fix.longitude)}</span>
+              <span style={{ color: '#64748b' }}>{new Date(fix.timestamp).toLocaleString()}</span>
+            </div>
+          ))}
+        </div>
+
+        {/* Services */}
+        <div style={sectionStyle}>
+          <div style={headingStyle}>SERVICES</div>
+          {state.services.map(service => (
+            <div key={service.id} style={{ marginBottom: '8px' }}>
+              <div style={{ display: 'flex', justifyContent: 'space-between', alignItems: 'center' }}>
+                <span style={{ color: '#cbd5e1' }}>{service.name}</span>
+                <span style={{ display: 'flex', gap: '6px', alignItems: 'center' }}>
+                  {service.action !== 'lock' && (
+                    <button onClick={() => lock([service.id])} disabled={!canAct} style={buttonStyle(canAct, '#ff3366')}>Lock</button>
+                  )}
+                  <span style={{ color: serviceActionColors[service.action], fontWeight: 600, fontSize: '11px' }}>
+                    {SERVICE_ACTIONS[service.action].label}
+                  </span>
+                </span>
+              </div>
+              <div style={{ color: '#64748b', fontSize: '11px' }}>{service.reason}</div>
+            </div>
+          ))}
+        </div>
+
+        {/* Events */}
+        <div style={sectionStyle}>
+          <div style={headingStyle}>EVENTS · {state.events.length}</div>
+          <div style={{ maxHeight: '220px', overflowY: 'auto' }}>
+            {state.events.length === 0 ? (
+              <div style={{ color: '#64748b' }}>No events since the last recovery</div>
+            ) : state.events.map(event => (
+              <div key={event.id} style={{ marginBottom: '8px', paddingLeft: '8px', borderLeft: `3px solid ${severityColors[event.severity] || '#ff9933'}` }}>
+                <div style={{ display: 'flex', justifyContent: 'space-between' }}>
+                  <span style={{ color: severityColors[event.severity] || '#ff9933', fontWeight: 600 }}>{SIGNAL_LABELS[event.type] || event.type}</span>
+                  <span style={{ color: '#64748b' }}>{new Date(event.detectedAt).toLocaleTimeString()}</span>
+                </div>
+                <div style={{ color: '#94a3b8', fontSize: '11px' }}>{event.description}</div>
+              </div>
+            ))}
+          </div>
+        </div>
+      </div>
+
+      {/* Analyst actions */}
+      <div style={{ ...sectionStyle, marginTop: '12px' }}>
+        <div style={headingStyle}>ACT ON BEHALF OF SUBSCRIBER · as {session.name}</div>
+        <div style={{ display: 'flex', gap: '8px', flexWrap: 'wrap' }}>
+          <input
+            value={reason}
+            onChange={(e) => setReason(e.target.value)}
+            placeholder="Reason (required), e.g. customer called to report stolen phone"
+            style={{ ...fieldStyle, flex: 1, minWidth: '220px' }}
+          />
+          <button onClick={() => lock()} disabled={!canAct} style={buttonStyle(canAct, '#ff3366')}>🔒 LOCK ALL</button>
+          <button onClick={unlock} disabled={!canAct || !state.locked} style={buttonStyle(canAct && state.locked, '#00cc6a')}>🔓 UNLOCK ALL</button>
+        </div>
+        {message && <p style={{ margin: '6px 0 0 0', color: '#ff3366' }}>{message}</p>}
+        <p style={{ margin: '6px 0 0 0', color: '#64748b' }}>Unlocking counts as a completed recovery: the event log is archived.</p>
+
+        <div style={{ ...headingStyle, marginTop: '14px' }}>AUDIT TRAIL</div>
+        {audit.length === 0 ? (
+          <div style={{ color: '#64748b' }}>No analyst actions yet</div>
+        ) : audit.map(item => (
+          <div key={item.id} style={{ display: 'flex', justifyContent: 'space-between', gap: '10px', padding: '6px 0', borderTop: '1px solid #334155' }}>
+            <span style={{ color: item.type === 'analystLock' ? '#ff3366' : '#00ff88' }}>
+              {item.description}
+              <span style={{ color: '#64748b' }}> · {item.evidence.reason}</span>
+            </span>
+            <span style={{ color: '#64748b', whiteSpace: 'nowrap' }}>{new Date(item.detectedAt).toLocaleString()}</span>
+          </div>
+        ))}
+      </div>
+    </div>
+  );
+};
+
+export default SubscriberDetail;
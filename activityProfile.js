@@ -0,0 +1,32 @@
+// Learned activity hours: a 24-bucket histogram of the local hours at which
+// the user has opened the dashboard, persisted between sessions.
+const STORAGE_KEY = 'cybersentrix.activityProfile';
+
+export const createActivityProfile = () => ({
+  hours: Array(24).fill(0),
+  total: 0
+});
+
+export const loadActivityProfile = (storage = globalThis.localStorage) => {
+  try {
+    const saved = storage && JSON.parse(storage.getItem(STORAGE_KEY));
+    if (saved && Array.isArray(saved.hours) && saved.hours.length === 24) {
+      return saved;
+    }
+  } catch (error) {
+    console.error('Error loading activity profile:', error);
+  }
+  return createActivityProfile();
+};
+
+export const saveActivityProfile = (profile, storage = globalThis.localStorage) => {
+  if (storage) {
+    storage.setItem(STORAGE_KEY, JSON.stringify(profile));
+  }
+};
+
+export const recordActivity = (profile, date = new Date()) => {
+  const hours = [...profile.hours];
+  hours[date.getHours()] += 1;
+  return { hours, total: profile.total + 1 };
+};
@@ -0,0 +1,183 @@
+import { createDefaultStorage } from './storage.js';
+
+// Prioritised queue of alerts that need a human. Every alert stays until it is
+// acknowledged; snoozing hides it for a while but does not count as seeing it,
+// so an unacknowledged critical alert still escalates to the secondary contact
+// once its deadline passes. Alerts survive reloads.
+//
+// Alert: { id, severity, message, source, eventId, createdAt, status,
+//   snoozedUntil, acknowledgedAt, escalateAt, escalatedAt, escalatedTo }
+// where status is active | snoozed | acknowledged.
+
+export const ALERT_SEVERITIES = {
+  critical: { rank: 3, label: 'CRITICAL' },
+  high: { rank: 2, label: 'HIGH' },
+  medium: { rank: 1, label: 'MEDIUM' },
+  info: { rank: 0, label: 'INFO' }
+};
+
+// Most severe first, then oldest first so nothing waits behind newer alerts
+const byPriority = (a, b) =>
+  ALERT_SEVERITIES[b.severity].rank - ALERT_SEVERITIES[a.severity].rank || a.createdAt - b.createdAt;
+
+export const createAlertQueue = ({
+  storage = createDefaultStorage('alerts'),
+  // { contact, afterMs }; no contact means no escalation
+  escalation = { contact: null, afterMs: 5 * 60 * 1000 },
+  // async (alert, contact) -> called once per escalated alert
+  onEscalate = async () => {},
+  // Acknowledged alerts are kept this long for the history, then pruned
+  retainAcknowledgedMs = 24 * 60 * 60 * 1000,
+  now = () => Date.now(),
+  schedule = (callback, ms) => {
+    const timer = setTimeout(callback, ms);
+    return () => clearTimeout(timer);
+  }
+} = {}) => {
+  let alerts = new Map();
+  let policy = escalation;
+  let cancelTimer = null;
+  const listeners = new Set();
+
+  const list = () => [...alerts.values()].sort(byPriority);
+
+  // What the UI stacks: active alerts, highest priority on top
+  const getPending = () => list().filter(alert => alert.status === 'active');
+
+  const notify = () => {
+    const snapshot = list();
+    listeners.forEach(listener => listener(snapshot));
+  };
+
+  const save = (alert) => {
+    alerts.set(alert.id, alert);
+    storage.set(alert.id, alert).catch(error => console.error('Alert not persisted:', error));
+  };
+
+  const escalate = (alert) => {
+    const contact = policy.contact;
+    save({ ...alert, escalatedAt: now(), escalatedTo: contact });
+    Promise.resolve(onEscalate(alerts.get(alert.id), contact))
+      .catch(error => console.error('Escalation failed:', error));
+  };
+
+  // Wake snoozed alerts and escalate overdue ones, then sleep until the next
+  // of those is due
+  const review = () => {
+    if (cancelTimer) cancelTimer();
+    cancelTimer = null;
+    const at = now();
+    let changed = false;
+
+    alerts.forEach(alert => {
+      if (alert.status === 'acknowledged') {
+        if (alert.acknowledgedAt < at - retainAcknowledgedMs) {
+          alerts.delete(alert.id);
+          storage.delete(alert.id);
+        }
+        return;
+      }
+      if (alert.status === 'snoozed' && alert.snoozedUntil <= at) {
+        save({ ...alert, status: 'active', snoozedUntil: null });
+        changed = true;
+      }
+      const current = alerts.get(alert.id);
+      if (current.escalateAt && !current.escalatedAt && current.escalateAt <= at && policy.contact) {
+        escalate(current);
+        changed = true;
+      }
+    });
+
+    const due = [...alerts.values()].flatMap(alert => [
+      alert.status === 'snoozed' ? alert.snoozedUntil : null,
+      alert.status !== 'acknowledged' && alert.escalateAt && !alert.escalatedAt && policy.contact ? alert.escalateAt : null
+    ]).filter(time => time !== null);
+    if (due.length > 0) {
+      cancelTimer = schedule(review, Math.max(0, Math.min(...due) - now()));
+    }
+
+    if (changed) notify();
+  };
+
+  // -> the new alert
+  const raise = ({ message, severity = 'high', source = null, eventId = null }) => {
+    if (!ALERT_SEVERITIES[severity]) throw new Error(`Unknown alert severity: ${severity}`);
+    const createdAt = now();
+    const alert = {
+      id: crypto.randomUUID(),
+      severity,
+      message,
+      source,
+      eventId,
+      createdAt,
+      status: 'active',
+      snoozedUntil: null,
+      acknowledgedAt: null,
+      escalateAt: severity === 'critical' ? createdAt + policy.afterMs : null,
+      escalatedAt: null,
+      escalatedTo: null
+    };
+    save(alert);
+    review();
+    notify();
+    return alert;
+  };
+
+  const update = (id, changes) => {
+    const alert = alerts.get(id);
+    if (!alert || alert.status === 'acknowledged') return null;
+    save({ ...alert, ...changes });
+    review();
+    notify();
+    return alerts.get(id);
+  };
+
+  const acknowledge = (id) => update(id, { status: 'acknowledged', acknowledgedAt: now(), snoozedUntil: null });
+
+  const acknowledgeAll = () => getPending().forEach(alert => acknowledge(alert.id));
+
+  const snooze = (id, ms) => update(id, { status: 'snoozed', snoozedUntil: now() + ms });
+
+  // Later alerts, and pending ones not yet escalated, use the new policy
+  const setEscalation = (next) => {
+    policy = { ...policy, ...next };
+    alerts.forEach(alert => {
+      if (alert.severity === 'critical' && alert.status !== 'acknowledged' && !alert.escalatedAt) {
+        save({ ...alert, escalateAt: alert.createdAt + policy.afterMs });
+      }
+    });
+    review();
+    notify();
+  };
+
+  // Reload alerts from storage, e.g. on page load; overdue work runs at once
+  const restore = async () => {
+    const stored = await storage.list();
+    alerts = new Map([...stored, ...alerts.values()].map(alert => [alert.id, alert]));
+    review();
+    notify();
+  };
+
+  const subscribe = (listener) => {
+    listeners.add(listener);
+    return () => listeners.delete(listener);
+  };
+
+  const dispose = () => {
+    if (cancelTimer) cancelTimer();
+    cancelTimer = null;
+  };
+
+  return {
+    raise,
+    acknowledge,
+    acknowledgeAll,
+    snooze,
+    setEscalation,
+    list,
+    getPending,
+    restore,
+    subscribe,
+    dispose
+  };
+};
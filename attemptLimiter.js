@@ -0,0 +1,60 @@
+import { createDefaultStorage } from './storage.js';
+
+// Persistent rate limiting for guessable recovery factors. Failures are kept
+// per key; reaching maxAttempts within windowMs locks the key for lockoutMs,
+// across page reloads and recovery attempts.
+export const createAttemptLimiter = ({
+  storage = createDefaultStorage('attempts'),
+  maxAttempts = 5,
+  windowMs = 15 * 60 * 1000,
+  lockoutMs = 15 * 60 * 1000,
+  now = () => Date.now()
+} = {}) => {
+  const load = async (key) => (await storage.get(key)) || { failures: [], lockedUntil: 0 };
+
+  // { allowed, retryAfterMs, remaining }
+  const check = async (key) => {
+    const record = await load(key);
+    const at = now();
+    if (record.lockedUntil > at) return { allowed: false, retryAfterMs: record.lockedUntil - at, remaining: 0 };
+    const recent = record.failures.filter(time => time > at - windowMs);
+    return { allowed: true, retryAfterMs: 0, remaining: maxAttempts - recent.length };
+  };
+
+  const recordFailure = async (key) => {
+    const record = await load(key);
+    const at = now();
+    const failures = [...record.failures.filter(time => time > at - windowMs), at];
+    const lockedUntil = failures.length >= maxAttempts ? at + lockoutMs : record.lockedUntil;
+    await storage.set(key, { failures: lockedUntil > at ? [] : failures, lockedUntil });
+  };
+
+  const reset = (key) => storage.delete(key);
+
+  // Wrap a verifier `async (input) -> { verified, reason }` so it is refused
+  // while locked out and its failures count against the key
+  const guard = (key, verify) => async (input) => {
+    const status = await check(key);
+    if (!status.allowed) {
+      return {
+        verified: false,
+        reason: `Too many failed attempts - try again in ${Math.ceil(status.retryAfterMs / 60000)} min`
+      };
+    }
+
+    const result = await verify(input);
+    if (result.verified) {
+      await reset(key);
+    } else {
+      await recordFailure(key);
+    }
+    return result;
+  };
+
+  return {
+    check,
+    recordFailure,
+    reset,
+    guard
+  };
+};
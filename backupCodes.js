@@ -0,0 +1,104 @@
+import { bufferToHex, randomBytes, timingSafeEqual, toBytes } from './encoding.js';
+import { createDefaultStorage } from './storage.js';
+
+// One-time backup recovery codes. Only PBKDF2 hashes are stored; the plain
+// codes are returned once by generate() for the user to write down, and each
+// code is spent on use.
+
+// No 0/O or 1/I/L, so codes survive being copied by hand
+const CODE_ALPHABET = 'ABCDEFGHJKMNPQRSTUVWXYZ23456789';
+const HASH_ITERATIONS = 100000;
+
+const normalize = (code) => String(code).toUpperCase().replace(/[^A-Z0-9]/g, '');
+
+// Bytes at or above the largest multiple of the alphabet size are rejected;
+// taking them modulo the size would favour the first few characters
+const UNBIASED_LIMIT = 256 - (256 % CODE_ALPHABET.length);
+
+const randomCode = (length) => {
+  let chars = '';
+  while (chars.length < length) {
+    for (const byte of randomBytes(length - chars.length)) {
+      if (byte < UNBIASED_LIMIT) chars += CODE_ALPHABET[byte % CODE_ALPHABET.length];
+    }
+  }
+  return `${chars.slice(0, length / 2)}-${chars.slice(length / 2)}`;
+};
+
+const hashCode = async (code, salt, iterations) => {
+  const key = await crypto.subtle.importKey('raw', toBytes(normalize(code)), 'PBKDF2', false, ['deriveBits']);
+  const bits = await crypto.subtle.deriveBits({ name: 'PBKDF2', hash: 'SHA-256', salt: toBytes(salt), iterations }, key, 256);
+  return bufferToHex(bits);
+};
+
+export const createBackupCodes = ({
+  storage = createDefaultStorage('backupCodes'),
+  count = 10,
+  length = 10,
+  now = () => Date.now()
+} = {}) => {
+  const KEY = 'codes';
+
+  // Replaces any previous set. Returns the plain codes - the only time they exist.
+  const generate = async () => {
+    const codes = Array.from({ length: count }, () => randomCode(length));
+    const salt = bufferToHex(randomBytes(16));
+    const hashes = await Promise.all(codes.map(code => hashCode(code, salt, HASH_ITERATIONS)));
+    await storage.set(KEY, {
+      salt,
+      iterations: HASH_ITERATIONS,
+      createdAt: now(),
+      codes: hashes.map(hash => ({ hash, usedAt: null }))
+    });
+    return codes;
+  };
+
+  const remaining = async () => {
+    const record = await storage.get(KEY);
+    return record ? record.codes.filter(code => !code.usedAt).length : 0;
+  };
+
+  // When the current set was generated, or null when none are left
+  const generatedAt = async () => {
+    const record = await storage.get(KEY);
+    return record && record.codes.some(code => !code.usedAt) ? record.createdAt : null;
+  };
+
+  const verify = async (code) => {
+    const record = await storage.get(KEY);
+    if (!record) return { verified: false, reason: 'No backup codes generated' };
+
+    const hash = await hashCode(code, record.salt, record.iterations);
+    // Compare against every entry so timing does not reveal the match position
+    let index = -1;
+    record.codes.forEach((entry, i) => {
+      if (timingSafeEqual(entry.hash, hash) && index === -1) index = i;
+    });
+
+    if (index === -1) return { verified: false, reason: 'Invalid backup code' };
+    if (record.codes[index].usedAt) return { verified: false, reason: 'Backup code already used' };
+    // Spend the code with an add that fails when it exists, so two submissions
+    // racing past the usedAt check cannot both succeed. The salt is new for
+    // every set, so claims of an earlier set do not carry over.
+    if (!await storage.add(`spent:${record.salt}:${index}`, { usedAt: now() })) {
+      return { verified: false, reason: 'Backup code already used' };
+    }
+
+    // Re-read: another code may have been spent, or the set replaced, meanwhile
+    const latest = await storage.get(KEY);
+    if (!latest || latest.salt !== record.salt) return { verified: true, remaining: await remaining() };
+    const codes = latest.codes.map((entry, i) => i === index ? { ...entry, usedAt: now() } : entry);
+    await storage.set(KEY, { ...latest, codes });
+    return { verified: true, remaining: codes.filter(entry => !entry.usedAt).length };
+  };
+
+  const clear = () => storage.delete(KEY);
+
+  return {
+    generate,
+    remaining,
+    generatedAt,
+    verify,
+    clear
+  };
+};
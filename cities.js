@@ -0,0 +1,85 @@
+// Bundled reference cities: used offline to infer the timezone and place name
+// implied by a set of coordinates. Coarse by design - one or two anchors per
+// timezone region.
+export const CITIES = [
+  { name: 'London', country: 'United Kingdom', latitude: 51.5074, longitude: -0.1278, timeZone: 'Europe/London' },
+  { name: 'Dublin', country: 'Ireland', latitude: 53.3498, longitude: -6.2603, timeZone: 'Europe/Dublin' },
+  { name: 'Lisbon', country: 'Portugal', latitude: 38.7223, longitude: -9.1393, timeZone: 'Europe/Lisbon' },
+  { name: 'Madrid', country: 'Spain', latitude: 40.4168, longitude: -3.7038, timeZone: 'Europe/Madrid' },
+  { name: 'Paris', country: 'France', latitude: 48.8566, longitude: 2.3522, timeZone: 'Europe/Paris' },
+  { name: 'Amsterdam', country: 'Netherlands', latitude: 52.3676, longitude: 4.9041, timeZone: 'Europe/Amsterdam' },
+  { name: 'Brussels', country: 'Belgium', latitude: 50.8503, longitude: 4.3517, timeZone: 'Europe/Brussels' },
+  { name: 'Berlin', country: 'Germany', latitude: 52.52, longitude: 13.405, timeZone: 'Europe/Berlin' },
+  { name: 'Zurich', country: 'Switzerland', latitude: 47.3769, longitude: 8.5417, timeZone: 'Europe/Zurich' },
+  { name: 'Rome', country: 'Italy', latitude: 41.9028, longitude: 12.4964, timeZone: 'Europe/Rome' },
+  { name: 'Vienna', country: 'Austria', latitude: 48.2082, longitude: 16.3738, timeZone: 'Europe/Vienna' },
+  { name: 'Stockholm', country: 'Sweden', latitude: 59.3293, longitude: 18.0686, timeZone: 'Europe/Stockholm' },
+  { name: 'Oslo', country: 'Norway', latitude: 59.9139, longitude: 10.7522, timeZone: 'Europe/Oslo' },
+  { name: 'Warsaw', country: 'Poland', latitude: 52.2297, longitude: 21.0122, timeZone: 'Europe/Warsaw' },
+  { name: 'Prague', country: 'Czechia', latitude: 50.0755, longitude: 14.4378, timeZone: 'Europe/Prague' },
+  { name: 'Athens', country: 'Greece', latitude: 37.9838, longitude: 23.7275, timeZone: 'Europe/Athens' },
+  { name: 'Helsinki', country: 'Finland', latitude: 60.1699, longitude: 24.9384, timeZone: 'Europe/Helsinki' },
+  { name: 'Bucharest', country: 'Romania', latitude: 44.4268, longitude: 26.1025, timeZone: 'Europe/Bucharest' },
+  { name: 'Kyiv', country: 'Ukraine', latitude: 50.4501, longitude: 30.5234, timeZone: 'Europe/Kyiv' },
+  { name: 'Istanbul', country: 'Turkey', latitude: 41.0082, longitude: 28.9784, timeZone: 'Europe/Istanbul' },
+  { name: 'Moscow', country: 'Russia', latitude: 55.7558, longitude: 37.6173, timeZone: 'Europe/Moscow' },
+  { name: 'Yekaterinburg', country: 'Russia', latitude: 56.8389, longitude: 60.6057, timeZone: 'Asia/Yekaterinburg' },
+  { name: 'Novosibirsk', country: 'Russia', latitude: 55.0084, longitude: 82.9357, timeZone: 'Asia/Novosibirsk' },
+  { name: 'Vladivostok', country: 'Russia', latitude: 43.1332, longitude: 131.9113, timeZone: 'Asia/Vladivostok' },
+  { name: 'Cairo', country: 'Egypt', latitude: 30.0444, longitude: 31.2357, timeZone: 'Africa/Cairo' },
+  { name: 'Lagos', country: 'Nigeria', latitude: 6.5244, longitude: 3.3792, timeZone: 'Africa/Lagos' },
+  { name: 'Accra', country: 'Ghana', latitude: 5.6037, longitude: -0.187, timeZone: 'Africa/Accra' },
+  { name: 'Casablanca', country: 'Morocco', latitude: 33.5731, longitude: -7.5898, timeZone: 'Africa/Casablanca' },
+  { name: 'Nairobi', country: 'Kenya', latitude: -1.2921, longitude: 36.8219, timeZone: 'Africa/Nairobi' },
+  { name: 'Johannesburg', country: 'South Africa', latitude: -26.2041, longitude: 28.0473, timeZone: 'Africa/Johannesburg' },
+  { name: 'Riyadh', country: 'Saudi Arabia', latitude: 24.7136, longitude: 46.6753, timeZone: 'Asia/Riyadh' },
+  { name: 'Tehran', country: 'Iran', latitude: 35.6892, longitude: 51.389, timeZone: 'Asia/Tehran' },
+  { name: 'Dubai', country: 'United Arab Emirates', latitude: 25.2048, longitude: 55.2708, timeZone: 'Asia/Dubai' },
+  { name: 'Karachi', country: 'Pakistan', latitude: 24.8607, longitude: 67.0011, timeZone: 'Asia/Karachi' },
+  { name: 'Mumbai', country: 'India', latitude: 19.076, longitude: 72.8777, timeZone: 'Asia/Kolkata' },
+  { name: 'Delhi', country: 'India', latitude: 28.7041, longitude: 77.1025, timeZone: 'Asia/Kolkata' },
+  { name: 'Bengaluru', country: 'India', latitude: 12.9716, longitude: 77.5946, timeZone: 'Asia/Kolkata' },
+  { name: 'Kolkata', country: 'India', latitude: 22.5726, longitude: 88.3639, timeZone: 'Asia/Kolkata' },
+  { name: 'Kathmandu', country: 'Nepal', latitude: 27.7172, longitude: 85.324, timeZone: 'Asia/Kathmandu' },
+  { name: 'Dhaka', country: 'Bangladesh', latitude: 23.8103, longitude: 90.4125, timeZone: 'Asia/Dhaka' },
+  { name: 'Bangkok', country: 'Thailand', latitude: 13.7563, longitude: 100.5018, timeZone: 'Asia/Bangkok' },
+  { name: 'Jakarta', country: 'Indonesia', latitude: -6.2088, longitude: 106.8456, timeZone: 'Asia/Jakarta' },
+  { name: 'Singapore', country: 'Singapore', latitude: 1.3521, longitude: 103.8198, timeZone: 'Asia/Singapore' },
+  { name: 'Kuala Lumpur', country: 'Malaysia', latitude: 3.139, longitude: 101.6869, timeZone: 'Asia/Kuala_Lumpur' },
+  { name: 'Manila', country: 'Philippines', latitude: 14.5995, longitude: 120.9842, timeZone: 'Asia/Manila' },
+  { name: 'Hong Kong', country: 'China', latitude: 22.3193, longitude: 114.1694, timeZone: 'Asia/Hong_Kong' },
+  { name: 'Shanghai', country: 'China', latitude: 31.2304, longitude: 121.4737, timeZone: 'Asia/Shanghai' },
+  { name: 'Beijing', country: 'China', latitude: 39.9042, longitude: 116.4074, timeZone: 'Asia/Shanghai' },
+  { name: 'Taipei', country: 'Taiwan', latitude: 25.033, longitude: 121.5654, timeZone: 'Asia/Taipei' },
+  { name: 'Seoul', country: 'South Korea', latitude: 37.5665, longitude: 126.978, timeZone: 'Asia/Seoul' },
+  { name: 'Tokyo', country: 'Japan', latitude: 35.6762, longitude: 139.6503, timeZone: 'Asia/Tokyo' },
+  { name: 'Perth', country: 'Australia', latitude: -31.9505, longitude: 115.8605, timeZone: 'Australia/Perth' },
+  { name: 'Adelaide', country: 'Australia', latitude: -34.9285, longitude: 138.6007, timeZone: 'Australia/Adelaide' },
+  { name: 'Brisbane', country: 'Australia', latitude: -27.4698, longitude: 153.0251, timeZone: 'Australia/Brisbane' },
+  { name: 'Sydney', country: 'Australia', latitude: -33.8688, longitude: 151.2093, timeZone: 'Australia/Sydney' },
+  { name: 'Melbourne', country: 'Australia', latitude: -37.8136, longitude: 144.9631, timeZone: 'Australia/Melbourne' },
+  { name: 'Auckland', country: 'New Zealand', latitude: -36.8485, longitude: 174.7633, timeZone: 'Pacific/Auckland' },
+  { name: 'Honolulu', country: 'United States', latitude: 21.3069, longitude: -157.8583, timeZone: 'Pacific/Honolulu' },
+  { name: 'Anchorage', country: 'United States', latitude: 61.2181, longitude: -149.9003, timeZone: 'America/Anchorage' },
+  { name: 'Vancouver', country: 'Canada', latitude: 49.2827, longitude: -123.1207, timeZone: 'America/Vancouver' },
+  { name: 'Seattle', country: 'United States', latitude: 47.6062, longitude: -122.3321, timeZone: 'America/Los_Angeles' },
+  { name: 'San Francisco', country: 'United States', latitude: 37.7749, longitude: -122.4194, timeZone: 'America/Los_Angeles' },
+  { name: 'Los Angeles', country: 'United States', latitude: 34.0522, longitude: -118.2437, timeZone: 'America/Los_Angeles' },
+  { name: 'Phoenix', country: 'United States', latitude: 33.4484, longitude: -112.074, timeZone: 'America/Phoenix' },
+  { name: 'Denver', country: 'United States', latitude: 39.7392, longitude: -104.9903, timeZone: 'America/Denver' },
+  { name: 'Mexico City', country: 'Mexico', latitude: 19.4326, longitude: -99.1332, timeZone: 'America/Mexico_City' },
+  { name: 'Dallas', country: 'United States', latitude: 32.7767, longitude: -96.797, timeZone: 'America/Chicago' },
+  { name: 'Chicago', country: 'United States', latitude: 41.8781, longitude: -87.6298, timeZone: 'America/Chicago' },
+  { name: 'Toronto', country: 'Canada', latitude: 43.6532, longitude: -79.3832, timeZone: 'America/Toronto' },
+  { name: 'Atlanta', country: 'United States', latitude: 33.749, longitude: -84.388, timeZone: 'America/New_York' },
+  { name: 'New York', country: 'United States', latitude: 40.7128, longitude: -74.006, timeZone: 'America/New_York' },
+  { name: 'Miami', country: 'United States', latitude: 25.7617, longitude: -80.1918, timeZone: 'America/New_York' },
+  { name: 'Bogotá', country: 'Colombia', latitude: 4.711, longitude: -74.0721, timeZone: 'America/Bogota' },
+  { name: 'Lima', country: 'Peru', latitude: -12.0464, longitude: -77.0428, timeZone: 'America/Lima' },
+  { name: 'Caracas', country: 'Venezuela', latitude: 10.4806, longitude: -66.9036, timeZone: 'America/Caracas' },
+  { name: 'Halifax', country: 'Canada', latitude: 44.6488, longitude: -63.5752, timeZone: 'America/Halifax' },
+  { name: 'Santiago', country: 'Chile', latitude: -33.4489, longitude: -70.6693, timeZone: 'America/Santiago' },
+  { name: 'Buenos Aires', country: 'Argentina', latitude: -34.6037, longitude: -58.3816, timeZone: 'America/Argentina/Buenos_Aires' },
+  { name: 'São Paulo', country: 'Brazil', latitude: -23.5505, longitude: -46.6333, timeZone: 'America/Sao_Paulo' },
+  { name: 'Reykjavik', country: 'Iceland', latitude: 64.1466, longitude: -21.9426, timeZone: 'Atlantic/Reykjavik' }
+];
@@ -0,0 +1,170 @@
+import { findNearestCity } from './geo.js';
+
+// Context detectors: each inspects one aspect of the session and returns a
+// signal for the risk engine, or null when nothing looks wrong.
+
+const pad = (value) => String(value).padStart(2, '0');
+
+const formatOffset = (minutes) => {
+  const sign = minutes < 0 ? '-' : '+';
+  const abs = Math.abs(minutes);
+  return `UTC${sign}${pad(Math.floor(abs / 60))}:${pad(abs % 60)}`;
+};
+
+// --- unusualTime ---------------------------------------------------------
+
+// The login hour is unusual when it and its neighbouring hours account for
+// less than `minShare` of the learned activity history.
+export const detectUnusualTime = ({
+  profile,
+  date = new Date(),
+  minSamples = 10,
+  minShare = 0.05
+}) => {
+  if (!profile || profile.total < minSamples) return null;
+
+  const hour = date.getHours();
+  const nearby = [hour - 1, hour, hour + 1]
+    .map(h => profile.hours[(h + 24) % 24])
+    .reduce((sum, count) => sum + count, 0);
+  const share = nearby / profile.total;
+  if (share >= minShare) return null;
+
+  const usualHours = profile.hours
+    .map((count, h) => ({ h, count }))
+    .filter(({ count }) => count / profile.total >= minShare)
+    .map(({ h }) => `${pad(h)}:00`)
+    .join(', ');
+
+  return {
+    type: 'unusualTime',
+    description: `Login at ${pad(hour)}:${pad(date.getMinutes())} is outside learned activity hours`,
+    severity: 'medium',
+    evidence: {
+      loginHour: `${pad(hour)}:00`,
+      historyShare: `${Math.round(share * 100)}%`,
+      samples: profile.total,
+      usualHours: usualHours || 'none established'
+    }
+  };
+};
+
+// Local wall-clock time without an offset, e.g. '2026-10-19T03:12:00'.
+// new Date() reads it back as the same local time on any machine, so a
+// recorded login time replays with the same hour wherever it is replayed.
+export const toLocalTime = (date) =>
+  `${date.getFullYear()}-${pad(date.getMonth() + 1)}-${pad(date.getDate())}T${pad(date.getHours())}:${pad(date.getMinutes())}:${pad(date.getSeconds())}`;
+
+// --- timezoneMismatch ----------------------------------------------------
+
+// Current UTC offset of an IANA zone, in minutes
+export const getUtcOffsetMinutes = (timeZone, date = new Date()) => {
+  const name = new Intl.DateTimeFormat('en-US', { timeZone, timeZoneName: 'longOffset' })
+    .formatToParts(date)
+    .find(part => part.type === 'timeZoneName').value;
+  const match = name.match(/GMT([+-])(\d{2}):?(\d{2})?/);
+  if (!match) return 0;
+  const minutes = Number(match[2]) * 60 + Number(match[3] || 0);
+  return match[1] === '-' ? -minutes : minutes;
+};
+
+// Timezone implied by coordinates: the nearest reference city's zone, or the
+// nautical offset from longitude when no city is close enough to trust.
+export const timeZoneForCoordinates = (latitude, longitude, { maxCityDistanceKm = 1000 } = {}) => {
+  const nearest = findNearestCity(latitude, longitude);
+  if (nearest && nearest.distance <= maxCityDistanceKm) {
+    return { timeZone: nearest.city.timeZone, city: nearest.city.name, approximate: false };
+  }
+  return { timeZone: null, offsetMinutes: Math.round(longitude / 15) * 60, approximate: true };
+};
+
+export const detectTimezoneMismatch = ({
+  browserTimeZone = Intl.DateTimeFormat().resolvedOptions().timeZone,
+  latitude,
+  longitude,
+  date = new Date()
+}) => {
+  if (latitude == null || longitude == null) return null;
+
+  const implied = timeZoneForCoordinates(latitude, longitude);
+  if (implied.timeZone === browserTimeZone) return null;
+
+  const browserOffset = getUtcOffsetMinutes(browserTimeZone, date);
+  const impliedOffset = implied.approximate
+    ? implied.offsetMinutes
+    : getUtcOffsetMinutes(implied.timeZone, date);
+  // Longitude-derived offsets ignore political boundaries, so allow more slack
+  const tolerance = implied.approximate ? 120 : 60;
+  const difference = Math.abs(browserOffset - impliedOffset);
+  if (difference < tolerance) return null;
+
+  return {
+    type: 'timezoneMismatch',
+    description: `Browser timezone ${browserTimeZone} does not match location (${implied.timeZone || formatOffset(impliedOffset)})`,
+    severity: 'medium',
+    evidence: {
+      browserTimeZone,
+      browserOffset: formatOffset(browserOffset),
+      impliedTimeZone: implied.timeZone || 'unknown',
+      impliedOffset: formatOffset(impliedOffset),
+      nearestCity: implied.city || 'none nearby',
+      offsetDifferenceHours: difference / 60
+    }
+  };
+};
+
+// --- vpnDetected ---------------------------------------------------------
+
+// Address ranges that common VPN clients assign to their tunnel interfaces
+const TUNNEL_RANGES = [
+  { cidr: '10.8.0.0/16', label: 'OpenVPN default' },
+  { cidr: '10.5.0.0/16', label: 'NordLynx' },
+  { cidr: '10.2.0.0/16', label: 'ProtonVPN' },
+  { cidr: '10.64.0.0/10', label: 'Mullvad WireGuard' }
+];
+
+const ipv4ToInt = (address) => {
+  const octets = address.split('.').map(Number);
+  if (octets.length !== 4 || octets.some(o => !Number.isInteger(o) || o < 0 || o > 255)) return null;
+  return octets.reduce((value, octet) => (value << 8) + octet, 0) >>> 0;
+};
+
+const inCidr = (address, cidr) => {
+  const [base, bits] = cidr.split('/');
+  const ip = ipv4ToInt(address);
+  if (ip === null) return false;
+  const mask = bits === '0' ? 0 : (~0 << (32 - Number(bits))) >>> 0;
+  return (ip & mask) === (ipv4ToInt(base) & mask);
+};
+
+// Local VPN heuristics over WebRTC candidates: tunnel interface ranges and
+// more than one public address
+export const detectVpn = ({ candidates = [] }) => {
+  const reasons = [];
+  const evidence = {};
+
+  candidates.filter(c => c.type === 'host').forEach(candidate => {
+    const range = TUNNEL_RANGES.find(r => inCidr(candidate.address, r.cidr));
+    if (range) {
+      reasons.push(`tunnel interface in ${range.label} range`);
+      evidence.tunnelAddress = candidate.address;
+    }
+  });
+
+  const publicIps = [...new Set(candidates.filter(c => c.type === 'srflx').map(c => c.address))];
+  if (publicIps.length > 0) {
+    evidence.publicIp = publicIps.join(', ');
+  }
+  if (publicIps.length > 1) {
+    reasons.push(`${publicIps.length} distinct public addresses (split tunnel or proxy)`);
+  }
+
+  if (reasons.length === 0) return null;
+
+  return {
+    type: 'vpnDetected',
+    description: `VPN or proxy suspected: ${reasons[0]}`,
+    severity: 'high',
+    evidence: { ...evidence, reasons: reasons.join('; ') }
+  };
+};
@@ -0,0 +1,85 @@
+import { detectTimezoneMismatch, detectUnusualTime, detectVpn } from './contextDetectors.js';
+import { detectDeviceMismatch } from './deviceRegistry.js';
+import { matchFingerprint } from './fingerprintMatch.js';
+import { detectImpossibleTravel } from './impossibleTravel.js';
+import { detectOutsideZones } from './trustedZones.js';
+
+// The single way inputs reach the risk engine. Each input is a plain
+// { kind, data } record that carries everything its detectors need, so the
+// same records can be captured by a session recorder and fed back later for
+// a deterministic replay:
+//   restore      { events }                     events reloaded from the store
+//   fingerprint  { fingerprint, components, devices, skip }
+//   location     { fix, previous }              velocity check
+//   zones        { fix, zones }                 trusted zone condition
+//   loginTime    { profile, localTime }         unusual hour vs learned activity
+//   timezone     { position, browserTimeZone, at }    browser zone vs position
+//   network      { candidates }                 WebRTC VPN heuristics
+//   otp          { service, channel, timestamp }
+//   tick         {}                             decay
+//   signal       { signal }                     already-detected signal
+//   reset        {}                             recovery completed
+//   policy       { config }                     new detection policy published
+//   lock         { services, reason }           services locked by hand
+
+export const INPUT_KINDS = [
+  'restore', 'fingerprint', 'location', 'zones', 'loginTime', 'timezone', 'network',
+  'otp', 'tick', 'signal', 'reset', 'policy', 'lock'
+];
+
+export const createDetectionPipeline = ({ engine, otpMonitor, recorder = null }) => {
+  const ingestIf = (signal) => {
+    if (signal) engine.ingest(signal);
+    return signal;
+  };
+
+  const handlers = {
+    restore: ({ events }) => engine.hydrate(events),
+    fingerprint: ({ fingerprint, components, devices, skip = [] }) => {
+      const match = matchFingerprint({ id: fingerprint, components }, devices, { skip });
+      const signal = detectDeviceMismatch({ fingerprint, match });
+      if (signal) engine.ingest(signal);
+      return match;
+    },
+    location: ({ fix, previous }) => ingestIf(detectImpossibleTravel(previous, fix)),
+    zones: ({ fix, zones }) => {
+      const signal = detectOutsideZones(fix, zones);
+      if (signal) {
+        engine.setCondition(signal);
+      } else {
+        engine.clearCondition('outsideTrustedZones');
+      }
+      return signal;
+    },
+    loginTime: ({ profile, localTime }) => ingestIf(detectUnusualTime({ profile, date: new Date(localTime) })),
+    timezone: ({ position, browserTimeZone, at }) =>
+      ingestIf(detectTimezoneMismatch({ ...position, browserTimeZone, date: new Date(at) })),
+    network: ({ candidates }) => ingestIf(detectVpn({ candidates })),
+    otp: (request) => otpMonitor.recordOtpRequest(request),
+    tick: () => engine.tick(),
+    signal: ({ signal }) => engine.ingest(signal),
+    reset: () => {
+      engine.reset();
+      otpMonitor.clear();
+    },
+    policy: ({ config }) => engine.setConfig(config),
+    lock: ({ services, reason }) => engine.lockServices(services, reason)
+  };
+
+  // Record, then apply; returns whatever the detectors produced
+  const process = (kind, data = {}) => {
+    const handler = handlers[kind];
+    if (!handler) throw new Error(`Unknown input kind: ${kind}`);
+    if (recorder) recorder.record(kind, data);
+    return handler(data);
+  };
+
+  return {
+    process,
+    // Same call shapes as engine.ingest and otpMonitor.recordOtpRequest, so
+    // simulations and playbooks can feed the pipeline instead. OTP codes are
+    // not kept.
+    ingest: (signal) => process('signal', { signal }),
+    recordOtpRequest: ({ service, channel, timestamp }) => process('otp', { service, channel, timestamp })
+  };
+};
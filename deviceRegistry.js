@@ -0,0 +1,106 @@
+import { createDefaultStorage } from './storage.js';
+
+export const ENROLMENT_METHODS = {
+  manual: 'Enrolled on this device',
+  webauthn: 'Enrolled with passkey'
+};
+
+// Registry of the user's trusted devices. Entries are
+// { id, name, fingerprint, components, firstSeen, lastSeen, enrolmentMethod,
+// credentialId } where credentialId is the passkey registered at enrolment.
+export const createDeviceRegistry = ({
+  storage = createDefaultStorage('devices'),
+  now = () => Date.now()
+} = {}) => {
+  const list = async () => {
+    const devices = await storage.list();
+    return devices.sort((a, b) => b.lastSeen - a.lastSeen);
+  };
+
+  const findByFingerprint = async (fingerprint) => {
+    const devices = await storage.list();
+    return devices.find(device => device.fingerprint === fingerprint) || null;
+  };
+
+  const enroll = async ({ name, fingerprint, components, method = 'manual', credentialId = null }) => {
+    const existing = await findByFingerprint(fingerprint);
+    if (existing) return existing;
+
+    const timestamp = now();
+    const device = {
+      id: crypto.randomUUID(),
+      name,
+      fingerprint,
+      components,
+      firstSeen: timestamp,
+      lastSeen: timestamp,
+      enrolmentMethod: method,
+      credentialId
+    };
+    await storage.set(device.id, device);
+    return device;
+  };
+
+  const update = async (id, changes) => {
+    const device = await storage.get(id);
+    if (!device) throw new Error(`Unknown device: ${id}`);
+    const updated = { ...device, ...changes };
+    await storage.set(id, updated);
+    return updated;
+  };
+
+  const rename = (id, name) => update(id, { name });
+
+  const touch = (id) => update(id, { lastSeen: now() });
+
+  // Same device, drifted: adopt the new fingerprint and note what changed
+  const updateFingerprint = (id, { fingerprint, components, changed = [] }) => update(id, {
+    fingerprint,
+    components,
+    lastSeen: now(),
+    lastDrift: { at: now(), components: changed.map(change => change.component) }
+  });
+
+  const revoke = (id) => storage.delete(id);
+
+  return {
+    list,
+    findByFingerprint,
+    enroll,
+    rename,
+    touch,
+    updateFingerprint,
+    revoke
+  };
+};
+
+// deviceMismatch fires when devices are enrolled but none is close enough to
+// the current fingerprint (see matchFingerprint). With an empty registry there
+// is nothing to compare against, so every login is from an unknown device;
+// that is reported as the weaker noEnrolledDevice rather than not at all.
+export const detectDeviceMismatch = ({ fingerprint, match }) => {
+  if (match.outcome === 'none') {
+    return {
+      type: 'noEnrolledDevice',
+      description: 'Login with no trusted devices enrolled, so the device cannot be recognised',
+      severity: 'medium',
+      evidence: { fingerprint },
+      alert: '🔔 No trusted devices enrolled: enroll this device so logins from other devices stand out.'
+    };
+  }
+  if (match.outcome !== 'mismatch') return null;
+
+  return {
+    type: 'deviceMismatch',
+    description: 'Login from a device fingerprint that is not in the trusted device registry',
+    severity: 'high',
+    evidence: {
+      fingerprint,
+      closestDevice: match.device ? match.device.name : 'none',
+      closestFingerprint: match.device ? match.device.fingerprint : 'none',
+      similarity: `${Math.round(match.similarity * 100)}%`,
+      changedComponents: match.changed.map(change => change.label).join(', ')
+    },
+    alert: '🔔 New device login detected: this browser is not one of your enrolled devices.'
+  };
+};
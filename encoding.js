@@ -0,0 +1,87 @@
+// Byte encoding helpers shared by the WebAuthn client and verifier. Work in
+// browsers and Node alike (btoa/atob and TextEncoder are global in both).
+
+export const toBytes = (value) => {
+  if (value instanceof Uint8Array) return value;
+  if (value instanceof ArrayBuffer) return new Uint8Array(value);
+  if (ArrayBuffer.isView(value)) return new Uint8Array(value.buffer, value.byteOffset, value.byteLength);
+  return new TextEncoder().encode(String(value));
+};
+
+export const bufferToBase64url = (buffer) => {
+  let binary = '';
+  toBytes(buffer).forEach(byte => { binary += String.fromCharCode(byte); });
+  return btoa(binary).replace(/\+/g, '-').replace(/\//g, '_').replace(/=+$/, '');
+};
+
+export const base64urlToBuffer = (value) => {
+  const base64 = value.replace(/-/g, '+').replace(/_/g, '/');
+  const binary = atob(base64.padEnd(base64.length + (4 - base64.length % 4) % 4, '='));
+  return Uint8Array.from(binary, char => char.charCodeAt(0));
+};
+
+export const bufferToHex = (buffer) =>
+  Array.from(toBytes(buffer)).map(b => b.toString(16).padStart(2, '0')).join('');
+
+export const concatBytes = (...parts) => {
+  const arrays = parts.map(toBytes);
+  const result = new Uint8Array(arrays.reduce((length, part) => length + part.length, 0));
+  let offset = 0;
+  arrays.forEach(part => {
+    result.set(part, offset);
+    offset += part.length;
+  });
+  return result;
+};
+
+export const randomBytes = (length) => crypto.getRandomValues(new Uint8Array(length));
+
+export const sha256 = async (data) => new Uint8Array(await crypto.subtle.digest('SHA-256', toBytes(data)));
+
+// Constant-time comparison for secrets and digests
+export const timingSafeEqual = (a, b) => {
+  const left = toBytes(a);
+  const right = toBytes(b);
+  let diff = left.length ^ right.length;
+  for (let i = 0; i < Math.max(left.length, right.length); i++) {
+    diff |= (left[i] || 0) ^ (right[i] || 0);
+  }
+  return diff === 0;
+};
+
+// RFC 4648 base32, as used by authenticator app secrets
+const BASE32_ALPHABET = 'ABCDEFGHIJKLMNOPQRSTUVWXYZ234567';
+
+export const base32Encode = (buffer) => {
+  let bits = 0;
+  let value = 0;
+  let output = '';
+  toBytes(buffer).forEach(byte => {
+    value = (value << 8) | byte;
+    bits += 8;
+    while (bits >= 5) {
+      output += BASE32_ALPHABET[(value >>> (bits - 5)) & 31];
+      bits -= 5;
+    }
+  });
+  if (bits > 0) output += BASE32_ALPHABET[(value << (5 - bits)) & 31];
+  return output;
+};
+
+export const base32Decode = (input) => {
+  const clean = input.toUpperCase().replace(/[\s=-]/g, '');
+  let bits = 0;
+  let value = 0;
+  const output = [];
+  for (const char of clean) {
+    const index = BASE32_ALPHABET.indexOf(char);
+    if (index === -1) throw new Error(`Invalid base32 character: ${char}`);
+    value = (value << 5) | index;
+    bits += 5;
+    if (bits >= 8) {
+      output.push((value >>> (bits - 8)) & 255);
+      bits -= 8;
+    }
+  }
+  return new Uint8Array(output);
+};
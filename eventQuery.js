@@ -0,0 +1,71 @@
+import { SIGNAL_LABELS } from './scoring.js';
+
+// Search, filtering and grouping over engine events (newest first), for the
+// event log panel and anything else that needs to slice the log.
+
+// Nested evidence (e.g. location: { city, coordinates }) as [path, value]
+// pairs, with arrays joined
+export const flattenEvidence = (evidence = {}, prefix = '') =>
+  Object.entries(evidence).flatMap(([key, value]) => {
+    const path = prefix ? `${prefix}.${key}` : key;
+    if (Array.isArray(value)) return [[path, value.join(', ')]];
+    if (value && typeof value === 'object') return flattenEvidence(value, path);
+    return [[path, value]];
+  });
+
+const searchableText = (event) => [
+  event.type,
+  SIGNAL_LABELS[event.type],
+  event.description,
+  event.severity,
+  ...flattenEvidence(event.evidence).map(([path, value]) => `${path} ${value}`)
+].join(' ').toLowerCase();
+
+// Criteria: { types: [], severities: [], from, to (ms), text }. Empty lists
+// and missing bounds match everything; text matches every whitespace-separated
+// term against description, type and evidence.
+export const filterEvents = (events, { types = [], severities = [], from, to, text = '' } = {}) => {
+  const terms = text.toLowerCase().split(/\s+/).filter(Boolean);
+  return events.filter(event => {
+    if (types.length > 0 && !types.includes(event.type)) return false;
+    if (severities.length > 0 && !severities.includes(event.severity)) return false;
+    if (from !== undefined && event.detectedAt < from) return false;
+    if (to !== undefined && event.detectedAt > to) return false;
+    if (terms.length === 0) return true;
+    const haystack = searchableText(event);
+    return terms.every(term => haystack.includes(term));
+  });
+};
+
+// Collapse runs of the same signal type that follow each other within
+// withinMs into one group, described by its newest event:
+//   { key, type, severity, description, count, points, first, last, events }
+export const groupEvents = (events, { withinMs = 10 * 60 * 1000 } = {}) => {
+  const groups = [];
+  events.forEach(event => {
+    const current = groups[groups.length - 1];
+    if (
+      current &&
+      current.type === event.type &&
+      current.first - event.detectedAt <= withinMs
+    ) {
+      current.events.push(event);
+      current.count += 1;
+      current.points += event.points || 0;
+      current.first = event.detectedAt;
+      return;
+    }
+    groups.push({
+      key: event.id,
+      type: event.type,
+      severity: event.severity,
+      description: event.description,
+      count: 1,
+      points: event.points || 0,
+      first: event.detectedAt,
+      last: event.detectedAt,
+      events: [event]
+    });
+  });
+  return groups;
+};
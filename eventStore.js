@@ -0,0 +1,142 @@
+import { bufferToHex, sha256 } from './encoding.js';
+import { createDefaultStorage } from './storage.js';
+
+// Append-only, hash-chained security event log. Each entry stores the hash of
+// the one before it, and the head (last sequence number and hash) is kept
+// separately, so verify() catches entries that were edited, removed from the
+// middle or cut off the end. Recovery archives the log: later entries start a
+// new epoch, and archived ones stay in the chain.
+
+const GENESIS_HASH = '0'.repeat(64);
+const META_KEY = 'meta';
+
+export const ARCHIVE_EVENT_TYPE = 'logArchived';
+// Written by the risk engine when services latch locked, so the locks survive
+// a reload; evidence.services holds the locked service states
+export const LOCK_EVENT_TYPE = 'servicesLocked';
+
+// JSON with sorted keys, so the hash does not depend on property order
+export const canonicalJson = (value) => {
+  if (Array.isArray(value)) return `[${value.map(canonicalJson).join(',')}]`;
+  if (value && typeof value === 'object') {
+    return `{${Object.keys(value).sort()
+      .filter(key => value[key] !== undefined)
+      .map(key => `${JSON.stringify(key)}:${canonicalJson(value[key])}`)
+      .join(',')}}`;
+  }
+  return JSON.stringify(value ?? null);
+};
+
+const hashEntry = async ({ hash, ...entry }) => bufferToHex(await sha256(canonicalJson(entry)));
+
+// Zero-padded so adapters that list in key order list in sequence order
+const entryKey = (seq) => `entry:${String(seq).padStart(10, '0')}`;
+
+export const createEventStore = ({
+  storage = createDefaultStorage('eventLog'),
+  now = () => Date.now()
+} = {}) => {
+  // Appends are chained through this promise so sequence numbers and hashes
+  // are assigned in call order even though storage is async
+  let queue = Promise.resolve();
+
+  const getMeta = async () => (await storage.get(META_KEY)) || { seq: 0, head: GENESIS_HASH, epoch: 0 };
+
+  const enqueue = (task) => {
+    const result = queue.then(task);
+    queue = result.catch(error => console.error('Event store write failed:', error));
+    return result;
+  };
+
+  const listAll = async () => (await storage.list())
+    .filter(item => item.prevHash !== undefined)
+    .sort((a, b) => a.seq - b.seq);
+
+  // Store an engine event ({ id, type, description, severity, evidence,
+  // detectedAt, timestamp, points, ... }) at the end of the chain
+  const append = (event) => enqueue(async () => {
+    const meta = await getMeta();
+    const seq = meta.seq + 1;
+    const entry = { ...event, seq, epoch: meta.epoch, prevHash: meta.head };
+    entry.hash = await hashEntry(entry);
+
+    await storage.set(entryKey(seq), entry);
+    await storage.set(META_KEY, { ...meta, seq, head: entry.hash });
+    return entry;
+  });
+
+  // Close the current epoch with a marker entry; nothing is deleted
+  const archive = (reason = 'Account recovered') => enqueue(async () => {
+    const meta = await getMeta();
+    const seq = meta.seq + 1;
+    const detectedAt = now();
+    const entry = {
+      id: crypto.randomUUID(),
+      type: ARCHIVE_EVENT_TYPE,
+      description: reason,
+      severity: 'info',
+      evidence: {},
+      detectedAt,
+      timestamp: new Date(detectedAt).toISOString(),
+      seq,
+      epoch: meta.epoch,
+      prevHash: meta.head
+    };
+    entry.hash = await hashEntry(entry);
+
+    await storage.set(entryKey(seq), entry);
+    await storage.set(META_KEY, { seq, head: entry.hash, epoch: meta.epoch + 1 });
+    return entry;
+  });
+
+  // Entries of the open epoch, oldest first: what the engine restores on load
+  const listCurrent = async () => {
+    await queue;
+    const meta = await getMeta();
+    return (await listAll()).filter(entry => entry.epoch === meta.epoch);
+  };
+
+  const listArchived = async () => {
+    await queue;
+    const meta = await getMeta();
+    return (await listAll()).filter(entry => entry.epoch < meta.epoch);
+  };
+
+  // -> { valid, entries, problems: [{ seq, reason }] }
+  const verify = async () => {
+    await queue;
+    const meta = await getMeta();
+    const entries = await listAll();
+    const problems = [];
+    let expectedSeq = 1;
+    let previousHash = GENESIS_HASH;
+
+    for (const entry of entries) {
+      if (entry.seq !== expectedSeq) {
+        problems.push({ seq: expectedSeq, reason: `Missing entries ${expectedSeq}-${entry.seq - 1}` });
+      }
+      if (entry.prevHash !== previousHash) {
+        problems.push({ seq: entry.seq, reason: 'Does not link to the previous entry' });
+      }
+      if (await hashEntry(entry) !== entry.hash) {
+        problems.push({ seq: entry.seq, reason: 'Contents modified' });
+      }
+      expectedSeq = entry.seq + 1;
+      previousHash = entry.hash;
+    }
+
+    if (meta.seq !== expectedSeq - 1 || meta.head !== previousHash) {
+      problems.push({ seq: meta.seq, reason: 'Log truncated: head does not match the last entry' });
+    }
+
+    return { valid: problems.length === 0, entries: entries.length, problems };
+  };
+
+  return {
+    append,
+    archive,
+    listCurrent,
+    listArchived,
+    verify
+  };
+};
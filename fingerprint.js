@@ -0,0 +1,280 @@
+import { createCollectorRegistry } from './fingerprintCollectors.js';
+
+// Real device fingerprinting utility. Components are kept individually so a
+// later fingerprint can be compared piece by piece (see fingerprintMatch.js).
+// Each group of components comes from a registered collector plugin.
+export const defaultCollectors = createCollectorRegistry();
+
+// Screen resolution and color depth
+defaultCollectors.register({
+  name: 'screen',
+  label: 'Screen',
+  components: ['screen', 'colorDepth'],
+  collect: () => ({
+    screen: `${window.screen.width}x${window.screen.height}`,
+    colorDepth: window.screen.colorDepth
+  })
+});
+
+// Timezone and language
+defaultCollectors.register({
+  name: 'locale',
+  label: 'Timezone & language',
+  components: ['timezone', 'language'],
+  collect: () => ({
+    timezone: Intl.DateTimeFormat().resolvedOptions().timeZone,
+    language: navigator.language
+  })
+});
+
+// Platform, user agent, hardware concurrency and device memory (if available)
+defaultCollectors.register({
+  name: 'navigator',
+  label: 'Browser & hardware',
+  components: ['platform', 'userAgent', 'cores', 'memory'],
+  collect: () => ({
+    platform: navigator.platform,
+    userAgent: navigator.userAgent,
+    cores: navigator.hardwareConcurrency,
+    memory: navigator.deviceMemory
+  })
+});
+
+// Canvas fingerprinting (hashed - the data URL itself is several KB)
+defaultCollectors.register({
+  name: 'canvas',
+  label: 'Canvas',
+  components: ['canvas'],
+  collect: async () => {
+    const canvas = document.createElement('canvas');
+    const ctx = canvas.getContext('2d');
+    ctx.textBaseline = 'top';
+    ctx.font = '14px Arial';
+    ctx.fillStyle = '#f60';
+    ctx.fillRect(125, 1, 62, 20);
+    ctx.fillStyle = '#069';
+    ctx.fillText('CyberSentrix', 2, 15);
+    return { canvas: await hashString(canvas.toDataURL()) };
+  }
+});
+
+// WebGL vendor and renderer
+defaultCollectors.register({
+  name: 'webgl',
+  label: 'WebGL renderer',
+  components: ['webglVendor', 'webglRenderer'],
+  collect: () => {
+    const gl = document.createElement('canvas').getContext('webgl');
+    const debugInfo = gl && gl.getExtension('WEBGL_debug_renderer_info');
+    if (!debugInfo) return {};
+    return {
+      webglVendor: gl.getParameter(debugInfo.UNMASKED_VENDOR_WEBGL),
+      webglRenderer: gl.getParameter(debugInfo.UNMASKED_RENDERER_WEBGL)
+    };
+  }
+});
+
+const WEBGL_LIMITS = [
+  'MAX_TEXTURE_SIZE',
+  'MAX_CUBE_MAP_TEXTURE_SIZE',
+  'MAX_RENDERBUFFER_SIZE',
+  'MAX_VIEWPORT_DIMS',
+  'MAX_VERTEX_ATTRIBS',
+  'MAX_VERTEX_UNIFORM_VECTORS',
+  'MAX_FRAGMENT_UNIFORM_VECTORS',
+  'MAX_VARYING_VECTORS',
+  'MAX_TEXTURE_IMAGE_UNITS',
+  'MAX_COMBINED_TEXTURE_IMAGE_UNITS',
+  'ALIASED_LINE_WIDTH_RANGE',
+  'ALIASED_POINT_SIZE_RANGE'
+];
+
+// WebGL limits and supported extensions
+defaultCollectors.register({
+  name: 'webglParameters',
+  label: 'WebGL limits & extensions',
+  components: ['webglLimits', 'webglExtensions'],
+  collect: () => {
+    const gl = document.createElement('canvas').getContext('webgl');
+    if (!gl) return {};
+    const limits = WEBGL_LIMITS.map(name => {
+      const value = gl.getParameter(gl[name]);
+      return `${name}=${value && value.length !== undefined ? Array.from(value).join('x') : value}`;
+    });
+    return {
+      webglLimits: limits.join(';'),
+      webglExtensions: (gl.getSupportedExtensions() || []).sort().join(',')
+    };
+  }
+});
+
+// OfflineAudioContext fingerprint: a compressed oscillator renders slightly
+// differently across audio stacks
+defaultCollectors.register({
+  name: 'audio',
+  label: 'Audio stack',
+  components: ['audio'],
+  collect: async () => {
+    const AudioContext = window.OfflineAudioContext || window.webkitOfflineAudioContext;
+    if (!AudioContext) return {};
+
+    const context = new AudioContext(1, 5000, 44100);
+    const oscillator = context.createOscillator();
+    oscillator.type = 'triangle';
+    oscillator.frequency.value = 10000;
+
+    const compressor = context.createDynamicsCompressor();
+    compressor.threshold.value = -50;
+    compressor.knee.value = 40;
+    compressor.ratio.value = 12;
+    compressor.attack.value = 0;
+    compressor.release.value = 0.25;
+
+    oscillator.connect(compressor);
+    compressor.connect(context.destination);
+    oscillator.start(0);
+
+    const buffer = await context.startRendering();
+    const samples = buffer.getChannelData(0);
+    let sum = 0;
+    for (let i = 4500; i < samples.length; i++) {
+      sum += Math.abs(samples[i]);
+    }
+    return { audio: sum.toFixed(6) };
+  }
+});
+
+const FONT_CANDIDATES = [
+  'Arial', 'Arial Black', 'Calibri', 'Cambria', 'Candara', 'Comic Sans MS',
+  'Consolas', 'Courier New', 'DejaVu Sans', 'Futura', 'Georgia', 'Gill Sans',
+  'Helvetica', 'Helvetica Neue', 'Impact', 'Liberation Sans', 'Lucida Console',
+  'Menlo', 'Monaco', 'Noto Sans', 'Optima', 'Palatino', 'Roboto', 'Segoe UI',
+  'SF Pro Text', 'Tahoma', 'Times New Roman', 'Trebuchet MS', 'Ubuntu', 'Verdana'
+];
+const BASE_FONTS = ['monospace', 'sans-serif', 'serif'];
+
+// Installed fonts: a font is present when text set in it measures differently
+// from every generic fallback
+defaultCollectors.register({
+  name: 'fonts',
+  label: 'Installed fonts',
+  components: ['fonts'],
+  collect: () => {
+    const ctx = document.createElement('canvas').getContext('2d');
+    const sample = 'mmmmmmmmmmlli';
+    const measure = (font) => {
+      ctx.font = `72px ${font}`;
+      return ctx.measureText(sample).width;
+    };
+    const baseWidths = BASE_FONTS.map(measure);
+    const installed = FONT_CANDIDATES.filter(font =>
+      BASE_FONTS.some((base, i) => measure(`"${font}", ${base}`) !== baseWidths[i])
+    );
+    return { fonts: installed.join(',') };
+  }
+});
+
+// navigator.userAgentData high-entropy client hints (Chromium only)
+defaultCollectors.register({
+  name: 'clientHints',
+  label: 'Client hints',
+  components: ['uaPlatform', 'uaArchitecture', 'uaModel'],
+  collect: async () => {
+    if (!navigator.userAgentData) return {};
+    const hints = await navigator.userAgentData.getHighEntropyValues([
+      'architecture',
+      'bitness',
+      'model',
+      'platformVersion'
+    ]);
+    return {
+      uaPlatform: `${hints.platform} ${hints.platformVersion || ''}`.trim(),
+      uaArchitecture: `${hints.architecture || ''} ${hints.bitness || ''}`.trim(),
+      uaModel: hints.model
+    };
+  }
+});
+
+// Media device counts (labels need a permission, counts do not)
+defaultCollectors.register({
+  name: 'mediaDevices',
+  label: 'Media devices',
+  components: ['mediaDevices'],
+  collect: async () => {
+    if (!navigator.mediaDevices || !navigator.mediaDevices.enumerateDevices) return {};
+    const devices = await navigator.mediaDevices.enumerateDevices();
+    const counts = {};
+    devices.forEach(device => {
+      counts[device.kind] = (counts[device.kind] || 0) + 1;
+    });
+    return {
+      mediaDevices: ['audioinput', 'audiooutput', 'videoinput']
+        .map(kind => `${kind}:${counts[kind] || 0}`)
+        .join(',')
+    };
+  }
+});
+
+// Touch support
+defaultCollectors.register({
+  name: 'touch',
+  label: 'Touch support',
+  components: ['touch'],
+  collect: () => ({
+    touch: `${navigator.maxTouchPoints || 0}/${'ontouchstart' in window ? 'events' : 'none'}`
+  })
+});
+
+export const collectFingerprintComponents = (registry = defaultCollectors) => registry.run();
+
+// Fingerprint ID over a set of components (stable key order)
+export const fingerprintId = (components) =>
+  hashString(Object.keys(components).sort().map(key => components[key]).join('|||'));
+
+export const generateDeviceFingerprint = async (registry = defaultCollectors) => {
+  const { components, timings, errors } = await collectFingerprintComponents(registry);
+  const id = await fingerprintId(components);
+  return { id, components, timings, errors };
+};
+
+// Simple hash function
+export const hashString = async (str) => {
+  const encoder = new TextEncoder();
+  const data = encoder.encode(str);
+  const hashBuffer = await crypto.subtle.digest('SHA-256', data);
+  const hashArray = Array.from(new Uint8Array(hashBuffer));
+  const hashHex = hashArray.map(b => b.toString(16).padStart(2, '0')).join('');
+  return hashHex.substring(0, 12).toUpperCase();
+};
+
+// Get device information
+export const getDeviceInfo = () => {
+  const ua = navigator.userAgent;
+  let deviceName = 'Unknown Device';
+  
+  if (/iPhone/.test(ua)) {
+    const match = ua.match(/iPhone OS (\d+)_/);
+    deviceName = match ? `iPhone (iOS ${match[1]})` : 'iPhone';
+  } else if (/iPad/.test(ua)) {
+    deviceName = 'iPad';
+  } else if (/Android/.test(ua)) {
+    const match = ua.match(/Android (\d+)/);
+    deviceName = match ? `Android ${match[1]}` : 'Android Device';
+  } else if (/Windows/.test(ua)) {
+    deviceName = 'Windows PC';
+  } else if (/Mac/.test(ua)) {
+    deviceName = 'MacBook';
+  } else if (/Linux/.test(ua)) {
+    deviceName = 'Linux PC';
+  }
+  
+  return {
+    name: deviceName,
+    platform: navigator.platform,
+    userAgent: navigator.userAgent,
+    cores: navigator.hardwareConcurrency || 'Unknown',
+    memory: navigator.deviceMemory ? `${navigator.deviceMemory} GB` : 'Unknown',
+    screen: `${window.screen.width}x${window.screen.height}`,
+    colorDepth: `${window.screen.colorDepth}-bit`
+  };
+};
@@ -0,0 +1,65 @@
+// Fingerprint collector plugins. A collector is
+//   { name, label, components: [componentName], collect: async () => ({ componentName: value }) }
+// The registry runs the enabled ones, timing each, so individual signals can be
+// switched off to trade accuracy for privacy or speed.
+
+const withTimeout = (promise, timeoutMs, name) => new Promise((resolve, reject) => {
+  const timer = setTimeout(() => reject(new Error(`${name} collector timed out`)), timeoutMs);
+  Promise.resolve(promise).then(
+    value => { clearTimeout(timer); resolve(value); },
+    error => { clearTimeout(timer); reject(error); }
+  );
+});
+
+const elapsedSince = (started) => Math.round((performance.now() - started) * 10) / 10;
+
+export const createCollectorRegistry = ({ timeoutMs = 1500 } = {}) => {
+  const collectors = new Map();
+
+  const register = (collector) => {
+    collectors.set(collector.name, { enabled: true, ...collector });
+  };
+
+  const setEnabled = (name, enabled) => {
+    const collector = collectors.get(name);
+    if (collector) collector.enabled = enabled;
+  };
+
+  const list = () => [...collectors.values()].map(({ collect, ...info }) => info);
+
+  // Components produced by switched-off collectors; matching should ignore them
+  const disabledComponents = () => [...collectors.values()]
+    .filter(collector => !collector.enabled)
+    .flatMap(collector => collector.components);
+
+  // Run enabled collectors one at a time so each timing is its own
+  const run = async () => {
+    const components = {};
+    const timings = {};
+    const errors = {};
+
+    for (const collector of collectors.values()) {
+      if (!collector.enabled) continue;
+      const started = performance.now();
+      try {
+        const result = await withTimeout(collector.collect(), timeoutMs, collector.name);
+        Object.entries(result || {}).forEach(([key, value]) => {
+          if (value !== undefined && value !== null && value !== '') components[key] = value;
+        });
+      } catch (error) {
+        errors[collector.name] = error.message;
+      }
+      timings[collector.name] = elapsedSince(started);
+    }
+
+    return { components, timings, errors };
+  };
+
+  return {
+    register,
+    setEnabled,
+    list,
+    disabledComponents,
+    run
+  };
+};
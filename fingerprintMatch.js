@@ -0,0 +1,135 @@
+// Fuzzy fingerprint matching. Each component contributes its weight times a
+// 0-1 similarity; a browser update or new monitor lowers the score a little
+// instead of producing an unrelated device.
+
+export const COMPONENT_WEIGHTS = {
+  screen: 2,
+  colorDepth: 1,
+  timezone: 2,
+  language: 1,
+  platform: 3,
+  userAgent: 2,
+  cores: 2,
+  memory: 1,
+  canvas: 3,
+  webglVendor: 2,
+  webglRenderer: 3,
+  webglLimits: 2,
+  webglExtensions: 2,
+  audio: 2,
+  fonts: 3,
+  uaPlatform: 2,
+  uaArchitecture: 2,
+  uaModel: 2,
+  mediaDevices: 1,
+  touch: 1
+};
+
+export const COMPONENT_LABELS = {
+  screen: 'Screen',
+  colorDepth: 'Color depth',
+  timezone: 'Timezone',
+  language: 'Language',
+  platform: 'Platform',
+  userAgent: 'User agent',
+  cores: 'CPU cores',
+  memory: 'Memory',
+  canvas: 'Canvas',
+  webglVendor: 'WebGL vendor',
+  webglRenderer: 'WebGL renderer',
+  webglLimits: 'WebGL limits',
+  webglExtensions: 'WebGL extensions',
+  audio: 'Audio',
+  fonts: 'Fonts',
+  uaPlatform: 'OS version',
+  uaArchitecture: 'Architecture',
+  uaModel: 'Device model',
+  mediaDevices: 'Media devices',
+  touch: 'Touch support'
+};
+
+// List-valued components: an installed font or extension more or less should
+// only partly count as a change
+const LIST_SEPARATORS = {
+  fonts: ',',
+  webglExtensions: ',',
+  webglLimits: ';'
+};
+
+// Same device, drifted: at or above this similarity a fingerprint is updated
+// in place rather than reported as a different device
+export const SAME_DEVICE_THRESHOLD = 0.8;
+
+const tokenize = (value, separator = /[\s/();,_]+/) => new Set(String(value).split(separator).filter(Boolean));
+
+// User agents change by version numbers on update, so compare token overlap
+const jaccard = (a, b, separator) => {
+  const tokensA = tokenize(a, separator);
+  const tokensB = tokenize(b, separator);
+  const union = new Set([...tokensA, ...tokensB]);
+  if (union.size === 0) return 1;
+  const shared = [...tokensA].filter(token => tokensB.has(token)).length;
+  return shared / union.size;
+};
+
+const componentSimilarity = (name, a, b) => {
+  if (a === b) return 1;
+  if (a === undefined || b === undefined) return 0;
+  if (name === 'userAgent') return jaccard(a, b);
+  if (LIST_SEPARATORS[name]) return jaccard(a, b, LIST_SEPARATORS[name]);
+  return 0;
+};
+
+// `skip` lists components to leave out, e.g. those of switched-off collectors
+export const compareFingerprints = (a, b, { weights = COMPONENT_WEIGHTS, skip = [] } = {}) => {
+  let total = 0;
+  let matched = 0;
+  const changed = [];
+
+  Object.keys(weights).forEach(name => {
+    if (skip.includes(name)) return;
+    if (a[name] === undefined && b[name] === undefined) return;
+    const similarity = componentSimilarity(name, a[name], b[name]);
+    total += weights[name];
+    matched += weights[name] * similarity;
+    if (similarity < 1) {
+      changed.push({
+        component: name,
+        label: COMPONENT_LABELS[name] || name,
+        before: a[name],
+        after: b[name],
+        similarity
+      });
+    }
+  });
+
+  return {
+    similarity: total === 0 ? 0 : matched / total,
+    changed
+  };
+};
+
+// Classify the current fingerprint against enrolled devices:
+//   none      - no devices enrolled yet
+//   match     - identical fingerprint ID
+//   drifted   - a device is similar enough to be the same one
+//   mismatch  - nothing close
+export const matchFingerprint = ({ id, components }, devices, { threshold = SAME_DEVICE_THRESHOLD, skip = [] } = {}) => {
+  if (devices.length === 0) return { outcome: 'none', device: null, similarity: 0, changed: [] };
+
+  const exact = devices.find(device => device.fingerprint === id);
+  if (exact) return { outcome: 'match', device: exact, similarity: 1, changed: [] };
+
+  let best = { device: null, similarity: 0, changed: [] };
+  devices.filter(device => device.components).forEach(device => {
+    const result = compareFingerprints(device.components, components, { skip });
+    if (result.similarity > best.similarity) {
+      best = { device, ...result };
+    }
+  });
+
+  return {
+    ...best,
+    outcome: best.similarity >= threshold ? 'drifted' : 'mismatch'
+  };
+};
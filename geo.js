@@ -0,0 +1,27 @@
+import { CITIES } from './cities.js';
+
+// Great-circle distance between two coordinates (haversine), in km
+export const calculateDistance = (lat1, lon1, lat2, lon2) => {
+  const R = 6371; // Earth's radius in km
+  const dLat = (lat2 - lat1) * Math.PI / 180;
+  const dLon = (lon2 - lon1) * Math.PI / 180;
+  const a = Math.sin(dLat/2) * Math.sin(dLat/2) +
+            Math.cos(lat1 * Math.PI / 180) * Math.cos(lat2 * Math.PI / 180) *
+            Math.sin(dLon/2) * Math.sin(dLon/2);
+  const c = 2 * Math.atan2(Math.sqrt(a), Math.sqrt(1-a));
+  return R * c;
+};
+
+// Closest bundled reference city to a coordinate, with its distance in km
+export const findNearestCity = (latitude, longitude, cities = CITIES) => {
+  let nearest = null;
+
+  cities.forEach(city => {
+    const distance = calculateDistance(latitude, longitude, city.latitude, city.longitude);
+    if (!nearest || distance < nearest.distance) {
+      nearest = { city, distance };
+    }
+  });
+
+  return nearest;
+};
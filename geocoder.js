@@ -0,0 +1,114 @@
+import { findNearestCity } from './geo.js';
+
+// Reverse geocoders share one interface:
+//   reverse({ latitude, longitude }) -> { city, country, source } | null
+// Providers compose: wrap one in a cache, or chain several so a failure falls
+// through to the next (e.g. Nominatim, then the bundled offline dataset).
+
+const sleep = (ms) => new Promise(resolve => setTimeout(resolve, ms));
+
+// OpenStreetMap Nominatim. Its usage policy allows one request per second, so
+// calls are spaced at least `minIntervalMs` apart.
+export const createNominatimGeocoder = ({
+  baseUrl = 'https://nominatim.openstreetmap.org',
+  minIntervalMs = 1000,
+  fetchImpl = (...args) => fetch(...args)
+} = {}) => {
+  let nextSlot = 0;
+
+  const reverse = async ({ latitude, longitude }) => {
+    const wait = nextSlot - Date.now();
+    nextSlot = Math.max(nextSlot, Date.now()) + minIntervalMs;
+    if (wait > 0) await sleep(wait);
+
+    const response = await fetchImpl(
+      `${baseUrl}/reverse?format=json&lat=${latitude}&lon=${longitude}`
+    );
+    if (!response.ok) throw new Error(`Nominatim responded ${response.status}`);
+    const data = await response.json();
+    if (!data.address) return null;
+
+    return {
+      city: data.address.city || data.address.town || data.address.village || 'Unknown Location',
+      country: data.address.country || '',
+      source: 'nominatim'
+    };
+  };
+
+  return { reverse };
+};
+
+// Nearest city from the bundled dataset: works air-gapped, coarse by design
+export const createOfflineGeocoder = ({ cities, maxDistanceKm = 300 } = {}) => {
+  const reverse = async ({ latitude, longitude }) => {
+    const nearest = findNearestCity(latitude, longitude, cities);
+    if (!nearest || nearest.distance > maxDistanceKm) return null;
+    return {
+      city: nearest.city.name,
+      country: nearest.city.country,
+      source: 'offline'
+    };
+  };
+
+  return { reverse };
+};
+
+// Try providers in order until one answers
+export const createFallbackGeocoder = (providers) => {
+  const reverse = async (position) => {
+    for (const provider of providers) {
+      try {
+        const result = await provider.reverse(position);
+        if (result) return result;
+      } catch (error) {
+        console.error('Geocoder failed, trying next provider:', error);
+      }
+    }
+    return null;
+  };
+
+  return { reverse };
+};
+
+// LRU cache keyed on coordinates rounded to `precision` decimal places
+// (3 places is roughly 100m), so a stationary device does not re-query
+export const createCachedGeocoder = (provider, { maxEntries = 200, precision = 3 } = {}) => {
+  const cache = new Map();
+
+  const keyFor = ({ latitude, longitude }) => `${latitude.toFixed(precision)},${longitude.toFixed(precision)}`;
+
+  const reverse = async (position) => {
+    const key = keyFor(position);
+    if (cache.has(key)) {
+      // Re-insert to mark as most recently used
+      const hit = cache.get(key);
+      cache.delete(key);
+      cache.set(key, hit);
+      return hit;
+    }
+
+    const result = await provider.reverse(position);
+    if (result) {
+      cache.set(key, result);
+      if (cache.size > maxEntries) {
+        cache.delete(cache.keys().next().value);
+      }
+    }
+    return result;
+  };
+
+  return { reverse };
+};
+
+// Default stack: cached Nominatim, falling back to the offline dataset.
+// Pass { offline: true } for air-gapped deployments.
+export const createDefaultGeocoder = ({ offline = false } = {}) => createCachedGeocoder(
+  offline
+    ? createOfflineGeocoder()
+    : createFallbackGeocoder([createNominatimGeocoder(), createOfflineGeocoder()])
+);
+
+// "51.5074° N, 0.1278° W" with the correct hemisphere letters
+export const formatCoordinates = (latitude, longitude, digits = 4) =>
+  `${Math.abs(latitude).toFixed(digits)}° ${latitude >= 0 ? 'N' : 'S'}, ` +
+  `${Math.abs(longitude).toFixed(digits)}° ${longitude >= 0 ? 'E' : 'W'}`;
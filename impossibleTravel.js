@@ -0,0 +1,59 @@
+import { calculateDistance } from './geo.js';
+
+// Speeds (km/h) above which travel between two fixes is suspicious or
+// physically implausible. A long-haul flight cruises around 900 km/h.
+export const DEFAULT_TRAVEL_THRESHOLDS = {
+  suspiciousKmh: 300,
+  impossibleKmh: 1000,
+  // Ignore movement this small once accuracy is accounted for (GPS jitter)
+  minDistanceKm: 25
+};
+
+const describeFix = (fix) => ({
+  latitude: fix.latitude,
+  longitude: fix.longitude,
+  accuracy: fix.accuracy,
+  timestamp: new Date(fix.timestamp).toISOString()
+});
+
+const formatDuration = (ms) => {
+  const minutes = Math.round(ms / 60000);
+  if (minutes < 60) return `${minutes}m`;
+  return `${Math.floor(minutes / 60)}h ${minutes % 60}m`;
+};
+
+// Velocity check between two fixes. Each fix's accuracy radius (metres) is
+// subtracted from the distance, so two imprecise fixes need to be further
+// apart before they count as travel.
+export const detectImpossibleTravel = (previous, current, thresholds = DEFAULT_TRAVEL_THRESHOLDS) => {
+  if (!previous || !current) return null;
+  const { suspiciousKmh, impossibleKmh, minDistanceKm } = { ...DEFAULT_TRAVEL_THRESHOLDS, ...thresholds };
+
+  const distance = calculateDistance(previous.latitude, previous.longitude, current.latitude, current.longitude);
+  const uncertainty = ((previous.accuracy || 0) + (current.accuracy || 0)) / 1000;
+  const effectiveDistance = Math.max(0, distance - uncertainty);
+  if (effectiveDistance < minDistanceKm) return null;
+
+  // Clamp to one second so simultaneous fixes still produce a finite speed
+  const elapsed = Math.max(current.timestamp - previous.timestamp, 1000);
+  const speed = effectiveDistance / (elapsed / 3600000);
+  if (speed < suspiciousKmh) return null;
+
+  const impossible = speed >= impossibleKmh;
+
+  return {
+    type: 'locationAnomaly',
+    description: `${impossible ? 'Impossible' : 'Suspicious'} travel: ${Math.round(effectiveDistance)}km in ${formatDuration(elapsed)} (${Math.round(speed)} km/h)`,
+    severity: impossible ? 'high' : 'medium',
+    evidence: {
+      speedKmh: Math.round(speed),
+      distanceKm: Math.round(distance),
+      effectiveDistanceKm: Math.round(effectiveDistance),
+      elapsed: formatDuration(elapsed),
+      fromCoordinates: `${previous.latitude.toFixed(4)}, ${previous.longitude.toFixed(4)} (±${Math.round(previous.accuracy || 0)}m)`,
+      toCoordinates: `${current.latitude.toFixed(4)}, ${current.longitude.toFixed(4)} (±${Math.round(current.accuracy || 0)}m)`,
+      from: describeFix(previous),
+      to: describeFix(current)
+    }
+  };
+};
@@ -0,0 +1,215 @@
+import { flattenEvidence } from './eventQuery.js';
+import { SIGNAL_LABELS } from './scoring.js';
+
+// Incident export for fraud teams, SIEMs and threat-intel platforms. An
+// incident is a snapshot of everything the dashboard knows about one
+// subscriber; it serialises to JSON, CSV (one row per record) or a STIX 2.1
+// bundle.
+
+const iso = (ms) => new Date(ms).toISOString();
+
+// -> { id, generatedAt, subject, score, level, services, device, events,
+//      locations, otpActivity, scoreTimeline, markers }
+export const buildIncident = ({
+  subject,
+  score,
+  level,
+  services = [],
+  device = {},
+  events = [],
+  locations = [],
+  otpActivity = [],
+  timeline = { points: [], markers: [] },
+  now = () => Date.now()
+}) => ({
+  id: crypto.randomUUID(),
+  generatedAt: iso(now()),
+  subject,
+  score,
+  level: level && level.level,
+  services: services.map(({ id, name, action, reason }) => ({ id, name, action, reason })),
+  device,
+  // Oldest first reads naturally in a report
+  events: [...events]
+    .sort((a, b) => a.detectedAt - b.detectedAt)
+    .map(({ id, type, description, severity, evidence, points, timestamp, hash }) => ({
+      id, type, label: SIGNAL_LABELS[type] || type, description, severity, evidence, points: points || 0, timestamp, hash
+    })),
+  locations: locations.map(fix => ({ ...fix, timestamp: iso(fix.timestamp) })),
+  otpActivity: otpActivity.map(({ service, channel, timestamp, maskedCode }) => ({ service, channel, timestamp: iso(timestamp), maskedCode })),
+  scoreTimeline: timeline.points.map(point => ({ ...point, at: iso(point.at) })),
+  markers: timeline.markers.map(marker => ({ ...marker, at: iso(marker.at) }))
+});
+
+export const incidentToJson = (incident) => JSON.stringify(incident, null, 2);
+
+const csvCell = (value) => {
+  const text = value === undefined || value === null ? '' : String(value);
+  return /[",\n\r]/.test(text) ? `"${text.replace(/"/g, '""')}"` : text;
+};
+
+const CSV_COLUMNS = ['record', 'timestamp', 'type', 'severity', 'points', 'description', 'details'];
+
+// One flat table for spreadsheets and SIEM CSV importers; `record` says which
+// part of the incident a row comes from
+export const incidentToCsv = (incident) => {
+  const rows = [
+    ...incident.events.map(event => ({
+      record: 'event',
+      timestamp: event.timestamp,
+      type: event.type,
+      severity: event.severity,
+      points: event.points,
+      description: event.description,
+      details: flattenEvidence(event.evidence).map(([path, value]) => `${path}=${value}`).join('; ')
+    })),
+    ...incident.locations.map(fix => ({
+      record: 'location',
+      timestamp: fix.timestamp,
+      details: `lat=${fix.latitude}; lon=${fix.longitude}; accuracy=${fix.accuracy}m`
+    })),
+    ...incident.otpActivity.map(otp => ({
+      record: 'otp',
+      timestamp: otp.timestamp,
+      type: otp.service,
+      details: `channel=${otp.channel}`
+    })),
+    ...incident.scoreTimeline.map(point => ({
+      record: 'score',
+      timestamp: point.at,
+      type: point.cause,
+      points: point.score,
+      details: point.signal ? `signal=${point.signal}` : ''
+    })),
+    ...incident.markers.map(marker => ({
+      record: 'marker',
+      timestamp: marker.at,
+      type: marker.kind,
+      description: marker.label
+    }))
+  ].sort((a, b) => a.timestamp.localeCompare(b.timestamp));
+
+  return [
+    CSV_COLUMNS.join(','),
+    ...rows.map(row => CSV_COLUMNS.map(column => csvCell(row[column])).join(','))
+  ].join('\r\n');
+};
+
+const stixId = (type) => `${type}--${crypto.randomUUID()}`;
+
+const stixString = (value) => `'${String(value).replace(/\\/g, '\\\\').replace(/'/g, "\\'")}'`;
+
+// STIX 2.1 bundle: the subscriber as a user-account, one observed-data per
+// event (with the detector output in x_cybersentrix_* properties), and one
+// indicator per signal type, linked to its observations with based-on
+// relationships. Device fingerprints get their own indicators so they can be
+// matched in other systems.
+export const incidentToStix = (incident) => {
+  const created = incident.generatedAt;
+  const common = { spec_version: '2.1', created, modified: created };
+
+  const identity = {
+    type: 'identity',
+    id: stixId('identity'),
+    ...common,
+    name: 'CyberSentrix',
+    identity_class: 'system'
+  };
+  const account = {
+    type: 'user-account',
+    spec_version: '2.1',
+    id: stixId('user-account'),
+    account_login: incident.subject
+  };
+
+  const observations = incident.events.map(event => ({
+    type: 'observed-data',
+    id: stixId('observed-data'),
+    ...common,
+    created_by_ref: identity.id,
+    first_observed: event.timestamp,
+    last_observed: event.timestamp,
+    number_observed: 1,
+    object_refs: [account.id],
+    x_cybersentrix_signal: event.type,
+    x_cybersentrix_severity: event.severity,
+    x_cybersentrix_points: event.points,
+    x_cybersentrix_description: event.description,
+    x_cybersentrix_evidence: Object.fromEntries(flattenEvidence(event.evidence))
+  }));
+
+  const indicators = [];
+  const relationships = [];
+  const addIndicator = ({ name, pattern, validFrom, severity, observed }) => {
+    const indicator = {
+      type: 'indicator',
+      id: stixId('indicator'),
+      ...common,
+      created_by_ref: identity.id,
+      name,
+      indicator_types: [severity === 'critical' ? 'compromised' : 'anomalous-activity'],
+      pattern,
+      pattern_type: 'stix',
+      valid_from: validFrom
+    };
+    indicators.push(indicator);
+    observed.forEach(observation => relationships.push({
+      type: 'relationship',
+      id: stixId('relationship'),
+      ...common,
+      created_by_ref: identity.id,
+      relationship_type: 'based-on',
+      source_ref: indicator.id,
+      target_ref: observation.id
+    }));
+  };
+
+  const byType = new Map();
+  incident.events.forEach((event, i) => {
+    if (!byType.has(event.type)) byType.set(event.type, []);
+    byType.get(event.type).push({ event, observation: observations[i] });
+  });
+  byType.forEach((entries, type) => {
+    addIndicator({
+      name: `${SIGNAL_LABELS[type] || type} for ${incident.subject}`,
+      pattern: `[user-account:account_login = ${stixString(incident.subject)}] AND [x-cybersentrix-signal:type = ${stixString(type)}]`,
+      validFrom: entries[0].event.timestamp,
+      severity: entries.some(entry => entry.event.severity === 'critical') ? 'critical' : 'high',
+      observed: entries.map(entry => entry.observation)
+    });
+  });
+
+  const fingerprints = new Map();
+  incident.events.forEach((event, i) => {
+    const fingerprint = event.evidence && event.evidence.fingerprint;
+    if (!fingerprint) return;
+    if (!fingerprints.has(fingerprint)) fingerprints.set(fingerprint, { event, observed: [] });
+    fingerprints.get(fingerprint).observed.push(observations[i]);
+  });
+  fingerprints.forEach(({ event, observed }, fingerprint) => {
+    addIndicator({
+      name: `Untrusted device fingerprint ${fingerprint}`,
+      pattern: `[x-cybersentrix-device:fingerprint = ${stixString(fingerprint)}]`,
+      validFrom: event.timestamp,
+      severity: event.severity,
+      observed
+    });
+  });
+
+  return {
+    type: 'bundle',
+    id: stixId('bundle'),
+    objects: [identity, account, ...observations, ...indicators, ...relationships]
+  };
+};
+
+export const INCIDENT_FORMATS = {
+  json: { label: 'JSON', extension: 'json', mimeType: 'application/json', serialize: incidentToJson },
+  csv: { label: 'CSV', extension: 'csv', mimeType: 'text/csv', serialize: incidentToCsv },
+  stix: {
+    label: 'STIX 2.1',
+    extension: 'stix.json',
+    mimeType: 'application/stix+json;version=2.1',
+    serialize: incident => JSON.stringify(incidentToStix(incident), null, 2)
+  }
+};
@@ -0,0 +1,27 @@
+import { createDefaultStorage } from './storage.js';
+
+// Persistent history of location fixes ({ latitude, longitude, accuracy,
+// timestamp }), newest first, capped at `maxEntries`.
+export const createLocationHistory = ({
+  storage = createDefaultStorage('locations'),
+  maxEntries = 100
+} = {}) => {
+  const list = async () => (await storage.get('fixes')) || [];
+
+  const latest = async () => (await list())[0] || null;
+
+  const add = async (fix) => {
+    const fixes = [fix, ...(await list())].slice(0, maxEntries);
+    await storage.set('fixes', fixes);
+    return fix;
+  };
+
+  const clear = () => storage.delete('fixes');
+
+  return {
+    list,
+    latest,
+    add,
+    clear
+  };
+};
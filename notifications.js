@@ -0,0 +1,61 @@
+import { SIGNAL_LABELS } from './scoring.js';
+
+// What a security notification says, shared by the push sender (for Web Push)
+// and the dashboard (for local notifications while the tab is in the
+// background). Users choose which severities reach them; lockdowns always
+// count as critical.
+
+export const NOTIFICATION_SEVERITIES = {
+  critical: 'Critical (SIM swap, lockdowns)',
+  high: 'High',
+  medium: 'Medium',
+  info: 'Info (recovery completed)'
+};
+
+export const DEFAULT_NOTIFICATION_PREFERENCES = {
+  critical: true,
+  high: true,
+  medium: false,
+  info: false
+};
+
+export const wantsNotification = (preferences, severity) =>
+  !!{ ...DEFAULT_NOTIFICATION_PREFERENCES, ...preferences }[severity];
+
+// Tapping the notification opens the dashboard at the event behind it
+export const incidentUrl = (eventId) => eventId ? `/?event=${encodeURIComponent(eventId)}` : '/';
+
+// Webhook event ({ type, data }, see webhooks.js) -> notification
+//   { title, body, severity, tag, data: { eventId, url } }, or null for
+// events that are not worth interrupting anyone for
+export const notificationForWebhook = ({ type, data }) => {
+  if (type === 'event.detected') {
+    const { event, score } = data;
+    return {
+      title: `${event.severity === 'critical' ? '🚨' : '⚠️'} ${SIGNAL_LABELS[event.type] || event.type}`,
+      body: `${event.description} Risk score ${score}/100.`,
+      severity: event.severity,
+      tag: event.id,
+      data: { eventId: event.id, url: incidentUrl(event.id) }
+    };
+  }
+  if (type === 'service.locked') {
+    return {
+      title: `🔒 ${data.name} locked`,
+      body: `${data.name} was disabled to protect your account (${data.reason}). Open CyberSentrix to recover access.`,
+      severity: 'critical',
+      tag: `lock:${data.id}`,
+      data: { eventId: data.triggeredBy || null, url: incidentUrl(data.triggeredBy) }
+    };
+  }
+  if (type === 'recovery.completed') {
+    return {
+      title: '✓ Access restored',
+      body: `Recovery completed (${data.plan}). Your services are available again.`,
+      severity: 'info',
+      tag: 'recovery',
+      data: { eventId: null, url: incidentUrl(null) }
+    };
+  }
+  return null;
+};
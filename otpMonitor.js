@@ -0,0 +1,164 @@
+// OTP request telemetry with sliding-window burst detection. Backends and SMS
+// gateway webhooks report each code they send through recordOtpRequest; the
+// monitor raises otpBurst on the risk engine when requests in the window reach
+// the per-service or global threshold.
+
+export const DEFAULT_OTP_THRESHOLDS = {
+  windowMs: 30000,
+  perService: 3,
+  global: 5,
+  // Per-service overrides of perService, e.g. { 'Banking App': 2 }
+  services: {}
+};
+
+// Keep enough history for the rate chart, not just the detection window
+const HISTORY_MS = 10 * 60 * 1000;
+
+// Codes are never kept in clear text; only their length survives
+export const maskCode = (code) => (code === undefined || code === null) ? '••••••' : '•'.repeat(String(code).length);
+
+export const createOtpMonitor = ({
+  engine,
+  thresholds = {},
+  now = () => Date.now()
+} = {}) => {
+  const config = { ...DEFAULT_OTP_THRESHOLDS, ...thresholds };
+  const perServiceThresholds = { ...DEFAULT_OTP_THRESHOLDS.services, ...thresholds.services };
+  let requests = [];
+  let nextId = 1;
+  // Scopes that already fired for the current burst; re-armed once they calm down
+  const alerted = new Set();
+  const listeners = new Set();
+
+  const notify = () => listeners.forEach(listener => listener(requests));
+
+  const inWindow = (at) => requests.filter(request => request.timestamp > at - config.windowMs && request.timestamp <= at);
+
+  const burstSignal = ({ scope, service, count, threshold, window }) => {
+    const seconds = Math.round(config.windowMs / 1000);
+    const where = scope === 'global'
+      ? `across ${new Set(window.map(request => request.service)).size} services`
+      : `for ${service}`;
+    return {
+      type: 'otpBurst',
+      description: `${count} OTP requests in ${seconds} seconds ${where} - credential stuffing suspected`,
+      severity: 'high',
+      evidence: {
+        scope,
+        service: service || 'all',
+        count,
+        threshold,
+        windowSeconds: seconds,
+        channels: [...new Set(window.map(request => request.channel))].join(', ')
+      },
+      alert: '⚡ OTP BURST DETECTED: Multiple authentication codes requested rapidly - possible credential stuffing attack.'
+    };
+  };
+
+  const evaluate = (at, service) => {
+    const window = inWindow(at);
+    const serviceWindow = window.filter(request => request.service === service);
+    const serviceThreshold = perServiceThresholds[service] || config.perService;
+    const checks = [
+      { key: 'global', scope: 'global', count: window.length, threshold: config.global, window },
+      { key: `service:${service}`, scope: 'service', service, count: serviceWindow.length, threshold: serviceThreshold, window: serviceWindow }
+    ];
+
+    const signals = [];
+    checks.forEach(check => {
+      if (check.count < check.threshold) {
+        alerted.delete(check.key);
+      } else if (!alerted.has(check.key)) {
+        alerted.add(check.key);
+        signals.push(burstSignal(check));
+      }
+    });
+    return signals;
+  };
+
+  // Report one OTP sent to the user. Returns the burst signals it triggered
+  // (global first), which are also ingested when an engine is attached.
+  const recordOtpRequest = ({ service, channel = 'sms', timestamp = now(), code }) => {
+    if (!service) throw new Error('recordOtpRequest requires a service');
+
+    const request = {
+      id: nextId++,
+      service,
+      channel,
+      timestamp,
+      maskedCode: maskCode(code)
+    };
+    requests = [request, ...requests]
+      .filter(entry => entry.timestamp > now() - HISTORY_MS)
+      .sort((a, b) => b.timestamp - a.timestamp);
+
+    // Late-arriving (backdated) reports are judged against the newest window
+    const signals = evaluate(Math.max(timestamp, requests[0].timestamp), service);
+    // One engine event per burst: the global signal supersedes a service one
+    if (engine && signals.length > 0) engine.ingest(signals[0]);
+    notify();
+    return signals;
+  };
+
+  const getRecent = (limit = 20) => requests.slice(0, limit);
+
+  // Request counts per bucket over the last spanMs, oldest first
+  const getRate = ({ bucketMs = 5000, spanMs = 2 * 60 * 1000 } = {}) => {
+    const end = now();
+    const buckets = Math.ceil(spanMs / bucketMs);
+    return Array.from({ length: buckets }, (_, i) => {
+      const start = end - (buckets - i) * bucketMs;
+      return {
+        start,
+        count: requests.filter(request => request.timestamp > start && request.timestamp <= start + bucketMs).length
+      };
+    });
+  };
+
+  const clear = () => {
+    requests = [];
+    alerted.clear();
+    notify();
+  };
+
+  const subscribe = (listener) => {
+    listeners.add(listener);
+    return () => listeners.delete(listener);
+  };
+
+  return {
+    recordOtpRequest,
+    getRecent,
+    getRate,
+    clear,
+    subscribe,
+    thresholds: config
+  };
+};
+
+// Node http handler for SMS gateway webhooks:
+//   POST { "service": "Banking App", "channel": "sms", "timestamp": 1700000000000 }
+export const createOtpWebhookHandler = (monitor) => (req, res) => {
+  if (req.method !== 'POST') {
+    res.writeHead(405).end();
+    return;
+  }
+
+  let body = '';
+  req.on('data', chunk => { body += chunk; });
+  req.on('end', () => {
+    try {
+      const { service, channel, timestamp } = JSON.parse(body);
+      const signals = monitor.recordOtpRequest({
+        service,
+        channel,
+        timestamp: timestamp ? new Date(timestamp).getTime() : undefined
+      });
+      res.writeHead(202, { 'Content-Type': 'application/json' });
+      res.end(JSON.stringify({ accepted: true, bursts: signals.length }));
+    } catch (error) {
+      res.writeHead(400, { 'Content-Type': 'application/json' });
+      res.end(JSON.stringify({ accepted: false, error: error.message }));
+    }
+  });
+};
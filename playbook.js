@@ -0,0 +1,288 @@
+import { CITIES } from './cities.js';
+
+// Attack playbooks: timed sequences of simulated signals for training and
+// demos, written in JSON or a small subset of YAML. For example
+//
+//   name: SIM swap takeover
+//   steps:
+//     - action: otpBurst
+//     - action: simSwap
+//       after: 40s
+//     - action: travel
+//       city: Moscow
+//       after: 30s
+//
+// Each step runs an action at `at` (from the start) or `after` (from the start
+// of the previous step); durations are numbers of seconds or strings like "1m30s".
+// `expect` lists the detections the step should trigger and defaults to the
+// action's own signal.
+
+export const PLAYBOOK_ACTIONS = {
+  otpBurst: {
+    label: 'OTP burst',
+    expect: ['otpBurst'],
+    // count codes, interval apart, cycling through services
+    defaults: {
+      count: 5,
+      interval: 1000,
+      channel: 'sms',
+      services: ['Banking App', 'Email', 'Social Media', 'Payment Gateway', 'Crypto Wallet']
+    }
+  },
+  otpRequest: {
+    label: 'OTP request',
+    expect: [],
+    defaults: { service: 'Banking App', channel: 'sms' }
+  },
+  simSwap: { label: 'SIM swap', expect: ['simSwap'], defaults: {} },
+  newDevice: { label: 'New device login', expect: ['deviceMismatch'], defaults: {} },
+  // Location fix at a city from cities.js or explicit coordinates
+  travel: { label: 'Location change', expect: ['locationAnomaly'], defaults: { accuracy: 50 } },
+  // Any signal, ingested as is: { type, severity, description }
+  signal: { label: 'Custom signal', expect: null, defaults: { severity: 'high' } }
+};
+
+// "1m30s", "40s", "500ms", or a number of seconds -> ms
+export const parseDuration = (value) => {
+  if (typeof value === 'number' && Number.isFinite(value) && value >= 0) return value * 1000;
+  const text = String(value).trim();
+  if (!/^(\d+(\.\d+)?(ms|h|m|s))+$/.test(text)) throw new Error(`Invalid duration: ${value}`);
+  const units = { ms: 1, s: 1000, m: 60 * 1000, h: 60 * 60 * 1000 };
+  return [...text.matchAll(/(\d+(?:\.\d+)?)(ms|h|m|s)/g)]
+    .reduce((total, [, amount, unit]) => total + Number(amount) * units[unit], 0);
+};
+
+export const formatDuration = (ms) => {
+  if (ms < 1000) return `${Math.round(ms)}ms`;
+  const seconds = Math.round(ms / 100) / 10;
+  if (seconds < 60) return `${seconds}s`;
+  return `${Math.floor(seconds / 60)}m${Math.round(seconds % 60)}s`;
+};
+
+// YAML subset: block maps and lists (including "- key: value" items),
+// comments, quoted and plain scalars, numbers, booleans, null and one-line
+// [a, b] lists. No anchors, multi-line strings or flow maps.
+const parseYamlScalar = (raw, lineNo) => {
+  let text = raw.trim();
+  if (text.startsWith('"')) {
+    const match = text.match(/^"((?:[^"\\]|\\.)*)"\s*(#.*)?$/);
+    if (!match) throw new Error(`Line ${lineNo}: unterminated string`);
+    return JSON.parse(`"${match[1]}"`);
+  }
+  if (text.startsWith("'")) {
+    const match = text.match(/^'((?:[^']|'')*)'\s*(#.*)?$/);
+    if (!match) throw new Error(`Line ${lineNo}: unterminated string`);
+    return match[1].replace(/''/g, "'");
+  }
+  text = text.replace(/\s+#.*$/, '');
+  if (text.startsWith('[')) {
+    if (!text.endsWith(']')) throw new Error(`Line ${lineNo}: unterminated list`);
+    const inner = text.slice(1, -1).trim();
+    return inner ? inner.split(',').map(item => parseYamlScalar(item, lineNo)) : [];
+  }
+  if (text === 'true') return true;
+  if (text === 'false') return false;
+  if (text === 'null' || text === '~' || text === '') return null;
+  if (/^-?\d+(\.\d+)?$/.test(text)) return Number(text);
+  return text;
+};
+
+export const parseYaml = (text) => {
+  const lines = [];
+  text.split(/\r?\n/).forEach((line, i) => {
+    if (/^\s*(#.*)?$/.test(line)) return;
+    if (/^\s*\t/.test(line)) throw new Error(`Line ${i + 1}: tabs are not allowed for indentation`);
+    lines.push({ indent: line.search(/\S/), content: line.trim(), lineNo: i + 1 });
+  });
+  let position = 0;
+
+  const isListItem = (line) => line.content === '-' || line.content.startsWith('- ');
+
+  const parseBlock = (indent) => {
+    const line = lines[position];
+    return isListItem(line) ? parseList(indent) : parseMap(indent);
+  };
+
+  const parseList = (indent) => {
+    const list = [];
+    while (position < lines.length && lines[position].indent === indent && isListItem(lines[position])) {
+      const line = lines[position];
+      const rest = line.content.slice(1).trim();
+      if (!rest) {
+        position++;
+        list.push(position < lines.length && lines[position].indent > indent ? parseBlock(lines[position].indent) : null);
+      } else if (/^[^'"[][^:]*:(\s|$)/.test(rest)) {
+        // "- key: value" starts a map indented to where the key begins
+        lines[position] = { ...line, indent: indent + line.content.indexOf(rest), content: rest };
+        list.push(parseMap(lines[position].indent));
+      } else {
+        list.push(parseYamlScalar(rest, line.lineNo));
+        position++;
+      }
+    }
+    return list;
+  };
+
+  const parseMap = (indent) => {
+    const map = {};
+    while (position < lines.length && lines[position].indent === indent && !isListItem(lines[position])) {
+      const line = lines[position];
+      const match = line.content.match(/^([^:]+?)\s*:(?:\s+(.*))?$/);
+      if (!match) throw new Error(`Line ${line.lineNo}: expected "key: value"`);
+      const [, key, rest] = match;
+      if (Object.prototype.hasOwnProperty.call(map, key)) throw new Error(`Line ${line.lineNo}: duplicate key "${key}"`);
+      position++;
+
+      const next = lines[position];
+      if (rest !== undefined && rest.replace(/\s+#.*$/, '') !== '' && !rest.startsWith('#')) {
+        map[key] = parseYamlScalar(rest, line.lineNo);
+      } else if (next && next.indent > indent) {
+        map[key] = parseBlock(next.indent);
+      } else if (next && next.indent === indent && isListItem(next)) {
+        // Lists may sit at the same indentation as their key
+        map[key] = parseList(indent);
+      } else {
+        map[key] = null;
+      }
+    }
+    return map;
+  };
+
+  if (lines.length === 0) return null;
+  const result = parseBlock(lines[0].indent);
+  if (position < lines.length) {
+    throw new Error(`Line ${lines[position].lineNo}: unexpected indentation`);
+  }
+  return result;
+};
+
+const findCity = (name) => {
+  const wanted = String(name).toLowerCase();
+  return CITIES.find(city => city.name.toLowerCase() === wanted || `${city.name}, ${city.country}`.toLowerCase() === wanted);
+};
+
+// Validate a parsed playbook and resolve its timing.
+// -> { name, description, durationMs, steps: [{ index, action, label, at, params, expect }] }
+export const normalizePlaybook = (source) => {
+  if (!source || typeof source !== 'object' || Array.isArray(source)) throw new Error('Playbook must be an object');
+  if (!Array.isArray(source.steps) || source.steps.length === 0) throw new Error('Playbook needs at least one step');
+
+  let previousAt = 0;
+  const steps = source.steps.map((step, index) => {
+    const where = `Step ${index + 1}`;
+    if (!step || typeof step !== 'object') throw new Error(`${where}: must be a map`);
+    const { action, at, after, expect, label, ...params } = step;
+    const definition = PLAYBOOK_ACTIONS[action];
+    if (!definition) {
+      throw new Error(`${where}: unknown action "${action}" (use ${Object.keys(PLAYBOOK_ACTIONS).join(', ')})`);
+    }
+    if (at !== undefined && after !== undefined) throw new Error(`${where}: use either "at" or "after", not both`);
+
+    let stepAt;
+    try {
+      stepAt = at !== undefined ? parseDuration(at) : previousAt + parseDuration(after ?? 0);
+    } catch (error) {
+      throw new Error(`${where}: ${error.message}`);
+    }
+    if (stepAt < previousAt) throw new Error(`${where}: starts before the previous step`);
+    previousAt = stepAt;
+
+    const resolved = { ...definition.defaults, ...params };
+    if (action === 'otpBurst') {
+      resolved.interval = parseDuration(params.interval !== undefined ? params.interval : `${definition.defaults.interval}ms`);
+      if (!Number.isInteger(resolved.count) || resolved.count < 1) throw new Error(`${where}: count must be a positive whole number`);
+      if (!Array.isArray(resolved.services) || resolved.services.length === 0) throw new Error(`${where}: services must be a list`);
+    }
+    if (action === 'travel') {
+      if (params.city !== undefined && params.latitude === undefined) {
+        const city = findCity(params.city);
+        if (!city) throw new Error(`${where}: unknown city "${params.city}" - give latitude and longitude instead`);
+        Object.assign(resolved, { latitude: city.latitude, longitude: city.longitude, city: `${city.name}, ${city.country}` });
+      }
+      if (typeof resolved.latitude !== 'number' || typeof resolved.longitude !== 'number') {
+        throw new Error(`${where}: travel needs a city or latitude and longitude`);
+      }
+    }
+    if (action === 'signal' && (!params.type || !params.description)) {
+      throw new Error(`${where}: signal needs a type and a description`);
+    }
+    if (expect !== undefined && expect !== null && !Array.isArray(expect)) {
+      throw new Error(`${where}: expect must be a list of signal types`);
+    }
+
+    const duration = action === 'otpBurst' ? (resolved.count - 1) * resolved.interval : 0;
+    return {
+      index,
+      action,
+      label: label || definition.label,
+      at: stepAt,
+      duration,
+      params: resolved,
+      expect: expect ?? definition.expect ?? [params.type]
+    };
+  });
+
+  return {
+    name: source.name || 'Untitled playbook',
+    description: source.description || '',
+    durationMs: Math.max(...steps.map(step => step.at + step.duration)),
+    steps
+  };
+};
+
+// JSON when it looks like JSON, the YAML subset otherwise
+export const parsePlaybook = (text) => {
+  const trimmed = text.trim();
+  if (!trimmed) throw new Error('Playbook is empty');
+  let source;
+  if (trimmed.startsWith('{')) {
+    try {
+      source = JSON.parse(trimmed);
+    } catch (error) {
+      throw new Error(`Invalid JSON: ${error.message}`);
+    }
+  } else {
+    source = parseYaml(trimmed);
+  }
+  return normalizePlaybook(source);
+};
+
+export const PLAYBOOK_LIBRARY = {
+  simSwapTakeover: `name: SIM swap takeover
+description: OTP burst, then SIM swap 40s later, then login from a new country
+steps:
+  - action: otpBurst
+    count: 5
+    interval: 2s
+  - action: simSwap
+    after: 40s
+  - action: travel
+    city: Moscow
+    after: 30s
+  - action: newDevice
+    after: 5s
+`,
+  credentialStuffing: `name: Credential stuffing
+description: Slow OTP probing on one service, then a burst across many
+steps:
+  - action: otpRequest
+    service: Banking App
+  - action: otpRequest
+    service: Banking App
+    after: 10s
+  - action: otpBurst
+    after: 20s
+    count: 6
+    interval: 500ms
+    services: [Banking App, Payment Gateway]
+`,
+  deviceTheft: `{
+  "name": "Stolen phone",
+  "description": "New device login, then travel abroad within the hour",
+  "steps": [
+    { "action": "newDevice" },
+    { "action": "travel", "city": "Lagos", "after": "45m", "expect": ["locationAnomaly"] }
+  ]
+}
+`
+};
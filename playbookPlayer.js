@@ -0,0 +1,282 @@
+import { simulateNewDevice, simulateSIMSwap, simulateTravel } from './simulations.js';
+
+// Plays a normalised playbook (see playbook.js) against a risk engine and OTP
+// monitor. Playback runs on its own clock, so it can be paused, stepped or
+// sped up: signal timestamps and detection latencies are in playbook time,
+// measured from the start of the step that caused them.
+//
+// State: { status: ready | playing | paused | finished, position, speed,
+//   steps: [{ ...step, status: pending | running | done | skipped }],
+//   detections: [{ type, severity, description, step, at, latencyMs }],
+//   locks: [{ services, at }] }
+
+// Where travel starts when the caller has no real fix
+const DEFAULT_ORIGIN = { latitude: 51.5074, longitude: -0.1278, accuracy: 50 };
+
+export const createPlaybookPlayer = ({
+  playbook,
+  engine,
+  otpMonitor,
+  // Where signals are sent instead of straight to the engine and OTP monitor,
+  // e.g. a detection pipeline that records them
+  target = null,
+  origin = DEFAULT_ORIGIN,
+  speed = 1,
+  now = () => Date.now(),
+  schedule = (callback, ms) => {
+    const timer = setTimeout(callback, ms);
+    return () => clearTimeout(timer);
+  }
+}) => {
+  const listeners = new Set();
+  let status = 'ready';
+  let steps = playbook.steps.map(step => ({ ...step, status: 'pending' }));
+  let detections = [];
+  let locks = [];
+  let startedAt = null;
+  // Playback position is anchor.position plus wall time since anchor.wall
+  let anchor = { wall: now(), position: 0 };
+  let rate = speed;
+  let next = 0;
+  let cursor = null;
+  let busy = false;
+  let cancelTimer = null;
+  let lastFix = null;
+  const signals = target || engine;
+  const otpRequests = target || otpMonitor;
+
+  // One entry per signal to emit; bursts spread their requests over time
+  const emissions = playbook.steps.flatMap(step => {
+    const { params } = step;
+    if (step.action === 'otpBurst') {
+      return Array.from({ length: params.count }, (_, i) => ({
+        step: step.index,
+        at: step.at + i * params.interval,
+        run: (timestamp) => otpRequests.recordOtpRequest({
+          service: params.services[i % params.services.length],
+          channel: params.channel,
+          timestamp,
+          code: Math.floor(100000 + Math.random() * 900000)
+        })
+      }));
+    }
+
+    const actions = {
+      otpRequest: (timestamp) => otpRequests.recordOtpRequest({ service: params.service, channel: params.channel, timestamp }),
+      simSwap: () => simulateSIMSwap(signals),
+      newDevice: () => simulateNewDevice(signals),
+      travel: (timestamp) => {
+        const fix = { latitude: params.latitude, longitude: params.longitude, accuracy: params.accuracy, timestamp };
+        const result = simulateTravel(signals, {
+          previous: lastFix,
+          fix,
+          city: params.city || `${params.latitude}, ${params.longitude}`
+        });
+        lastFix = fix;
+        return result;
+      },
+      signal: () => signals.ingest({
+        type: params.type,
+        description: params.description,
+        severity: params.severity,
+        evidence: params.evidence || {},
+        alert: params.alert
+      })
+    };
+    return [{ step: step.index, at: step.at, run: actions[step.action] }];
+  });
+
+  const getPosition = () => status === 'playing'
+    ? Math.min(anchor.position + (now() - anchor.wall) * rate, playbook.durationMs)
+    : anchor.position;
+
+  const getState = () => ({
+    status,
+    position: getPosition(),
+    speed: rate,
+    steps,
+    detections,
+    locks
+  });
+
+  const notify = () => {
+    const state = getState();
+    listeners.forEach(listener => listener(state));
+  };
+
+  const setStep = (index, changes) => {
+    steps = steps.map(step => step.index === index ? { ...step, ...changes } : step);
+  };
+
+  // Detections are credited to the emission that was running, or else to the
+  // step in progress
+  const unsubscribe = engine.subscribe((state, change) => {
+    if (status === 'ready' || status === 'finished') return;
+    const at = cursor ? cursor.at : getPosition();
+    const stepIndex = cursor ? cursor.step : Math.max(0, steps.filter(step => step.at <= at).length - 1);
+
+    if (change.type === 'event') {
+      const { type, severity, description } = change.event;
+      detections = [...detections, { type, severity, description, step: stepIndex, at, latencyMs: at - steps[stepIndex].at }];
+    }
+    if (change.type === 'serviceLock') {
+      locks = [...locks, { services: change.services.map(service => service.name), at }];
+    }
+  });
+
+  const clearTimer = () => {
+    if (cancelTimer) cancelTimer();
+    cancelTimer = null;
+  };
+
+  const finish = (finalStatus = 'finished') => {
+    clearTimer();
+    anchor = { wall: now(), position: getPosition() };
+    steps = steps.map(step => step.status === 'done' ? step : { ...step, status: 'skipped' });
+    status = finalStatus;
+    notify();
+  };
+
+  const runEmission = async (emission) => {
+    cursor = emission;
+    setStep(emission.step, { status: 'running' });
+    try {
+      await emission.run(startedAt + emission.at);
+    } finally {
+      cursor = null;
+    }
+    next++;
+    if (!emissions[next] || emissions[next].step !== emission.step) setStep(emission.step, { status: 'done' });
+  };
+
+  const scheduleNext = () => {
+    clearTimer();
+    if (status !== 'playing') return;
+    if (next >= emissions.length) {
+      finish();
+      return;
+    }
+    const delay = (emissions[next].at - getPosition()) / rate;
+    cancelTimer = schedule(() => {
+      cancelTimer = null;
+      runDue();
+    }, Math.max(0, delay));
+  };
+
+  // Emit everything whose time has come, one at a time
+  const runDue = async () => {
+    if (busy) return;
+    busy = true;
+    try {
+      while (status === 'playing' && next < emissions.length && emissions[next].at <= getPosition()) {
+        await runEmission(emissions[next]);
+        notify();
+      }
+    } finally {
+      busy = false;
+    }
+    scheduleNext();
+  };
+
+  const begin = () => {
+    if (startedAt !== null) return;
+    startedAt = now();
+    lastFix = { ...origin, timestamp: startedAt };
+  };
+
+  const play = () => {
+    if (status === 'playing' || status === 'finished') return;
+    begin();
+    anchor = { wall: now(), position: anchor.position };
+    status = 'playing';
+    notify();
+    runDue();
+  };
+
+  const pause = () => {
+    if (status !== 'playing') return;
+    clearTimer();
+    anchor = { wall: now(), position: getPosition() };
+    status = 'paused';
+    notify();
+  };
+
+  // Run the whole next step now and stay paused after it
+  const step = async () => {
+    if (status === 'finished' || busy) return;
+    pause();
+    begin();
+    if (status === 'ready') status = 'paused';
+    const stepIndex = emissions[next].step;
+
+    busy = true;
+    try {
+      while (next < emissions.length && emissions[next].step === stepIndex) {
+        anchor = { wall: now(), position: Math.max(anchor.position, emissions[next].at) };
+        await runEmission(emissions[next]);
+      }
+    } finally {
+      busy = false;
+    }
+
+    if (next >= emissions.length) finish();
+    else notify();
+  };
+
+  const stop = () => {
+    if (status === 'finished') return;
+    finish();
+  };
+
+  const setSpeed = (value) => {
+    anchor = { wall: now(), position: getPosition() };
+    rate = value;
+    notify();
+    if (status === 'playing') scheduleNext();
+  };
+
+  // Per step: what was expected, what fired and how long it took
+  const getReport = () => ({
+    name: playbook.name,
+    durationMs: getPosition(),
+    steps: steps.map(entry => {
+      const fired = detections.filter(detection => detection.step === entry.index);
+      const firedTypes = new Set(fired.map(detection => detection.type));
+      return {
+        index: entry.index,
+        label: entry.label,
+        at: entry.at,
+        status: entry.status,
+        expected: entry.expect,
+        fired,
+        missed: entry.status === 'done' ? entry.expect.filter(type => !firedTypes.has(type)) : []
+      };
+    }),
+    detections,
+    locks,
+    firstLockMs: locks.length > 0 ? locks[0].at : null
+  });
+
+  const subscribe = (listener) => {
+    listeners.add(listener);
+    return () => listeners.delete(listener);
+  };
+
+  const dispose = () => {
+    clearTimer();
+    unsubscribe();
+    status = 'finished';
+  };
+
+  return {
+    play,
+    pause,
+    step,
+    stop,
+    setSpeed,
+    getState,
+    getReport,
+    subscribe,
+    dispose
+  };
+};
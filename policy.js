@@ -0,0 +1,289 @@
+import { ARCHIVE_EVENT_TYPE, LOCK_EVENT_TYPE } from './eventStore.js';
+import { DEFAULT_WEIGHTS, explainRiskScore, getRiskLevel, resolveBands, RISK_BANDS } from './scoring.js';
+import { DEFAULT_SERVICES, evaluateService, SERVICE_ACTIONS } from './serviceRegistry.js';
+import { requireStaffRole } from './staffAuth.js';
+import { createDefaultStorage } from './storage.js';
+
+// Detection policy: the tunable part of detection as one JSON document that
+// admins edit, validate against POLICY_SCHEMA and publish as numbered versions.
+//   { weights: { simSwap: 45, ... },
+//     bands: [{ level: 'CRITICAL', min: 70 }, ...],
+//     services: [{ id, name, rules: [{ minScore, action } | { signals, action }] }] }
+// Service rules work as described in serviceRegistry.js; a `lock` rule is what
+// locks a service.
+
+const SIGNAL_TYPES = Object.keys(DEFAULT_WEIGHTS);
+const LEVELS = RISK_BANDS.map(band => band.level);
+
+const scoreSchema = { type: 'integer', minimum: 0, maximum: 100 };
+
+// JSON Schema (draft 2020-12), limited to the keywords validateSchema knows
+export const POLICY_SCHEMA = {
+  $schema: 'https://json-schema.org/draft/2020-12/schema',
+  title: 'CyberSentrix detection policy',
+  type: 'object',
+  required: ['weights', 'bands', 'services'],
+  additionalProperties: false,
+  properties: {
+    weights: {
+      type: 'object',
+      required: SIGNAL_TYPES,
+      additionalProperties: false,
+      properties: Object.fromEntries(SIGNAL_TYPES.map(type => [type, { type: 'number', minimum: 0, maximum: 100 }]))
+    },
+    bands: {
+      type: 'array',
+      minItems: LEVELS.length,
+      maxItems: LEVELS.length,
+      items: {
+        type: 'object',
+        required: ['level', 'min'],
+        additionalProperties: false,
+        properties: { level: { enum: LEVELS }, min: scoreSchema }
+      }
+    },
+    services: {
+      type: 'array',
+      minItems: 1,
+      items: {
+        type: 'object',
+        required: ['id', 'name', 'rules'],
+        additionalProperties: false,
+        properties: {
+          id: { type: 'string', pattern: '^[A-Za-z][A-Za-z0-9_-]*$' },
+          name: { type: 'string', minLength: 1 },
+          rules: {
+            type: 'array',
+            items: {
+              type: 'object',
+              required: ['action'],
+              additionalProperties: false,
+              properties: {
+                minScore: scoreSchema,
+                signals: { type: 'array', minItems: 1, items: { enum: SIGNAL_TYPES } },
+                action: { enum: Object.keys(SERVICE_ACTIONS) }
+              }
+            }
+          }
+        }
+      }
+    }
+  }
+};
+
+export const DEFAULT_POLICY = {
+  weights: { ...DEFAULT_WEIGHTS },
+  bands: RISK_BANDS.map(({ level, min }) => ({ level, min })),
+  services: DEFAULT_SERVICES.map(({ id, name, rules }) => ({ id, name, rules }))
+};
+
+const TYPE_CHECKS = {
+  object: value => value !== null && typeof value === 'object' && !Array.isArray(value),
+  array: value => Array.isArray(value),
+  string: value => typeof value === 'string',
+  number: value => typeof value === 'number' && Number.isFinite(value),
+  integer: value => Number.isInteger(value),
+  boolean: value => typeof value === 'boolean'
+};
+
+const childPath = (path, key) => path ? `${path}.${key}` : key;
+
+// -> ['path: problem', ...], empty when valid. Supports type, enum, minimum,
+// maximum, minLength, pattern, minItems, maxItems, items, required,
+// properties and additionalProperties: false.
+export const validateSchema = (value, schema, path = '') => {
+  const at = path || 'policy';
+  if (schema.type && !TYPE_CHECKS[schema.type](value)) return [`${at}: must be of type ${schema.type}`];
+
+  const errors = [];
+  if (schema.enum && !schema.enum.includes(value)) errors.push(`${at}: must be one of ${schema.enum.join(', ')}`);
+  if (schema.minimum !== undefined && value < schema.minimum) errors.push(`${at}: must be ≥ ${schema.minimum}`);
+  if (schema.maximum !== undefined && value > schema.maximum) errors.push(`${at}: must be ≤ ${schema.maximum}`);
+  if (schema.minLength !== undefined && value.length < schema.minLength) errors.push(`${at}: must not be empty`);
+  if (schema.pattern && !new RegExp(schema.pattern).test(value)) errors.push(`${at}: must match ${schema.pattern}`);
+
+  if (schema.type === 'array') {
+    if (schema.minItems !== undefined && value.length < schema.minItems) errors.push(`${at}: needs at least ${schema.minItems} items`);
+    if (schema.maxItems !== undefined && value.length > schema.maxItems) errors.push(`${at}: allows at most ${schema.maxItems} items`);
+    if (schema.items) value.forEach((item, i) => errors.push(...validateSchema(item, schema.items, `${path}[${i}]`)));
+  }
+
+  if (schema.type === 'object') {
+    (schema.required || []).forEach(key => {
+      if (!(key in value)) errors.push(`${childPath(path, key)}: is required`);
+    });
+    Object.entries(value).forEach(([key, child]) => {
+      const property = schema.properties && schema.properties[key];
+      if (property) {
+        errors.push(...validateSchema(child, property, childPath(path, key)));
+      } else if (schema.additionalProperties === false) {
+        errors.push(`${childPath(path, key)}: is not allowed`);
+      }
+    });
+  }
+
+  return errors;
+};
+
+// Schema checks, then what the schema cannot say: each level once, stricter
+// levels starting higher, every score covered, unique service ids
+export const validatePolicy = (policy) => {
+  const errors = validateSchema(policy, POLICY_SCHEMA);
+  if (errors.length > 0) return errors;
+
+  LEVELS.forEach(level => {
+    if (policy.bands.filter(band => band.level === level).length !== 1) errors.push(`bands: ${level} must appear exactly once`);
+  });
+  if (errors.length === 0) {
+    const mins = LEVELS.map(level => policy.bands.find(band => band.level === level).min);
+    mins.forEach((min, i) => {
+      if (i > 0 && min >= mins[i - 1]) errors.push(`bands: ${LEVELS[i]} must start below ${LEVELS[i - 1]}`);
+    });
+    if (mins[mins.length - 1] !== 0) errors.push(`bands: ${LEVELS[LEVELS.length - 1]} must start at 0`);
+  }
+
+  const ids = new Set();
+  policy.services.forEach((service, i) => {
+    if (ids.has(service.id)) errors.push(`services[${i}].id: duplicate "${service.id}"`);
+    ids.add(service.id);
+    service.rules.forEach((rule, j) => {
+      if (rule.minScore === undefined && rule.signals === undefined) {
+        errors.push(`services[${i}].rules[${j}]: needs minScore or signals`);
+      }
+    });
+  });
+
+  return errors;
+};
+
+// Parse editor text; validation is separate so every problem can be listed
+export const parsePolicy = (text) => {
+  try {
+    return JSON.parse(text);
+  } catch (error) {
+    throw new Error(`Invalid JSON: ${error.message}`);
+  }
+};
+
+// What createRiskEngine and engine.setConfig take
+export const policyToEngineConfig = (policy) => ({
+  scoring: { weights: policy.weights },
+  bands: policy.bands,
+  services: policy.services
+});
+
+// Published versions: { version, policy, publishedAt, author, note }, where
+// author is { staffId, name } from the policy admin's staff session.
+// Nothing is overwritten; rolling back publishes an old policy again.
+// Runs in the relying-party server (rpServer.js), which verifies the staff
+// session token before publishing; dashboards fetch the current version.
+export const createPolicyStore = ({
+  storage = createDefaultStorage('policies'),
+  now = () => Date.now()
+} = {}) => {
+  const listeners = new Set();
+
+  // Newest first
+  const list = async () => (await storage.list()).sort((a, b) => b.version - a.version);
+
+  const current = async () => (await list())[0] || null;
+
+  // session: a verified staff session with the policyAdmin role (see staffAuth.js)
+  const publish = async (policy, { session, note = '' } = {}) => {
+    const { staffId, name } = requireStaffRole(session, 'policyAdmin', now());
+    const errors = validatePolicy(policy);
+    if (errors.length > 0) throw new Error(`Invalid policy: ${errors.join('; ')}`);
+
+    // Claim the next free version; a concurrent publish that got there first
+    // makes the add fail and we take the one after
+    let entry;
+    do {
+      const latest = await current();
+      entry = { version: latest ? latest.version + 1 : 1, policy, publishedAt: now(), author: { staffId, name }, note };
+    } while (!await storage.add(`v${entry.version}`, entry));
+
+    listeners.forEach(listener => listener(entry));
+    return entry;
+  };
+
+  const rollback = async (version, { session } = {}) => {
+    requireStaffRole(session, 'policyAdmin', now());
+    const entry = (await list()).find(candidate => candidate.version === version);
+    if (!entry) throw new Error(`No policy version ${version}`);
+    return publish(entry.policy, { session, note: `Rolled back to v${version}` });
+  };
+
+  // Called with each newly published version
+  const subscribe = (listener) => {
+    listeners.add(listener);
+    return () => listeners.delete(listener);
+  };
+
+  return {
+    list,
+    current,
+    publish,
+    rollback,
+    subscribe
+  };
+};
+
+// Score, level and newly locked services after each event under one policy.
+// Each event is scored when it was detected, against the events before it in
+// the same epoch. Ongoing conditions are not logged as such, so a condition
+// counts at full strength from the event that started it.
+const scoreUnder = (policy, events, baseScore) => {
+  const bands = resolveBands(policy.bands);
+  const scoring = { weights: policy.weights };
+  let epoch = null;
+  let locked = new Set();
+
+  return events.map((event, i) => {
+    if (event.epoch !== epoch) {
+      epoch = event.epoch;
+      locked = new Set();
+    }
+    const history = events.slice(0, i + 1).filter(candidate => candidate.epoch === epoch);
+    const conditions = [...new Set(history.filter(candidate => candidate.condition).map(candidate => candidate.type))]
+      .map(type => ({ type, magnitude: 1 }));
+    const value = Math.max(explainRiskScore(history, scoring, event.detectedAt, conditions).score, baseScore);
+    const signals = [...new Set(history.map(candidate => candidate.type))];
+
+    const newlyLocked = policy.services.filter(service =>
+      !locked.has(service.id) && evaluateService(service, { score: value, signals }).action === 'lock'
+    );
+    newlyLocked.forEach(service => locked.add(service.id));
+    return { score: value, level: getRiskLevel(value, bands).level, locked: newlyLocked.map(service => service.name) };
+  });
+};
+
+// How the last `limit` logged events (event store entries, any epoch) would
+// have scored under `draft` compared with `current`.
+// -> { rows: [{ event, current, draft, changed }], summary }
+// where current and draft are { score, level, locked }
+export const dryRunPolicy = (entries, { current, draft, limit = 50, baseScore = 5 }) => {
+  const events = entries
+    .filter(entry => entry.type !== ARCHIVE_EVENT_TYPE && entry.type !== LOCK_EVENT_TYPE)
+    .sort((a, b) => a.detectedAt - b.detectedAt);
+  const before = scoreUnder(current, events, baseScore);
+  const after = scoreUnder(draft, events, baseScore);
+
+  const rows = events.map((event, i) => ({
+    event,
+    current: before[i],
+    draft: after[i],
+    changed: before[i].level !== after[i].level || before[i].locked.join() !== after[i].locked.join()
+  })).slice(-limit);
+
+  const peak = (side) => rows.reduce((max, row) => Math.max(max, row[side].score), 0);
+  const locks = (side) => rows.reduce((total, row) => total + row[side].locked.length, 0);
+  return {
+    rows,
+    summary: {
+      events: rows.length,
+      changed: rows.filter(row => row.changed).length,
+      peak: { current: peak('current'), draft: peak('draft') },
+      locks: { current: locks('current'), draft: locks('draft') }
+    }
+  };
+};
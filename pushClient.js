@@ -0,0 +1,91 @@
+import { base64urlToBuffer } from './encoding.js';
+
+// Browser side of push notifications: asks for the Notification permission,
+// registers the service worker and hands its push subscription to the push
+// sender (pushSender.js). The sender answers with a webhook URL and secret;
+// registering those as an integration routes lockdowns and detections through
+// the durable webhook outbox to this device.
+
+export const DEFAULT_PUSH_URL = 'http://localhost:8789';
+export const SERVICE_WORKER_URL = '/serviceWorker.js';
+
+const post = async (baseUrl, path, body) => {
+  const response = await fetch(`${baseUrl}${path}`, {
+    method: 'POST',
+    headers: { 'Content-Type': 'application/json' },
+    body: JSON.stringify(body)
+  });
+  const data = await response.json();
+  if (!response.ok) throw new Error(data.error || `Push sender responded ${response.status}`);
+  return data;
+};
+
+export const isPushSupported = () =>
+  typeof window !== 'undefined' && 'serviceWorker' in navigator && 'PushManager' in window && 'Notification' in window;
+
+// 'default' | 'granted' | 'denied', or 'unsupported'
+export const getNotificationPermission = () =>
+  typeof window !== 'undefined' && 'Notification' in window ? Notification.permission : 'unsupported';
+
+export const requestNotificationPermission = async () => {
+  if (getNotificationPermission() === 'unsupported') return 'unsupported';
+  return Notification.requestPermission();
+};
+
+export const registerServiceWorker = () => navigator.serviceWorker.register(SERVICE_WORKER_URL);
+
+// -> { id, webhookSecret, webhookUrl }
+export const subscribeToPush = async ({ preferences, baseUrl = DEFAULT_PUSH_URL }) => {
+  if (!isPushSupported()) throw new Error('Push notifications are not supported in this browser');
+  if (await requestNotificationPermission() !== 'granted') throw new Error('Notification permission was not granted');
+
+  await registerServiceWorker();
+  const registration = await navigator.serviceWorker.ready;
+  const response = await fetch(`${baseUrl}/push/vapid-public-key`);
+  if (!response.ok) throw new Error(`Push sender responded ${response.status}`);
+  const { publicKey } = await response.json();
+
+  const subscription = await registration.pushManager.subscribe({
+    userVisibleOnly: true,
+    applicationServerKey: base64urlToBuffer(publicKey)
+  });
+  const { id, webhookSecret } = await post(baseUrl, '/push/subscribe', { subscription: subscription.toJSON(), preferences });
+  return { id, webhookSecret, webhookUrl: `${baseUrl}/push/webhooks/${id}` };
+};
+
+export const updatePushPreferences = ({ id, preferences, baseUrl = DEFAULT_PUSH_URL }) =>
+  post(baseUrl, '/push/preferences', { id, preferences });
+
+export const sendTestPush = ({ id, baseUrl = DEFAULT_PUSH_URL }) => post(baseUrl, '/push/test', { id });
+
+export const unsubscribeFromPush = async ({ id, baseUrl = DEFAULT_PUSH_URL }) => {
+  const registration = await navigator.serviceWorker.getRegistration(SERVICE_WORKER_URL);
+  const subscription = registration && await registration.pushManager.getSubscription();
+  if (subscription) await subscription.unsubscribe();
+  await post(baseUrl, '/push/unsubscribe', { id });
+};
+
+// Local notification through the service worker, for when the tab is open
+// but hidden and no push subscription exists
+export const showLocalNotification = async ({ title, body, severity, tag, data }) => {
+  if (getNotificationPermission() !== 'granted') return;
+  const registration = await registerServiceWorker();
+  await registration.showNotification(title, {
+    body,
+    tag,
+    data,
+    renotify: true,
+    requireInteraction: severity === 'critical'
+  });
+};
+
+// The service worker posts { type: 'openEvent', eventId } when a notification
+// is tapped while the dashboard is already open
+export const onNotificationOpen = (listener) => {
+  if (typeof navigator === 'undefined' || !navigator.serviceWorker) return () => {};
+  const handleMessage = (message) => {
+    if (message.data && message.data.type === 'openEvent') listener(message.data.eventId);
+  };
+  navigator.serviceWorker.addEventListener('message', handleMessage);
+  return () => navigator.serviceWorker.removeEventListener('message', handleMessage);
+};
@@ -0,0 +1,337 @@
+import http from 'node:http';
+import { base64urlToBuffer, bufferToBase64url, bufferToHex, concatBytes, randomBytes, toBytes } from './encoding.js';
+import { createMemoryStorage } from './storage.js';
+import { verifyWebhookSignature } from './webhooks.js';
+import { notificationForWebhook, wantsNotification } from './notifications.js';
+
+// Local Web Push sender. Holds the VAPID key pair, the browsers' push
+// subscriptions and their severity preferences, and turns signed CyberSentrix
+// webhooks into encrypted push messages, so alerts arrive while the dashboard
+// is closed. Run with
+//   VAPID_PUBLIC_KEY=... VAPID_PRIVATE_KEY=... node pushSender.js
+// (keys are generated and printed when missing). The dashboard subscribes
+// through /push/subscribe and registers the returned webhook URL and secret
+// as an integration.
+//
+// Messages follow RFC 8030 (Web Push), RFC 8291 (aes128gcm payload
+// encryption) and RFC 8292 (VAPID).
+
+const ECDSA = { name: 'ECDSA', namedCurve: 'P-256' };
+const ECDH = { name: 'ECDH', namedCurve: 'P-256' };
+// Push services accept 4096-byte messages
+const RECORD_SIZE = 4096;
+
+// -> { publicKey, privateKey } as base64url: the uncompressed P-256 point,
+// which browsers take as applicationServerKey, and the private scalar
+export const generateVapidKeys = async () => {
+  const pair = await crypto.subtle.generateKey(ECDSA, true, ['sign', 'verify']);
+  const publicKey = await crypto.subtle.exportKey('raw', pair.publicKey);
+  const { d } = await crypto.subtle.exportKey('jwk', pair.privateKey);
+  return { publicKey: bufferToBase64url(publicKey), privateKey: d };
+};
+
+const importVapidPrivateKey = ({ publicKey, privateKey }) => {
+  const point = base64urlToBuffer(publicKey);
+  return crypto.subtle.importKey('jwk', {
+    kty: 'EC',
+    crv: 'P-256',
+    x: bufferToBase64url(point.slice(1, 33)),
+    y: bufferToBase64url(point.slice(33, 65)),
+    d: privateKey
+  }, ECDSA, false, ['sign']);
+};
+
+// Authorization header value for one push service origin (RFC 8292)
+export const createVapidAuthorization = async ({ endpoint, vapidKeys, subject, expiresInMs = 12 * 60 * 60 * 1000, now = Date.now() }) => {
+  const encode = (value) => bufferToBase64url(JSON.stringify(value));
+  const unsigned = `${encode({ typ: 'JWT', alg: 'ES256' })}.${encode({
+    aud: new URL(endpoint).origin,
+    exp: Math.floor((now + expiresInMs) / 1000),
+    sub: subject
+  })}`;
+  // Web Crypto signs in the raw r||s form JWS expects
+  const signature = await crypto.subtle.sign(
+    { name: 'ECDSA', hash: 'SHA-256' },
+    await importVapidPrivateKey(vapidKeys),
+    toBytes(unsigned)
+  );
+  return `vapid t=${unsigned}.${bufferToBase64url(signature)}, k=${vapidKeys.publicKey}`;
+};
+
+const hkdf = async (salt, ikm, info, length) => {
+  const key = await crypto.subtle.importKey('raw', ikm, 'HKDF', false, ['deriveBits']);
+  return new Uint8Array(await crypto.subtle.deriveBits({ name: 'HKDF', hash: 'SHA-256', salt, info }, key, length * 8));
+};
+
+// Encrypt a payload for one subscription ({ keys: { p256dh, auth } }) as a
+// single aes128gcm record (RFC 8291)
+export const encryptPushPayload = async (subscription, payload) => {
+  const clientPublic = base64urlToBuffer(subscription.keys.p256dh);
+  const authSecret = base64urlToBuffer(subscription.keys.auth);
+
+  const ephemeral = await crypto.subtle.generateKey(ECDH, true, ['deriveBits']);
+  const serverPublic = new Uint8Array(await crypto.subtle.exportKey('raw', ephemeral.publicKey));
+  const clientKey = await crypto.subtle.importKey('raw', clientPublic, ECDH, false, []);
+  const sharedSecret = new Uint8Array(await crypto.subtle.deriveBits({ name: 'ECDH', public: clientKey }, ephemeral.privateKey, 256));
+
+  const ikm = await hkdf(authSecret, sharedSecret, concatBytes('WebPush: info\0', clientPublic, serverPublic), 32);
+  const salt = randomBytes(16);
+  const contentKey = await hkdf(salt, ikm, toBytes('Content-Encoding: aes128gcm\0'), 16);
+  const nonce = await hkdf(salt, ikm, toBytes('Content-Encoding: nonce\0'), 12);
+
+  // 0x02 pads and marks the last (only) record
+  const plaintext = concatBytes(payload, new Uint8Array([2]));
+  if (plaintext.length + 16 > RECORD_SIZE) throw new Error('Push payload too large');
+  const key = await crypto.subtle.importKey('raw', contentKey, 'AES-GCM', false, ['encrypt']);
+  const ciphertext = await crypto.subtle.encrypt({ name: 'AES-GCM', iv: nonce }, key, plaintext);
+
+  const recordSize = new Uint8Array(4);
+  new DataView(recordSize.buffer).setUint32(0, RECORD_SIZE);
+  return concatBytes(salt, recordSize, new Uint8Array([serverPublic.length]), serverPublic, ciphertext);
+};
+
+// POST one message to the subscription's push service.
+// -> { ok, status, expired } where expired means the subscription is gone
+export const sendWebPush = async ({
+  subscription,
+  payload,
+  vapidKeys,
+  subject,
+  ttl = 24 * 60 * 60,
+  urgency = 'normal',
+  topic,
+  fetchImpl = (...args) => fetch(...args),
+  now = Date.now()
+}) => {
+  const response = await fetchImpl(subscription.endpoint, {
+    method: 'POST',
+    headers: {
+      'Content-Type': 'application/octet-stream',
+      'Content-Encoding': 'aes128gcm',
+      TTL: String(ttl),
+      Urgency: urgency,
+      ...(topic ? { Topic: topic } : {}),
+      Authorization: await createVapidAuthorization({ endpoint: subscription.endpoint, vapidKeys, subject, now })
+    },
+    body: await encryptPushPayload(subscription, JSON.stringify(payload))
+  });
+  return { ok: response.ok, status: response.status, expired: response.status === 404 || response.status === 410 };
+};
+
+// Topic header: at most 32 base64url characters
+const topicFor = (tag) => bufferToHex(toBytes(tag)).slice(0, 32);
+
+// Subscriptions: { id, subscription, preferences, webhookSecret, createdAt }.
+// The id is unguessable and doubles as the credential for managing it.
+export const createPushSender = ({
+  vapidKeys,
+  subject = 'mailto:security@cybersentrix.com',
+  subscriptions = createMemoryStorage(),
+  fetchImpl,
+  log = console.log,
+  // Webhook ids are remembered this long, up to this many, to drop retries
+  // of deliveries already pushed
+  dedupeWindowMs = 24 * 60 * 60 * 1000,
+  maxDedupeEntries = 10000,
+  now = () => Date.now()
+}) => {
+  // `${subscription id}:${event id}` -> when it was pushed, oldest first
+  const delivered = new Map();
+
+  const alreadyDelivered = (key) => delivered.has(key) && delivered.get(key) > now() - dedupeWindowMs;
+
+  const rememberDelivery = (key) => {
+    const at = now();
+    delivered.delete(key);
+    delivered.set(key, at);
+    for (const [oldest, seenAt] of delivered) {
+      if (delivered.size <= maxDedupeEntries && seenAt > at - dedupeWindowMs) break;
+      delivered.delete(oldest);
+    }
+  };
+
+  const subscribe = async ({ subscription, preferences = {} }) => {
+    if (!subscription || !subscription.endpoint || !subscription.keys) throw new Error('subscription with endpoint and keys is required');
+    const record = {
+      id: crypto.randomUUID(),
+      subscription,
+      preferences,
+      webhookSecret: bufferToHex(randomBytes(32)),
+      createdAt: now()
+    };
+    await subscriptions.set(record.id, record);
+    return { id: record.id, webhookSecret: record.webhookSecret };
+  };
+
+  const requireRecord = async (id) => {
+    const record = await subscriptions.get(id);
+    if (!record) throw new Error('Unknown subscription');
+    return record;
+  };
+
+  const setPreferences = async (id, preferences) => {
+    const record = await requireRecord(id);
+    await subscriptions.set(id, { ...record, preferences });
+    return { preferences };
+  };
+
+  const unsubscribe = (id) => subscriptions.delete(id);
+
+  // Push one notification, dropping subscriptions the browser has revoked
+  const send = async (id, notification) => {
+    const record = await requireRecord(id);
+    const result = await sendWebPush({
+      subscription: record.subscription,
+      payload: notification,
+      vapidKeys,
+      subject,
+      urgency: notification.severity === 'critical' ? 'high' : 'normal',
+      topic: topicFor(notification.tag),
+      fetchImpl,
+      now: now()
+    });
+    if (result.expired) {
+      await subscriptions.delete(id);
+      log(`✗ subscription ${id} expired, removed`);
+    }
+    return result;
+  };
+
+  // A signed webhook delivery for one subscription. An unknown subscription,
+  // bad signature or unparseable body is refused with rejected: true, which the handler answers
+  // with a 4xx the dispatcher does not retry: the same request would fail the
+  // same way. Anything else is acknowledged, whether or not the user's
+  // preferences let it through.
+  const receiveWebhook = async (id, { body, header }) => {
+    const record = await subscriptions.get(id);
+    if (!record) return { pushed: false, rejected: true, reason: 'Unknown subscription' };
+    const check = await verifyWebhookSignature({ secret: record.webhookSecret, body, header, now: now() });
+    if (!check.verified) return { pushed: false, rejected: true, reason: check.reason };
+
+    let event;
+    try {
+      event = JSON.parse(body);
+    } catch (error) {
+      return { pushed: false, rejected: true, reason: `Malformed webhook body: ${error.message}` };
+    }
+    // Retries reuse the event id
+    const key = `${id}:${event.id}`;
+    if (alreadyDelivered(key)) return { pushed: false, reason: 'duplicate' };
+    rememberDelivery(key);
+
+    const notification = notificationForWebhook(event);
+    if (!notification) return { pushed: false, reason: 'not notifiable' };
+    if (!wantsNotification(record.preferences, notification.severity)) return { pushed: false, reason: 'muted by preferences' };
+
+    const result = await send(id, notification);
+    log(`${result.ok ? '✓' : '✗'} ${event.type} -> push ${result.status}: ${notification.title}`);
+    return { pushed: result.ok, status: result.status };
+  };
+
+  return {
+    getPublicKey: () => vapidKeys.publicKey,
+    subscribe,
+    setPreferences,
+    unsubscribe,
+    send,
+    receiveWebhook
+  };
+};
+
+const readBody = (req) => new Promise((resolve, reject) => {
+  let body = '';
+  req.on('data', chunk => { body += chunk; });
+  req.on('end', () => resolve(body));
+  req.on('error', reject);
+});
+
+// Routes:
+//   GET  /push/vapid-public-key
+//   POST /push/subscribe      { subscription, preferences } -> { id, webhookSecret }
+//   POST /push/preferences    { id, preferences }
+//   POST /push/unsubscribe    { id }
+//   POST /push/test           { id }
+//   POST /push/webhooks/:id   signed webhook deliveries
+export const createPushHandler = (sender, { allowOrigin = '*' } = {}) => {
+  const routes = {
+    '/push/subscribe': body => sender.subscribe(body),
+    '/push/preferences': body => sender.setPreferences(body.id, body.preferences || {}),
+    '/push/unsubscribe': async body => {
+      await sender.unsubscribe(body.id);
+      return { removed: true };
+    },
+    '/push/test': body => sender.send(body.id, {
+      title: '🛡️ CyberSentrix notifications are on',
+      body: 'Security alerts will reach this device even when the dashboard is closed.',
+      severity: 'info',
+      tag: 'test',
+      data: { eventId: null, url: '/' }
+    })
+  };
+
+  return async (req, res) => {
+    const headers = {
+      'Access-Control-Allow-Origin': allowOrigin,
+      'Access-Control-Allow-Methods': 'GET, POST, OPTIONS',
+      'Access-Control-Allow-Headers': 'Content-Type, X-CyberSentrix-Event, X-CyberSentrix-Delivery, X-CyberSentrix-Signature'
+    };
+    const reply = (status, data) => {
+      res.writeHead(status, { ...headers, 'Content-Type': 'application/json' });
+      res.end(JSON.stringify(data));
+    };
+
+    if (req.method === 'OPTIONS') {
+      res.writeHead(204, headers).end();
+      return;
+    }
+
+    const path = new URL(req.url, 'http://localhost').pathname;
+    if (path === '/push/vapid-public-key' && req.method === 'GET') {
+      reply(200, { publicKey: sender.getPublicKey() });
+      return;
+    }
+
+    const webhook = path.match(/^\/push\/webhooks\/([\w-]+)$/);
+    const route = routes[path];
+    if (!webhook && !route) {
+      res.writeHead(404, headers).end();
+      return;
+    }
+    if (req.method !== 'POST') {
+      res.writeHead(405, headers).end();
+      return;
+    }
+
+    try {
+      const body = await readBody(req);
+      if (webhook) {
+        const result = await sender.receiveWebhook(webhook[1], { body, header: req.headers['x-cybersentrix-signature'] });
+        reply(result.rejected ? 401 : 200, result);
+        return;
+      }
+      const parsed = body ? JSON.parse(body) : {};
+      if (path !== '/push/subscribe' && !parsed.id) throw new Error('id is required');
+      reply(200, await route(parsed));
+    } catch (error) {
+      // Refused webhooks were answered above; anything thrown for one is on
+      // the push side and worth retrying
+      reply(webhook ? 502 : 400, { error: error.message });
+    }
+  };
+};
+
+if (import.meta.url === `file://${process.argv[1]}`) {
+  const port = Number(process.env.PORT) || 8789;
+  let vapidKeys = { publicKey: process.env.VAPID_PUBLIC_KEY, privateKey: process.env.VAPID_PRIVATE_KEY };
+  if (!vapidKeys.publicKey || !vapidKeys.privateKey) {
+    vapidKeys = await generateVapidKeys();
+    console.log('Generated VAPID keys; set these to keep existing subscriptions valid across restarts:');
+    console.log(`  VAPID_PUBLIC_KEY=${vapidKeys.publicKey}`);
+    console.log(`  VAPID_PRIVATE_KEY=${vapidKeys.privateKey}`);
+  }
+
+  const sender = createPushSender({ vapidKeys, subject: process.env.VAPID_SUBJECT });
+  http.createServer(createPushHandler(sender)).listen(port, () => {
+    console.log(`Push sender listening on http://localhost:${port}/push`);
+  });
+}
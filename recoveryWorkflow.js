@@ -0,0 +1,219 @@
+// Policy-driven account recovery. A policy names the available steps and maps
+// the signals behind a lockdown to a plan (an ordered list of steps); the most
+// severe matching plan wins. Steps are either factor checks, verified by
+// pluggable verifiers with their own timeout and attempt limit, or waits such
+// as a cooling-off period. A factor satisfies at most one step, so a plan with
+// two factor steps needs two different factors.
+
+export const DEFAULT_RECOVERY_POLICY = {
+  steps: {
+    identity: {
+      label: 'Identity verification',
+      factors: ['webauthn', 'totp', 'backupCode'],
+      timeoutMs: 5 * 60 * 1000,
+      maxAttempts: 3
+    },
+    secondFactor: {
+      label: 'Second factor',
+      factors: ['webauthn', 'totp', 'backupCode'],
+      timeoutMs: 5 * 60 * 1000,
+      maxAttempts: 3
+    },
+    coolingOff: {
+      label: 'Cooling-off period',
+      waitMs: 30 * 1000
+    }
+  },
+  // Checked in order; the first plan sharing a signal with the lockdown
+  // applies, falling back to the plan without `when`
+  plans: [
+    {
+      name: 'SIM swap',
+      when: ['simSwap'],
+      steps: ['identity', 'secondFactor', { step: 'coolingOff', waitMs: 2 * 60 * 1000 }]
+    },
+    {
+      name: 'Device or location compromise',
+      when: ['deviceMismatch', 'locationAnomaly'],
+      steps: ['identity', 'coolingOff']
+    },
+    {
+      name: 'Standard',
+      steps: ['identity']
+    }
+  ]
+};
+
+// Resolve the plan for a lockdown from the events that led to it. Plan steps
+// are step names or { step, ...overrides }.
+export const planRecovery = (events, policy = DEFAULT_RECOVERY_POLICY) => {
+  const types = new Set(events.map(event => event.type));
+  const plan = policy.plans.find(candidate => !candidate.when || candidate.when.some(type => types.has(type)));
+  if (!plan) throw new Error('Recovery policy has no applicable plan');
+
+  const steps = plan.steps.map(entry => {
+    const { step: id, ...overrides } = typeof entry === 'string' ? { step: entry } : entry;
+    const definition = policy.steps[id];
+    if (!definition) throw new Error(`Recovery policy references unknown step: ${id}`);
+    return { id, ...definition, ...overrides };
+  });
+
+  return { name: plan.name, steps };
+};
+
+// One recovery attempt. Verifiers map factor names to
+//   async (input) -> { verified, reason }
+// State: { plan, status, reason, current, steps } where status is one of
+// active | completed | failed | aborted, and each step carries its own
+// status (pending | active | verifying | passed | failed), attempts and deadline.
+export const createRecoveryWorkflow = ({
+  plan,
+  verifiers = {},
+  now = () => Date.now(),
+  schedule = (callback, ms) => {
+    const timer = setTimeout(callback, ms);
+    return () => clearTimeout(timer);
+  }
+}) => {
+  const listeners = new Set();
+  let cancelTimer = null;
+  let state = {
+    plan: plan.name,
+    status: 'active',
+    reason: null,
+    current: 0,
+    steps: plan.steps.map(step => ({
+      ...step,
+      kind: step.waitMs !== undefined ? 'wait' : 'factor',
+      factors: step.factors || [],
+      maxAttempts: step.maxAttempts || 1,
+      status: 'pending',
+      attempts: 0,
+      deadline: null,
+      error: null
+    }))
+  };
+
+  const notify = () => listeners.forEach(listener => listener(state));
+
+  const updateStep = (index, changes) => {
+    state = {
+      ...state,
+      steps: state.steps.map((step, i) => i === index ? { ...step, ...changes } : step)
+    };
+  };
+
+  const clearTimer = () => {
+    if (cancelTimer) cancelTimer();
+    cancelTimer = null;
+  };
+
+  const finish = (status, reason = null) => {
+    clearTimer();
+    state = { ...state, status, reason };
+  };
+
+  const fail = (reason) => {
+    updateStep(state.current, { status: 'failed', error: reason });
+    finish('failed', reason);
+    notify();
+  };
+
+  const startStep = (index) => {
+    if (index >= state.steps.length) {
+      finish('completed');
+      return;
+    }
+
+    const step = state.steps[index];
+    state = { ...state, current: index };
+
+    if (step.kind === 'wait') {
+      updateStep(index, { status: 'active', deadline: now() + step.waitMs });
+      cancelTimer = schedule(() => {
+        cancelTimer = null;
+        updateStep(index, { status: 'passed' });
+        startStep(index + 1);
+        notify();
+      }, step.waitMs);
+      return;
+    }
+
+    // Offer only factors that can be checked here and have not been used yet.
+    // Fail closed when none are left.
+    const used = state.steps.slice(0, index).map(previous => previous.factor);
+    const factors = step.factors.filter(factor => verifiers[factor] && !used.includes(factor));
+    if (factors.length === 0) {
+      updateStep(index, { status: 'failed', error: 'No verification method available' });
+      finish('failed', `${step.label}: no verification method available`);
+      return;
+    }
+
+    const deadline = step.timeoutMs ? now() + step.timeoutMs : null;
+    updateStep(index, { status: 'active', factors, deadline });
+    if (deadline) {
+      cancelTimer = schedule(() => {
+        cancelTimer = null;
+        fail(`${step.label} timed out`);
+      }, step.timeoutMs);
+    }
+  };
+
+  // Offer a factor for the current step. Resolves to the updated state.
+  const submit = async (factor, input) => {
+    const index = state.current;
+    const step = state.steps[index];
+    if (state.status !== 'active' || step.kind !== 'factor' || step.status !== 'active') return state;
+    if (!step.factors.includes(factor)) throw new Error(`${factor} is not accepted for ${step.label}`);
+
+    updateStep(index, { status: 'verifying', error: null });
+    notify();
+
+    let result;
+    try {
+      result = await verifiers[factor](input);
+    } catch (error) {
+      result = { verified: false, reason: error.message };
+    }
+
+    // Aborted or timed out while the verifier was running
+    if (state.status !== 'active' || state.current !== index) return state;
+
+    const attempts = step.attempts + 1;
+    if (result.verified) {
+      clearTimer();
+      updateStep(index, { status: 'passed', attempts, factor });
+      startStep(index + 1);
+    } else if (attempts >= step.maxAttempts) {
+      updateStep(index, { attempts });
+      fail(`${step.label} failed after ${attempts} attempt${attempts === 1 ? '' : 's'}: ${result.reason || 'not verified'}`);
+      return state;
+    } else {
+      updateStep(index, { status: 'active', attempts, error: result.reason || 'Not verified' });
+    }
+
+    notify();
+    return state;
+  };
+
+  const abort = (reason = 'Recovery cancelled') => {
+    if (state.status !== 'active') return;
+    updateStep(state.current, { status: 'failed', error: reason });
+    finish('aborted', reason);
+    notify();
+  };
+
+  const subscribe = (listener) => {
+    listeners.add(listener);
+    return () => listeners.delete(listener);
+  };
+
+  startStep(0);
+
+  return {
+    submit,
+    abort,
+    subscribe,
+    getState: () => state
+  };
+};
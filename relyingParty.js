@@ -0,0 +1,245 @@
+import { base64urlToBuffer, bufferToBase64url, concatBytes, randomBytes, sha256, timingSafeEqual } from './encoding.js';
+import { createMemoryStorage } from './storage.js';
+
+// WebAuthn relying-party verifier. Issues single-use challenges and checks
+// registration and authentication responses: challenge, origin, RP ID hash,
+// user presence/verification flags, signature and sign counter. Runs wherever
+// WebCrypto is available - the local stand-in server (rpServer.js) hosts it
+// in Node. Every check fails closed: anything unexpected is { verified: false }.
+// A user who already has a passkey must authenticate with it shortly before
+// registering another, so a stolen session cannot add a passkey of its own.
+// Recovery can ask for a passkey registered before a given time (the
+// lockdown), so one added since cannot unlock the account.
+
+const COSE_ES256 = -7;
+const COSE_RS256 = -257;
+
+const FLAG_USER_PRESENT = 0x01;
+const FLAG_USER_VERIFIED = 0x04;
+
+const decodeJson = (buffer) => JSON.parse(new TextDecoder().decode(buffer));
+
+// authenticatorData: rpIdHash (32) | flags (1) | signCount (4, big-endian) | ...
+export const parseAuthenticatorData = (buffer) => {
+  if (buffer.length < 37) throw new Error('authenticatorData too short');
+  const view = new DataView(buffer.buffer, buffer.byteOffset, buffer.byteLength);
+  return {
+    rpIdHash: buffer.slice(0, 32),
+    flags: buffer[32],
+    signCount: view.getUint32(33)
+  };
+};
+
+// Authenticators emit ECDSA signatures as DER; WebCrypto wants raw r || s
+export const derToRawSignature = (der, size = 32) => {
+  if (der[0] !== 0x30) throw new Error('Signature is not a DER sequence');
+  let offset = 2;
+  const readInteger = () => {
+    if (der[offset] !== 0x02) throw new Error('Malformed DER integer');
+    const length = der[offset + 1];
+    let value = der.slice(offset + 2, offset + 2 + length);
+    offset += 2 + length;
+    while (value.length > size && value[0] === 0) value = value.slice(1);
+    if (value.length > size) throw new Error('DER integer too long');
+    const padded = new Uint8Array(size);
+    padded.set(value, size - value.length);
+    return padded;
+  };
+  return concatBytes(readInteger(), readInteger());
+};
+
+const verifySignature = async ({ publicKey, algorithm }, signature, data) => {
+  const spki = base64urlToBuffer(publicKey);
+  if (algorithm === COSE_ES256) {
+    const key = await crypto.subtle.importKey('spki', spki, { name: 'ECDSA', namedCurve: 'P-256' }, false, ['verify']);
+    return crypto.subtle.verify({ name: 'ECDSA', hash: 'SHA-256' }, key, derToRawSignature(signature), data);
+  }
+  if (algorithm === COSE_RS256) {
+    const key = await crypto.subtle.importKey('spki', spki, { name: 'RSASSA-PKCS1-v1_5', hash: 'SHA-256' }, false, ['verify']);
+    return crypto.subtle.verify('RSASSA-PKCS1-v1_5', key, signature, data);
+  }
+  throw new Error(`Unsupported algorithm ${algorithm}`);
+};
+
+export const createRelyingParty = ({
+  rpId,
+  rpName = 'CyberSentrix',
+  origin,
+  credentials = createMemoryStorage(),
+  challengeTtlMs = 2 * 60 * 1000,
+  userVerification = 'required',
+  // How long a successful authentication allows registering another passkey
+  reauthWindowMs = 5 * 60 * 1000,
+  now = () => Date.now()
+}) => {
+  const expectedOrigins = [].concat(origin);
+  // Outstanding challenges by `${ceremony}:${userId}`; each is usable once
+  const challenges = new Map();
+  // User id -> time of the last verified authentication, spent by a registration
+  const authenticatedAt = new Map();
+
+  // `bounds` travel with the challenge to the verification
+  const issueChallenge = (ceremony, userId, bounds = {}) => {
+    const challenge = bufferToBase64url(randomBytes(32));
+    challenges.set(`${ceremony}:${userId}`, { challenge, expires: now() + challengeTtlMs, ...bounds });
+    return challenge;
+  };
+
+  // -> { reason } on failure, else the pending challenge
+  const consumeChallenge = (ceremony, userId, received) => {
+    const key = `${ceremony}:${userId}`;
+    const pending = challenges.get(key);
+    challenges.delete(key);
+    if (!pending) return { reason: 'no challenge outstanding' };
+    if (pending.expires < now()) return { reason: 'challenge expired' };
+    if (!timingSafeEqual(pending.challenge, received)) return { reason: 'challenge mismatch' };
+    return pending;
+  };
+
+  const listCredentials = async (userId) =>
+    (await credentials.list()).filter(credential => credential.userId === userId);
+
+  // Shared clientDataJSON + authenticatorData checks for both ceremonies
+  const checkCeremony = async ({ ceremony, type, userId, clientDataJSON, authenticatorData }) => {
+    const clientData = decodeJson(clientDataJSON);
+    if (clientData.type !== type) return { reason: `unexpected clientData type ${clientData.type}` };
+
+    const pending = consumeChallenge(ceremony, userId, clientData.challenge);
+    if (pending.reason) return { reason: pending.reason };
+
+    if (!expectedOrigins.includes(clientData.origin)) return { reason: `unexpected origin ${clientData.origin}` };
+
+    const authData = parseAuthenticatorData(authenticatorData);
+    if (!timingSafeEqual(authData.rpIdHash, await sha256(rpId))) return { reason: 'RP ID hash mismatch' };
+    if (!(authData.flags & FLAG_USER_PRESENT)) return { reason: 'user not present' };
+    if (userVerification === 'required' && !(authData.flags & FLAG_USER_VERIFIED)) {
+      return { reason: 'user not verified' };
+    }
+
+    return { authData, pending };
+  };
+
+  const recentlyAuthenticated = (userId) => (authenticatedAt.get(userId) || -Infinity) > now() - reauthWindowMs;
+
+  const generateRegistrationOptions = async ({ userId, userName, displayName }) => {
+    const existing = await listCredentials(userId);
+    if (existing.length > 0 && !recentlyAuthenticated(userId)) {
+      throw new Error('Authenticate with an existing passkey before registering another');
+    }
+    return {
+      challenge: issueChallenge('register', userId),
+      rp: { id: rpId, name: rpName },
+      user: { id: bufferToBase64url(new TextEncoder().encode(userId)), name: userName, displayName },
+      pubKeyCredParams: [
+        { alg: COSE_ES256, type: 'public-key' },
+        { alg: COSE_RS256, type: 'public-key' }
+      ],
+      authenticatorSelection: {
+        authenticatorAttachment: 'platform',
+        userVerification
+      },
+      excludeCredentials: existing.map(credential => ({ id: credential.id, type: 'public-key' })),
+      timeout: 60000,
+      attestation: 'none'
+    };
+  };
+
+  // credential: { id, response: { clientDataJSON, authenticatorData, publicKey,
+  // publicKeyAlgorithm } } with binary fields base64url-encoded
+  const verifyRegistration = async ({ userId, credential }) => {
+    try {
+      const { response } = credential;
+      const result = await checkCeremony({
+        ceremony: 'register',
+        type: 'webauthn.create',
+        userId,
+        clientDataJSON: base64urlToBuffer(response.clientDataJSON),
+        authenticatorData: base64urlToBuffer(response.authenticatorData)
+      });
+      if (result.reason) return { verified: false, reason: result.reason };
+
+      if (![COSE_ES256, COSE_RS256].includes(response.publicKeyAlgorithm)) {
+        return { verified: false, reason: `unsupported algorithm ${response.publicKeyAlgorithm}` };
+      }
+      if (!response.publicKey) return { verified: false, reason: 'missing public key' };
+      if (await credentials.get(credential.id)) return { verified: false, reason: 'credential already registered' };
+
+      const stored = {
+        id: credential.id,
+        userId,
+        publicKey: response.publicKey,
+        algorithm: response.publicKeyAlgorithm,
+        signCount: result.authData.signCount,
+        createdAt: now()
+      };
+      await credentials.set(stored.id, stored);
+      authenticatedAt.delete(userId);
+      return { verified: true, credentialId: stored.id };
+    } catch (error) {
+      return { verified: false, reason: error.message };
+    }
+  };
+
+  // createdBefore: only offer (and later accept) passkeys registered earlier
+  const generateAuthenticationOptions = async ({ userId, createdBefore = null }) => ({
+    challenge: issueChallenge('authenticate', userId, { createdBefore }),
+    rpId,
+    allowCredentials: (await listCredentials(userId))
+      .filter(credential => createdBefore === null || credential.createdAt < createdBefore)
+      .map(credential => ({ id: credential.id, type: 'public-key' })),
+    userVerification,
+    timeout: 60000
+  });
+
+  // credential: { id, response: { clientDataJSON, authenticatorData, signature } }
+  const verifyAuthentication = async ({ userId, credential }) => {
+    try {
+      const stored = await credentials.get(credential.id);
+      if (!stored || stored.userId !== userId) {
+        // Still burn the challenge so it cannot be retried with another credential
+        challenges.delete(`authenticate:${userId}`);
+        return { verified: false, reason: 'unknown credential' };
+      }
+
+      const { response } = credential;
+      const clientDataJSON = base64urlToBuffer(response.clientDataJSON);
+      const authenticatorData = base64urlToBuffer(response.authenticatorData);
+      const result = await checkCeremony({
+        ceremony: 'authenticate',
+        type: 'webauthn.get',
+        userId,
+        clientDataJSON,
+        authenticatorData
+      });
+      if (result.reason) return { verified: false, reason: result.reason };
+      const { createdBefore } = result.pending;
+      if (createdBefore !== null && !(stored.createdAt < createdBefore)) {
+        return { verified: false, reason: 'passkey registered after the requested time' };
+      }
+
+      const signedData = concatBytes(authenticatorData, await sha256(clientDataJSON));
+      const valid = await verifySignature(stored, base64urlToBuffer(response.signature), signedData);
+      if (!valid) return { verified: false, reason: 'invalid signature' };
+
+      // A counter that fails to advance suggests a cloned authenticator.
+      // Authenticators that do not implement counters always report 0.
+      const { signCount } = result.authData;
+      if ((signCount !== 0 || stored.signCount !== 0) && signCount <= stored.signCount) {
+        return { verified: false, reason: 'sign counter did not increase' };
+      }
+      await credentials.set(stored.id, { ...stored, signCount, lastUsedAt: now() });
+      authenticatedAt.set(userId, now());
+
+      return { verified: true, credentialId: stored.id };
+    } catch (error) {
+      return { verified: false, reason: error.message };
+    }
+  };
+
+  return {
+    generateRegistrationOptions,
+    verifyRegistration,
+    generateAuthenticationOptions,
+    verifyAuthentication
+  };
+};
@@ -0,0 +1,267 @@
+import { LOCK_EVENT_TYPE } from './eventStore.js';
+import { explainRiskScore, getRiskLevel, resolveBands, resolveScoring, RISK_BANDS } from './scoring.js';
+import { DEFAULT_SERVICES, evaluateService } from './serviceRegistry.js';
+
+// Headless risk engine: ingests detection signals, keeps the event log and
+// score, and tells subscribers what changed. No React or DOM dependencies, so
+// the dashboard and backend services share the same implementation.
+// Each service in `services` gets its own action from the score and signals;
+// locks latch until recovery even if the score later decays. With a `store`
+// (see eventStore.js) every event is persisted and recovery archives the log;
+// a write that fails is announced as a storeError change. Latched locks are
+// logged too, so hydrate() restores them along with the events.
+// `bands` sets the score thresholds of the risk levels.
+export const createRiskEngine = ({
+  baseScore = 5,
+  services = DEFAULT_SERVICES,
+  scoring = {},
+  bands = RISK_BANDS,
+  store = null,
+  now = () => Date.now()
+} = {}) => {
+  let config = resolveScoring(scoring);
+  let levels = resolveBands(bands);
+  let events = [];
+  let conditions = new Map();
+  let explanation = { score: baseScore, breakdown: [], synergies: [] };
+  let serviceStates = [];
+  // Service id -> the state it was locked with
+  const latched = new Map();
+  const listeners = new Set();
+
+  // Decay means the score depends on the clock as well as on the events
+  const rescore = () => {
+    const result = explainRiskScore(events, config, now(), [...conditions.values()]);
+    explanation = { ...result, score: Math.max(result.score, baseScore) };
+  };
+
+  const getScore = () => explanation.score;
+
+  const getLevel = () => getRiskLevel(explanation.score, levels);
+
+  const getEvents = () => events;
+
+  const getExplanation = () => explanation;
+
+  const getConditions = () => [...conditions.values()];
+
+  // True while any service is locked, i.e. until recovery
+  const isLocked = () => latched.size > 0;
+
+  const getServices = () => serviceStates;
+
+  // What this engine scores with, e.g. to replay a recorded session
+  const getConfig = () => ({ baseScore, services, scoring: config, bands: levels });
+
+  const getState = () => ({
+    score: explanation.score,
+    level: getRiskLevel(explanation.score, levels),
+    explanation,
+    events,
+    conditions: [...conditions.values()],
+    services: serviceStates,
+    locked: isLocked()
+  });
+
+  const notify = (change) => {
+    const state = getState();
+    listeners.forEach(listener => listener(state, change));
+  };
+
+  const evaluateServices = () => {
+    const signals = [...new Set([...events.map(event => event.type), ...conditions.keys()])];
+    return services.map(service => {
+      if (latched.has(service.id)) return latched.get(service.id);
+      return evaluateService(service, { score: explanation.score, signals });
+    });
+  };
+
+  // Re-evaluate every service; newly locked ones latch and are announced together
+  const checkServices = () => {
+    const previous = serviceStates;
+    serviceStates = evaluateServices();
+
+    const newlyLocked = serviceStates.filter(service => service.action === 'lock' && !latched.has(service.id));
+    if (newlyLocked.length > 0) latch(newlyLocked);
+    serviceStates = serviceStates.map(service => latched.get(service.id) || service);
+
+    if (newlyLocked.length > 0) {
+      notify({ type: 'serviceLock', services: newlyLocked });
+    } else if (serviceStates.some((service, i) => !previous[i] || previous[i].action !== service.action)) {
+      notify({ type: 'services' });
+    }
+  };
+
+  serviceStates = evaluateServices();
+
+  // Store writes are async; the in-memory state has already moved on, so a
+  // failure is reported rather than thrown
+  const persist = (write, what) => write.catch(error => notify({ type: 'storeError', error, what }));
+
+  const latch = (locked) => {
+    locked.forEach(service => latched.set(service.id, { ...service, lockedAt: now() }));
+    if (!store) return;
+    const detectedAt = now();
+    persist(store.append({
+      id: crypto.randomUUID(),
+      type: LOCK_EVENT_TYPE,
+      description: `Locked: ${locked.map(service => service.name).join(', ')}`,
+      severity: 'info',
+      evidence: { services: locked.map(service => latched.get(service.id)) },
+      detectedAt,
+      timestamp: new Date(detectedAt).toISOString()
+    }), 'lock');
+  };
+
+  const record = (signal, extra = {}) => {
+    const detectedAt = now();
+    const event = {
+      id: crypto.randomUUID(),
+      type: signal.type,
+      description: signal.description,
+      severity: signal.severity,
+      evidence: signal.evidence || {},
+      alert: signal.alert,
+      detectedAt,
+      timestamp: new Date(detectedAt).toISOString(),
+      ...extra
+    };
+    events = [event, ...events];
+    return event;
+  };
+
+  // Record a signal ({ type, description, severity, evidence, alert }) as an
+  // event and re-score, then re-evaluate services.
+  const ingest = (signal) => {
+    const previousScore = explanation.score;
+    const event = record(signal);
+    rescore();
+    event.points = explanation.score - previousScore;
+    if (store) persist(store.append(event), 'event');
+    notify({ type: 'event', event });
+    checkServices();
+
+    return event;
+  };
+
+  // Start or update an ongoing graded signal ({ type, magnitude 0-1, ... }).
+  // Only the transition into the condition is logged as an event.
+  const setCondition = (signal) => {
+    const previousScore = explanation.score;
+    const active = conditions.has(signal.type);
+    conditions.set(signal.type, {
+      type: signal.type,
+      magnitude: signal.magnitude ?? 1,
+      description: signal.description,
+      evidence: signal.evidence || {}
+    });
+    rescore();
+
+    if (!active) {
+      const event = record(signal, { condition: true, points: explanation.score - previousScore });
+      if (store) persist(store.append(event), 'event');
+      notify({ type: 'event', event });
+    } else if (explanation.score !== previousScore) {
+      notify({ type: 'condition', condition: conditions.get(signal.type) });
+    }
+    checkServices();
+  };
+
+  const clearCondition = (type) => {
+    if (!conditions.delete(type)) return;
+    rescore();
+    notify({ type: 'condition', condition: null });
+    checkServices();
+  };
+
+  // Re-apply decay; call periodically so scores fall as signals age
+  const tick = () => {
+    const previousScore = explanation.score;
+    rescore();
+    if (explanation.score !== previousScore) {
+      notify({ type: 'decay' });
+      checkServices();
+    }
+  };
+
+  // Start a fresh log and release service locks after a successful recovery.
+  // A store keeps the old events as an archived epoch.
+  // Conditions describe the present (e.g. where the device is now) and stay.
+  const reset = () => {
+    const unlocked = [...latched.values()];
+    if (store) persist(store.archive(), 'archive');
+    events = [];
+    latched.clear();
+    rescore();
+    serviceStates = evaluateServices();
+    notify({ type: 'reset' });
+    if (unlocked.length > 0) notify({ type: 'serviceUnlock', services: unlocked });
+    // Conditions may still warrant a lock
+    checkServices();
+  };
+
+  // Lock services by hand, e.g. an analyst acting for the subscriber. These
+  // latch like rule locks until recovery. -> the services newly locked
+  const lockServices = (ids, reason = 'Locked manually') => {
+    const newlyLocked = serviceStates
+      .filter(service => ids.includes(service.id) && !latched.has(service.id))
+      .map(service => ({ ...service, action: 'lock', reason }));
+    if (newlyLocked.length === 0) return [];
+    latch(newlyLocked);
+    serviceStates = serviceStates.map(service => latched.get(service.id) || service);
+    notify({ type: 'serviceLock', services: newlyLocked });
+    return newlyLocked;
+  };
+
+  // Switch to a new policy ({ scoring, bands, services }, each optional).
+  // Services locked under the old one stay locked until recovery.
+  const setConfig = (next) => {
+    if (next.scoring) config = resolveScoring(next.scoring);
+    if (next.bands) levels = resolveBands(next.bands);
+    if (next.services) services = next.services;
+    rescore();
+    notify({ type: 'config' });
+    checkServices();
+  };
+
+  // Reload persisted entries of the open epoch (oldest first), e.g. on page
+  // load: events, and the locks latched before the reload. Locks on services
+  // the current policy no longer has are dropped.
+  const hydrate = (stored) => {
+    stored.filter(entry => entry.type === LOCK_EVENT_TYPE).forEach(entry => {
+      entry.evidence.services
+        .filter(service => services.some(candidate => candidate.id === service.id))
+        .forEach(service => latched.set(service.id, service));
+    });
+    events = stored.filter(entry => entry.type !== LOCK_EVENT_TYPE).sort((a, b) => b.detectedAt - a.detectedAt);
+    rescore();
+    notify({ type: 'restore' });
+    checkServices();
+  };
+
+  const subscribe = (listener) => {
+    listeners.add(listener);
+    return () => listeners.delete(listener);
+  };
+
+  return {
+    ingest,
+    setCondition,
+    clearCondition,
+    tick,
+    getScore,
+    getLevel,
+    getEvents,
+    getExplanation,
+    getConditions,
+    isLocked,
+    getServices,
+    getConfig,
+    setConfig,
+    getState,
+    lockServices,
+    reset,
+    hydrate,
+    subscribe
+  };
+};
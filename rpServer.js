@@ -0,0 +1,153 @@
+import { readFileSync } from 'node:fs';
+import http from 'node:http';
+import { bufferToHex, randomBytes } from './encoding.js';
+import { createPolicyStore, policyToEngineConfig } from './policy.js';
+import { createRelyingParty } from './relyingParty.js';
+import { createStaffApiRoutes } from './staffApi.js';
+import { createStaffAuth } from './staffAuth.js';
+import { createMemoryStorage } from './storage.js';
+import { createSubscriberInputHandler, createSubscriberRegistry } from './subscriberRegistry.js';
+
+// Local stand-in for the WebAuthn relying-party backend. Run with
+//   RP_ID=localhost RP_ORIGIN=http://localhost:5173 node rpServer.js
+// The dashboard posts to /webauthn/{register,authenticate}/{options,verify}.
+// With STAFF_FILE pointing at a JSON array of staff members
+// ([{ id, name, roles: ['analyst', 'policyAdmin'], enrolmentCode }]) it also
+// signs staff in to the admin console through /staff/{enrol,signin}/{options,verify}
+// and checks their session tokens at /staff/session. Set STAFF_SESSION_SECRET
+// so sessions survive a restart. Staff sign-in also brings the staff
+// console's backend (see staffApi.js): the detection policy store, which
+// policy admins publish to at /policy/* and dashboards read at
+// /policy/current, and the monitored subscribers analysts work with at
+// /subscribers/*. With SUBSCRIBER_INPUT_SECRET set, the bank's systems feed
+// those subscribers through signed deliveries to /subscribers/inputs. Like
+// passkeys, all of it is kept in memory here; a real deployment backs it with
+// a database.
+
+const readJson = (req) => new Promise((resolve, reject) => {
+  let body = '';
+  req.on('data', chunk => { body += chunk; });
+  req.on('end', () => {
+    try {
+      resolve(body ? JSON.parse(body) : {});
+    } catch (error) {
+      reject(error);
+    }
+  });
+  req.on('error', reject);
+});
+
+export const createRelyingPartyHandler = (relyingParty, { allowOrigin = '*', staffAuth = null, policyStore = null, registry = null } = {}) => {
+  const requireUser = body => {
+    if (!body.userId) throw new Error('userId is required');
+  };
+  const requireStaff = body => {
+    if (!body.staffId) throw new Error('staffId is required');
+  };
+
+  // path -> [check the body, handle it]
+  const routes = {
+    '/webauthn/register/options': [requireUser, body => relyingParty.generateRegistrationOptions(body)],
+    '/webauthn/register/verify': [requireUser, body => relyingParty.verifyRegistration(body)],
+    '/webauthn/authenticate/options': [requireUser, body => relyingParty.generateAuthenticationOptions(body)],
+    '/webauthn/authenticate/verify': [requireUser, body => relyingParty.verifyAuthentication(body)]
+  };
+  if (staffAuth) {
+    Object.assign(routes, {
+      '/staff/enrol/options': [requireStaff, body => staffAuth.enrolOptions(body)],
+      '/staff/enrol/verify': [requireStaff, body => staffAuth.enrolVerify(body)],
+      '/staff/signin/options': [requireStaff, body => staffAuth.signInOptions(body)],
+      '/staff/signin/verify': [requireStaff, body => staffAuth.signInVerify(body)],
+      '/staff/session': [() => {}, async body => {
+        const session = await staffAuth.verifySession(body.token);
+        if (!session) throw new Error('Invalid or expired staff session');
+        return { verified: true, session };
+      }]
+    });
+  }
+  if (staffAuth && policyStore && registry) Object.assign(routes, createStaffApiRoutes({ staffAuth, policyStore, registry }));
+
+  return async (req, res) => {
+    const headers = {
+      'Access-Control-Allow-Origin': allowOrigin,
+      'Access-Control-Allow-Methods': 'POST, OPTIONS',
+      'Access-Control-Allow-Headers': 'Content-Type'
+    };
+
+    if (req.method === 'OPTIONS') {
+      res.writeHead(204, headers).end();
+      return;
+    }
+
+    const route = routes[new URL(req.url, 'http://localhost').pathname];
+    if (!route) {
+      res.writeHead(404, headers).end();
+      return;
+    }
+    if (req.method !== 'POST') {
+      res.writeHead(405, headers).end();
+      return;
+    }
+
+    try {
+      const body = await readJson(req);
+      const [check, handle] = route;
+      check(body);
+      const result = await handle(body);
+      res.writeHead(200, { ...headers, 'Content-Type': 'application/json' });
+      res.end(JSON.stringify(result));
+    } catch (error) {
+      res.writeHead(400, { ...headers, 'Content-Type': 'application/json' });
+      res.end(JSON.stringify({ verified: false, reason: error.message }));
+    }
+  };
+};
+
+if (import.meta.url === `file://${process.argv[1]}`) {
+  const port = Number(process.env.PORT) || 8787;
+  const origin = process.env.RP_ORIGIN || 'http://localhost:5173';
+  const relyingPartyOptions = { rpId: process.env.RP_ID || 'localhost', origin: origin.split(',') };
+  const relyingParty = createRelyingParty(relyingPartyOptions);
+
+  let staffAuth = null;
+  let policyStore = null;
+  let registry = null;
+  let inputHandler = null;
+  if (process.env.STAFF_FILE) {
+    const staff = createMemoryStorage();
+    const members = JSON.parse(readFileSync(process.env.STAFF_FILE, 'utf8'));
+    await Promise.all(members.map(member => staff.set(member.id, { ...member, enrolled: false })));
+
+    let secret = process.env.STAFF_SESSION_SECRET;
+    if (!secret) {
+      secret = bufferToHex(randomBytes(32));
+      console.log('Generated a staff session secret; set STAFF_SESSION_SECRET to keep sessions valid across restarts');
+    }
+    // Staff passkeys live apart from subscribers' so neither ceremony can touch the other's
+    staffAuth = createStaffAuth({ relyingParty: createRelyingParty(relyingPartyOptions), staff, secret });
+    policyStore = createPolicyStore();
+    registry = createSubscriberRegistry();
+    await registry.restore();
+    // Published policies drive every monitored subscriber's engine, and
+    // signal contributions decay as they would on a dashboard
+    policyStore.subscribe(entry => registry.setConfig(policyToEngineConfig(entry.policy)));
+    setInterval(() => registry.tick(), 15000);
+    console.log(`Staff sign-in enabled for ${members.length} member(s)`);
+
+    if (process.env.SUBSCRIBER_INPUT_SECRET) {
+      inputHandler = createSubscriberInputHandler(registry, { secret: process.env.SUBSCRIBER_INPUT_SECRET });
+      console.log('Accepting signed subscriber inputs at /subscribers/inputs');
+    }
+  }
+
+  const handler = createRelyingPartyHandler(relyingParty, { staffAuth, policyStore, registry });
+  http.createServer((req, res) => {
+    if (inputHandler && new URL(req.url, 'http://localhost').pathname === '/subscribers/inputs') {
+      inputHandler(req, res);
+      return;
+    }
+    handler(req, res);
+  }).listen(port, () => {
+    console.log(`WebAuthn relying party listening on http://localhost:${port} (origin ${origin})`);
+  });
+}
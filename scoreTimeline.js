@@ -0,0 +1,53 @@
+// Score history for an engine: one point per score change, plus markers for
+// lockdowns and recoveries. Feeds the timeline chart and incident exports.
+//   points:  { at, score, cause, signal, description } where cause is the
+//            engine change type and signal/description name the event, if any
+//   markers: { at, kind: 'lockdown' | 'recovery', label }
+export const createScoreTimeline = (engine, {
+  maxPoints = 2000,
+  now = () => Date.now()
+} = {}) => {
+  let points = [{ at: now(), score: engine.getScore(), cause: 'start', signal: null, description: null }];
+  let markers = [];
+  const listeners = new Set();
+
+  const notify = () => listeners.forEach(listener => listener({ points, markers }));
+
+  const unsubscribe = engine.subscribe((state, change) => {
+    const at = now();
+    let changed = false;
+
+    if (state.score !== points[points.length - 1].score) {
+      points = [...points, {
+        at,
+        score: state.score,
+        cause: change.type,
+        signal: change.type === 'event' ? change.event.type : null,
+        description: change.type === 'event' ? change.event.description : null
+      }].slice(-maxPoints);
+      changed = true;
+    }
+    if (change.type === 'serviceLock') {
+      markers = [...markers, { at, kind: 'lockdown', label: `${change.services.map(service => service.name).join(', ')} locked` }];
+      changed = true;
+    }
+    if (change.type === 'reset') {
+      markers = [...markers, { at, kind: 'recovery', label: 'Account recovered' }];
+      changed = true;
+    }
+
+    if (changed) notify();
+  });
+
+  const subscribe = (listener) => {
+    listeners.add(listener);
+    return () => listeners.delete(listener);
+  };
+
+  return {
+    getPoints: () => points,
+    getMarkers: () => markers,
+    subscribe,
+    disconnect: unsubscribe
+  };
+};
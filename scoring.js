@@ -0,0 +1,155 @@
+const MINUTE = 60 * 1000;
+const HOUR = 60 * MINUTE;
+
+// Signal weights used by the risk scoring engine
+export const DEFAULT_WEIGHTS = {
+  simSwap: 45,
+  deviceMismatch: 25,
+  locationAnomaly: 20,
+  otpBurst: 15,
+  unusualTime: 10,
+  vpnDetected: 15,
+  timezoneMismatch: 12,
+  outsideTrustedZones: 20,
+  noEnrolledDevice: 5
+};
+
+export const SIGNAL_LABELS = {
+  simSwap: 'SIM swap',
+  deviceMismatch: 'Unrecognized device',
+  locationAnomaly: 'Location anomaly',
+  otpBurst: 'OTP burst',
+  unusualTime: 'Unusual login time',
+  vpnDetected: 'VPN / proxy',
+  timezoneMismatch: 'Timezone mismatch',
+  outsideTrustedZones: 'Outside trusted zones',
+  noEnrolledDevice: 'No trusted device enrolled'
+};
+
+// Weights, decay and signal combinations. A signal's contribution halves every
+// half-life; synergies add a bonus when both signals of a pair are present.
+export const DEFAULT_SCORING = {
+  weights: DEFAULT_WEIGHTS,
+  halfLifeMs: 30 * MINUTE,
+  halfLives: {
+    simSwap: 24 * HOUR,
+    deviceMismatch: 6 * HOUR,
+    locationAnomaly: 2 * HOUR,
+    otpBurst: 15 * MINUTE
+  },
+  synergies: [
+    // OTP codes requested after the number moved: the classic account takeover
+    { signals: ['simSwap', 'otpBurst'], ordered: true, withinMs: 2 * HOUR, bonus: 20 },
+    { signals: ['deviceMismatch', 'locationAnomaly'], ordered: false, withinMs: HOUR, bonus: 10 },
+    { signals: ['vpnDetected', 'timezoneMismatch'], ordered: false, withinMs: HOUR, bonus: 5 }
+  ]
+};
+
+export const resolveScoring = (overrides = {}) => ({
+  ...DEFAULT_SCORING,
+  ...overrides,
+  weights: { ...DEFAULT_SCORING.weights, ...overrides.weights },
+  halfLives: { ...DEFAULT_SCORING.halfLives, ...overrides.halfLives }
+});
+
+const decayFactor = (event, config, now) => {
+  const halfLife = config.halfLives[event.type] || config.halfLifeMs;
+  const age = Math.max(0, now - event.detectedAt);
+  return Math.pow(0.5, age / halfLife);
+};
+
+const round = (value) => Math.round(value * 10) / 10;
+
+// Strongest bonus for one synergy rule across all qualifying event pairs
+const synergyBonus = (rule, events, config, now) => {
+  const [first, second] = rule.signals;
+  let best = 0;
+
+  events.filter(a => a.type === first).forEach(a => {
+    events.filter(b => b.type === second).forEach(b => {
+      const gap = b.detectedAt - a.detectedAt;
+      if (rule.ordered && gap < 0) return;
+      if (Math.abs(gap) > rule.withinMs) return;
+      const decay = Math.min(decayFactor(a, config, now), decayFactor(b, config, now));
+      best = Math.max(best, rule.bonus * decay);
+    });
+  });
+
+  return best;
+};
+
+// Decayed score plus a per-signal breakdown explaining where it came from.
+// Conditions ({ type, magnitude }) are ongoing graded signals, such as being
+// outside every trusted zone: they count weight x magnitude while active and
+// do not decay. Events logged for a condition carry no weight of their own.
+export const explainRiskScore = (events, scoring = DEFAULT_SCORING, now = Date.now(), conditions = []) => {
+  const config = resolveScoring(scoring);
+  const bySignal = {};
+
+  const add = (type, points) => {
+    if (!bySignal[type]) {
+      bySignal[type] = {
+        type,
+        label: SIGNAL_LABELS[type] || type,
+        count: 0,
+        points: 0
+      };
+    }
+    bySignal[type].count += 1;
+    bySignal[type].points += points;
+  };
+
+  events.filter(event => !event.condition).forEach(event => {
+    const weight = config.weights[event.type] || 0;
+    add(event.type, weight * decayFactor(event, config, now));
+  });
+
+  conditions.forEach(condition => {
+    const weight = config.weights[condition.type] || 0;
+    add(condition.type, weight * Math.min(Math.max(condition.magnitude, 0), 1));
+  });
+
+  const synergies = config.synergies
+    .map(rule => ({
+      signals: rule.signals,
+      label: rule.signals.map(type => SIGNAL_LABELS[type] || type).join(' + '),
+      points: synergyBonus(rule, events, config, now)
+    }))
+    .filter(synergy => synergy.points > 0);
+
+  const breakdown = Object.values(bySignal)
+    .map(entry => ({ ...entry, points: round(entry.points) }))
+    .sort((a, b) => b.points - a.points);
+
+  const total = [...breakdown, ...synergies].reduce((sum, entry) => sum + entry.points, 0);
+
+  return {
+    score: Math.min(Math.round(total), 100),
+    breakdown,
+    synergies: synergies.map(synergy => ({ ...synergy, points: round(synergy.points) }))
+  };
+};
+
+// Risk scoring engine
+export const calculateRiskScore = (events, scoring = DEFAULT_SCORING, now = Date.now()) =>
+  explainRiskScore(events, scoring, now).score;
+
+// Risk levels from most to least severe; each applies from `min` upwards
+export const RISK_BANDS = [
+  { min: 70, level: 'CRITICAL', color: '#ff3366', bg: 'rgba(255, 51, 102, 0.1)' },
+  { min: 40, level: 'HIGH', color: '#ff9933', bg: 'rgba(255, 153, 51, 0.1)' },
+  { min: 20, level: 'MEDIUM', color: '#ffcc00', bg: 'rgba(255, 204, 0, 0.1)' },
+  { min: 0, level: 'LOW', color: '#00ff88', bg: 'rgba(0, 255, 136, 0.1)' }
+];
+
+// Thresholds from a policy ({ level, min }) with each level's colours, most
+// severe first
+export const resolveBands = (bands = RISK_BANDS) => bands
+  .map(band => ({ ...RISK_BANDS.find(entry => entry.level === band.level), min: band.min }))
+  .sort((a, b) => b.min - a.min);
+
+// `bands` as returned by resolveBands
+export const getRiskLevel = (score, bands = RISK_BANDS) => {
+  const { level, color, bg } = bands.find(band => score >= band.min) || bands[bands.length - 1];
+  return { level, color, bg };
+};
@@ -0,0 +1,75 @@
+import { SIGNAL_LABELS } from './scoring.js';
+
+// Per-service access policy. Each service lists rules; a rule applies when the
+// risk score reaches `minScore` or when one of its `signals` is present, and
+// the most restrictive applicable action wins. Services without an applicable
+// rule are allowed.
+
+// Ordered from least to most restrictive
+export const SERVICE_ACTIONS = {
+  allow: { rank: 0, label: 'ACTIVE' },
+  stepUp: { rank: 1, label: 'STEP-UP' },
+  readOnly: { rank: 2, label: 'READ-ONLY' },
+  lock: { rank: 3, label: 'LOCKED' }
+};
+
+export const DEFAULT_SERVICES = [
+  {
+    id: 'banking',
+    name: 'Banking',
+    rules: [
+      { minScore: 40, action: 'readOnly' },
+      { minScore: 70, action: 'lock' }
+    ]
+  },
+  {
+    id: 'payments',
+    name: 'Payments',
+    rules: [
+      { minScore: 20, action: 'stepUp' },
+      { minScore: 55, action: 'lock' }
+    ]
+  },
+  {
+    id: 'transfers',
+    name: 'Transfers',
+    rules: [
+      { minScore: 20, action: 'stepUp' },
+      { minScore: 40, action: 'lock' }
+    ]
+  },
+  {
+    id: 'otpAuth',
+    name: 'OTP Auth',
+    rules: [
+      { minScore: 40, action: 'stepUp' },
+      { minScore: 70, action: 'lock' },
+      // Codes go to whoever holds the number now
+      { signals: ['simSwap'], action: 'lock' }
+    ]
+  }
+];
+
+const ruleReason = (rule, score, signals) => {
+  if (rule.signals) {
+    const present = rule.signals.filter(type => signals.includes(type));
+    if (present.length > 0) return `${present.map(type => SIGNAL_LABELS[type] || type).join(', ')} detected`;
+  }
+  if (rule.minScore !== undefined && score >= rule.minScore) return `Risk score ${score} ≥ ${rule.minScore}`;
+  return null;
+};
+
+// -> { id, name, action, reason }
+export const evaluateService = (service, { score, signals = [] }) => {
+  let result = { action: 'allow', reason: 'Within risk tolerance' };
+
+  service.rules.forEach(rule => {
+    if (!SERVICE_ACTIONS[rule.action]) throw new Error(`Unknown service action: ${rule.action}`);
+    const reason = ruleReason(rule, score, signals);
+    if (reason && SERVICE_ACTIONS[rule.action].rank > SERVICE_ACTIONS[result.action].rank) {
+      result = { action: rule.action, reason };
+    }
+  });
+
+  return { id: service.id, name: service.name, ...result };
+};
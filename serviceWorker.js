@@ -0,0 +1,44 @@
+// Service worker for security notifications. Must be served from the site
+// root so its scope covers the dashboard. Push messages carry the JSON built
+// by notificationForWebhook (notifications.js), already filtered by the
+// user's severity preferences.
+
+self.addEventListener('install', () => self.skipWaiting());
+
+self.addEventListener('activate', (event) => event.waitUntil(self.clients.claim()));
+
+self.addEventListener('push', (event) => {
+  let message;
+  try {
+    message = event.data.json();
+  } catch {
+    message = { title: 'CyberSentrix security alert', body: event.data ? event.data.text() : '', severity: 'critical' };
+  }
+
+  event.waitUntil(self.registration.showNotification(message.title, {
+    body: message.body,
+    tag: message.tag,
+    data: message.data || { url: '/' },
+    renotify: !!message.tag,
+    // Critical alerts stay on screen until dealt with
+    requireInteraction: message.severity === 'critical'
+  }));
+});
+
+// Open the incident: reuse a dashboard window if there is one, otherwise
+// open a new one at the incident URL
+self.addEventListener('notificationclick', (event) => {
+  event.notification.close();
+  const { eventId = null, url = '/' } = event.notification.data || {};
+
+  event.waitUntil((async () => {
+    const windows = await self.clients.matchAll({ type: 'window', includeUncontrolled: true });
+    const existing = windows.find(client => new URL(client.url).origin === self.location.origin);
+    if (existing) {
+      await existing.focus();
+      existing.postMessage({ type: 'openEvent', eventId });
+      return;
+    }
+    await self.clients.openWindow(url);
+  })());
+});
@@ -0,0 +1,138 @@
+import { INPUT_KINDS } from './detectionPipeline.js';
+
+// Captures every input that reaches the detection pipeline (fingerprints,
+// location fixes, OTP requests, clock ticks, ...) with the time it arrived,
+// plus the engine configuration in force, so the session can be saved as a
+// portable file and replayed later (see sessionReplay.js).
+//
+// Session file:
+//   { format: 'cybersentrix-session', version: 1, id, startedAt, endedAt,
+//     config: { engine: { baseScore, services, scoring, bands }, otpThresholds },
+//     inputs: [{ at, kind, data }], truncated,
+//     outcome: { score, level, events, services } }   as seen live
+
+export const SESSION_FORMAT = 'cybersentrix-session';
+export const SESSION_VERSION = 1;
+
+// Inputs are plain data; copying keeps later mutation out of the recording
+const copy = (value) => value === undefined ? {} : JSON.parse(JSON.stringify(value));
+
+// Engine state reduced to what a replay must reproduce. Event ids are random,
+// so they are left out.
+export const summarizeEngine = (engine) => {
+  const state = engine.getState();
+  return {
+    score: state.score,
+    level: state.level.level,
+    events: [...state.events].reverse().map(event => ({
+      type: event.type,
+      severity: event.severity,
+      detectedAt: event.detectedAt,
+      points: event.points ?? null
+    })),
+    services: state.services.map(service => ({ id: service.id, action: service.action }))
+  };
+};
+
+export const createSessionRecorder = ({
+  // Recording stops here rather than dropping early inputs, which would make
+  // the replay diverge
+  maxInputs = 20000,
+  now = () => Date.now()
+} = {}) => {
+  let session = null;
+  let recording = false;
+  const listeners = new Set();
+
+  const getStatus = () => ({
+    recording,
+    startedAt: session ? session.startedAt : null,
+    inputs: session ? session.inputs.length : 0,
+    truncated: session ? session.truncated : false
+  });
+
+  const notify = () => {
+    const status = getStatus();
+    listeners.forEach(listener => listener(status));
+  };
+
+  // config: { engine: engine.getConfig(), otpThresholds }
+  const start = (config) => {
+    session = {
+      format: SESSION_FORMAT,
+      version: SESSION_VERSION,
+      id: crypto.randomUUID(),
+      startedAt: now(),
+      endedAt: null,
+      config: copy(config),
+      inputs: [],
+      truncated: false
+    };
+    recording = true;
+    notify();
+  };
+
+  const stop = () => {
+    if (!recording) return;
+    recording = false;
+    session.endedAt = now();
+    notify();
+  };
+
+  const record = (kind, data) => {
+    if (!recording) return;
+    if (session.inputs.length >= maxInputs) {
+      session.truncated = true;
+      stop();
+      return;
+    }
+    session.inputs.push({ at: now(), kind, data: copy(data) });
+    notify();
+  };
+
+  // The session so far, with the live outcome to check replays against
+  const exportSession = (engine) => ({
+    ...session,
+    inputs: [...session.inputs],
+    endedAt: session.endedAt ?? now(),
+    outcome: engine ? summarizeEngine(engine) : null
+  });
+
+  const subscribe = (listener) => {
+    listeners.add(listener);
+    return () => listeners.delete(listener);
+  };
+
+  return {
+    start,
+    stop,
+    record,
+    exportSession,
+    getStatus,
+    subscribe
+  };
+};
+
+export const serializeSession = (session) => JSON.stringify(session);
+
+// Parse and validate a session file
+export const parseSession = (text) => {
+  let session;
+  try {
+    session = JSON.parse(text);
+  } catch (error) {
+    throw new Error(`Not a session file: ${error.message}`);
+  }
+  if (!session || session.format !== SESSION_FORMAT) throw new Error('Not a session file');
+  if (session.version !== SESSION_VERSION) throw new Error(`Unsupported session version: ${session.version}`);
+  if (!session.config || !session.config.engine) throw new Error('Session has no engine configuration');
+  if (!Array.isArray(session.inputs)) throw new Error('Session has no inputs');
+
+  let previousAt = session.startedAt;
+  session.inputs.forEach((input, i) => {
+    if (!INPUT_KINDS.includes(input.kind)) throw new Error(`Input ${i + 1}: unknown kind "${input.kind}"`);
+    if (typeof input.at !== 'number' || input.at < previousAt) throw new Error(`Input ${i + 1}: out of order`);
+    previousAt = input.at;
+  });
+  return session;
+};
@@ -0,0 +1,94 @@
+import { createDetectionPipeline } from './detectionPipeline.js';
+import { createOtpMonitor } from './otpMonitor.js';
+import { createRiskEngine } from './riskEngine.js';
+import { summarizeEngine } from './sessionRecorder.js';
+
+// Deterministic replay of a recorded session (see sessionRecorder.js): a fresh
+// engine and OTP monitor run on a virtual clock that jumps to each input's
+// recorded time, and the inputs go through the same pipeline as live ones.
+// Scoring overrides show how the session would have gone under other weights.
+
+// Live detectors read the clock a moment after the input is recorded
+const CLOCK_TOLERANCE_MS = 1000;
+
+const mergeScoring = (recorded = {}, overrides = {}) => ({
+  ...recorded,
+  ...overrides,
+  weights: { ...recorded.weights, ...overrides.weights },
+  halfLives: { ...recorded.halfLives, ...overrides.halfLives }
+});
+
+// -> { score, level, events, services, peakScore, timeline, locks, firstLockMs }
+// with times relative to the start of the session
+export const replaySession = (session, { scoring = {} } = {}) => {
+  const { engine: engineConfig, otpThresholds } = session.config;
+  let clock = session.startedAt;
+  const now = () => clock;
+
+  const engine = createRiskEngine({
+    baseScore: engineConfig.baseScore,
+    services: engineConfig.services,
+    scoring: mergeScoring(engineConfig.scoring, scoring),
+    bands: engineConfig.bands,
+    now
+  });
+  const otpMonitor = createOtpMonitor({ engine, thresholds: otpThresholds, now });
+  const pipeline = createDetectionPipeline({ engine, otpMonitor });
+
+  const timeline = [{ at: 0, score: engine.getScore() }];
+  const locks = [];
+  engine.subscribe((state, change) => {
+    const at = clock - session.startedAt;
+    if (state.score !== timeline[timeline.length - 1].score) timeline.push({ at, score: state.score });
+    if (change.type === 'serviceLock') locks.push({ at, services: change.services.map(service => service.name) });
+  });
+
+  session.inputs.forEach(input => {
+    clock = input.at;
+    // Overrides outlast policies published during the session
+    if (input.kind === 'policy' && input.data.config.scoring) {
+      const { config } = input.data;
+      pipeline.process('policy', { config: { ...config, scoring: mergeScoring(config.scoring, scoring) } });
+    } else {
+      pipeline.process(input.kind, input.data);
+    }
+  });
+
+  return {
+    ...summarizeEngine(engine),
+    peakScore: Math.max(...timeline.map(point => point.score)),
+    timeline,
+    locks,
+    firstLockMs: locks.length > 0 ? locks[0].at : null
+  };
+};
+
+// variants: [{ name, scoring }] -> [{ name, ...replay }]
+export const compareReplays = (session, variants) =>
+  variants.map(({ name, scoring }) => ({ name, ...replaySession(session, { scoring }) }));
+
+const sameEvents = (a, b, tolerance) => a.length === b.length && a.every((event, i) =>
+  event.type === b[i].type &&
+  event.severity === b[i].severity &&
+  event.points === b[i].points &&
+  Math.abs(event.detectedAt - b[i].detectedAt) <= tolerance
+);
+
+const sameOutcome = (a, b, tolerance = 0) =>
+  a.score === b.score &&
+  a.level === b.level &&
+  sameEvents(a.events, b.events, tolerance) &&
+  a.services.length === b.services.length &&
+  a.services.every((service, i) => service.id === b.services[i].id && service.action === b.services[i].action);
+
+// Replays twice under the recorded configuration; both runs must agree
+// exactly, and should agree with what happened live.
+// -> { deterministic, matchesRecording (null without a recorded outcome) }
+export const verifyReplay = (session) => {
+  const first = replaySession(session);
+  const second = replaySession(session);
+  return {
+    deterministic: sameOutcome(first, second),
+    matchesRecording: session.outcome ? sameOutcome(first, session.outcome, CLOCK_TOLERANCE_MS) : null
+  };
+};
@@ -0,0 +1,91 @@
+import { hashString } from './fingerprint.js';
+import { calculateDistance } from './geo.js';
+import { detectImpossibleTravel } from './impossibleTravel.js';
+import { formatCoordinates } from './geocoder.js';
+
+// Threat simulations: each builds a signal and feeds it to the risk engine
+
+export const simulateSIMSwap = async (engine) => {
+  // Simulate SIM swap by changing device fingerprint
+  const fakeFingerprint = await hashString(Math.random().toString());
+
+  return engine.ingest({
+    type: 'simSwap',
+    description: 'SIM card changed to new device',
+    severity: 'critical',
+    evidence: {
+      deviceName: 'Unknown Android Device',
+      fingerprint: fakeFingerprint
+    },
+    alert: '⚠️ SIM SWAP DETECTED: Device fingerprint changed. Your phone number may have been transferred to a new device.'
+  });
+};
+
+export const simulateNewDevice = (engine) => engine.ingest({
+  type: 'deviceMismatch',
+  description: 'Login attempt from unrecognized device fingerprint',
+  severity: 'high',
+  alert: '🔔 New device login detected with different hardware fingerprint'
+});
+
+// Spoofed fixes for the location simulation; the first one far enough from the
+// real position is used
+const SPOOFED_LOCATIONS = [
+  { city: 'Moscow, Russia', latitude: 55.7558, longitude: 37.6173 },
+  { city: 'Sydney, Australia', latitude: -33.8688, longitude: 151.2093 }
+];
+
+// Feed a fix through the impossible-travel detector, measured against the
+// previous one
+export const simulateTravel = (engine, { previous, fix, city }) => {
+  const signal = detectImpossibleTravel(previous, fix);
+  if (!signal) return null;
+
+  return engine.ingest({
+    ...signal,
+    evidence: {
+      ...signal.evidence,
+      location: {
+        city,
+        coordinates: formatCoordinates(fix.latitude, fix.longitude)
+      }
+    },
+    alert: `🌍 LOCATION ANOMALY: Activity detected from ${city} at ${signal.evidence.speedKmh} km/h - impossible travel pattern identified.`
+  });
+};
+
+// Spoofed fix far from the most recent real one. Throws with a reason the UI
+// can show when no anomaly would result, e.g. the last real fix is old enough
+// that even the jump to the other side of the world is plausible travel.
+export const simulateLocationChange = (engine, { previous }) => {
+  const target = SPOOFED_LOCATIONS.find(place =>
+    calculateDistance(previous.latitude, previous.longitude, place.latitude, place.longitude) > 2000
+  );
+  if (!target) throw new Error('No spoofed location is far enough from your last real position');
+  const fix = {
+    latitude: target.latitude,
+    longitude: target.longitude,
+    accuracy: 50,
+    timestamp: Date.now()
+  };
+
+  const event = simulateTravel(engine, { previous, fix, city: target.city });
+  if (!event) {
+    const hours = Math.round((fix.timestamp - previous.timestamp) / 3600000);
+    throw new Error(`Your last real location fix is ${hours}h old, so reaching ${target.city} since then is not impossible travel. Allow a fresh location fix and try again.`);
+  }
+  return event;
+};
+
+// Five codes for different services within a few seconds, reported through
+// the same telemetry API a gateway would use
+export const simulateOTPBurst = (otpMonitor) => {
+  const services = ['Banking App', 'Email', 'Social Media', 'Payment Gateway', 'Crypto Wallet'];
+  const signals = services.map((service, i) => otpMonitor.recordOtpRequest({
+    service,
+    channel: 'sms',
+    timestamp: Date.now() - (services.length - 1 - i) * 1000,
+    code: Math.floor(100000 + Math.random() * 900000)
+  }));
+  return signals.flat();
+};
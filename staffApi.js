@@ -0,0 +1,80 @@
+import { requireStaffRole } from './staffAuth.js';
+
+// Server routes behind the staff console, mounted by the relying-party server
+// (rpServer.js) next to staff sign-in. Every route that reads subscribers or
+// changes anything takes the staff session `token` from sign-in and has
+// staffAuth verify it before acting, so the author recorded with a policy
+// version, or the analyst in the audit log, is whoever actually signed in.
+// Only /policy/current is open: every dashboard applies it.
+//
+// path -> [check the body, handle it], as in createRelyingPartyHandler
+
+const requireToken = body => {
+  if (!body.token) throw new Error('token is required');
+};
+
+const requireSubscriber = body => {
+  requireToken(body);
+  if (!body.id) throw new Error('id is required');
+};
+
+export const createStaffApiRoutes = ({ staffAuth, policyStore, registry, now = () => Date.now() }) => {
+  // Wraps handle(body, session) to run only for a verified session with `role`
+  const asStaff = (role, handle) => async body => {
+    const session = await staffAuth.verifySession(body.token);
+    if (!session) throw new Error('Invalid or expired staff session - sign in again');
+    return handle(body, requireStaffRole(session, role, now()));
+  };
+
+  const requireEntry = (id) => {
+    const entry = registry.get(id);
+    if (!entry) throw new Error(`Unknown subscriber: ${id}`);
+    return entry;
+  };
+
+  // Every monitored subscriber's log, archived epochs included, for dry runs
+  const loggedEvents = async () => {
+    const logs = await Promise.all(registry.list().map(async ({ subscriber }) => {
+      const { eventStore } = registry.get(subscriber.id);
+      return [...await eventStore.listArchived(), ...await eventStore.listCurrent()];
+    }));
+    return logs.flat();
+  };
+
+  // What the analyst console shows for one subscriber
+  const detail = async (id) => {
+    const entry = requireEntry(id);
+    return {
+      subscriber: entry.subscriber,
+      state: entry.engine.getState(),
+      devices: await entry.deviceRegistry.list(),
+      locations: await entry.locationHistory.list(),
+      audit: await registry.listAudit(id)
+    };
+  };
+
+  return {
+    '/policy/current': [() => {}, () => policyStore.current()],
+    '/policy/list': [requireToken, asStaff('policyAdmin', () => policyStore.list())],
+    '/policy/events': [requireToken, asStaff('policyAdmin', loggedEvents)],
+    '/policy/publish': [requireToken, asStaff('policyAdmin', ({ policy, note }, session) => policyStore.publish(policy, { session, note }))],
+    '/policy/rollback': [requireToken, asStaff('policyAdmin', ({ version }, session) => policyStore.rollback(version, { session }))],
+
+    '/subscribers/list': [requireToken, asStaff('analyst', () => registry.list())],
+    '/subscribers/detail': [requireSubscriber, asStaff('analyst', ({ id }) => detail(id))],
+    '/subscribers/add': [requireToken, asStaff('analyst', ({ name, email, phone }) => registry.add({ name, email, phone }))],
+    '/subscribers/update': [requireSubscriber, asStaff('analyst', ({ id, changes = {} }) => registry.update(id, changes))],
+    '/subscribers/remove': [requireSubscriber, asStaff('analyst', async ({ id }) => {
+      await registry.remove(id);
+      return { removed: true };
+    })],
+    '/subscribers/lock': [requireSubscriber, asStaff('analyst', async ({ id, services, reason }, session) => {
+      const locked = await registry.lock(id, { services, session, reason });
+      return { locked: locked.map(service => service.id) };
+    })],
+    '/subscribers/unlock': [requireSubscriber, asStaff('analyst', async ({ id, reason }, session) => {
+      await registry.unlock(id, { session, reason });
+      return { unlocked: true };
+    })]
+  };
+};
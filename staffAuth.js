@@ -0,0 +1,105 @@
+import { base64urlToBuffer, bufferToBase64url, bufferToHex, timingSafeEqual, toBytes } from './encoding.js';
+import { createMemoryStorage } from './storage.js';
+
+// Staff sign-in for the admin console: fraud analysts and policy admins sign
+// in with a passkey of their own, verified by a relying party separate from
+// the subscribers' one, and get a signed session naming who they are and what
+// they may do. Runs in the relying-party server (rpServer.js); the console
+// only ever sees sessions the server issued.
+//
+// Staff member: { id, name, roles, enrolmentCode, enrolled }
+// Each member is provisioned with a one-time enrolment code that registers
+// their first passkey; after that only a signed-in member can add another.
+// Session: { staffId, name, roles, issuedAt, expiresAt }, carried as a token
+// of base64url(session JSON).hex(HMAC-SHA256).
+
+export const STAFF_ROLES = {
+  analyst: 'Fraud analyst',
+  policyAdmin: 'Policy admin'
+};
+
+// Throws unless the session is current and carries `role`. -> the session
+export const requireStaffRole = (session, role, now = Date.now()) => {
+  if (!session) throw new Error(`Sign in as a ${STAFF_ROLES[role]} first`);
+  if (session.expiresAt <= now) throw new Error('Staff session expired - sign in again');
+  if (!session.roles.includes(role)) throw new Error(`${session.name} is not a ${STAFF_ROLES[role]}`);
+  return session;
+};
+
+const importKey = (secret) =>
+  crypto.subtle.importKey('raw', toBytes(secret), { name: 'HMAC', hash: 'SHA-256' }, false, ['sign']);
+
+export const createStaffAuth = ({
+  // createRelyingParty() with its own credential storage
+  relyingParty,
+  staff = createMemoryStorage(),
+  secret,
+  sessionTtlMs = 8 * 60 * 60 * 1000,
+  now = () => Date.now()
+}) => {
+  if (!secret) throw new Error('A session secret is required');
+  const keyPromise = importKey(secret);
+
+  const sign = async (payload) =>
+    bufferToHex(await crypto.subtle.sign('HMAC', await keyPromise, toBytes(payload)));
+
+  const requireMember = async (staffId) => {
+    const member = staffId && await staff.get(staffId);
+    if (!member) throw new Error('Unknown staff member');
+    return member;
+  };
+
+  // First passkey: needs the enrolment code. Another one: the relying party
+  // asks for a recent sign-in with an existing passkey.
+  const enrolOptions = async ({ staffId, enrolmentCode }) => {
+    const member = await requireMember(staffId);
+    if (!member.enrolled && !(enrolmentCode && timingSafeEqual(member.enrolmentCode || '', enrolmentCode))) {
+      throw new Error('Invalid enrolment code');
+    }
+    return relyingParty.generateRegistrationOptions({ userId: member.id, userName: member.id, displayName: member.name });
+  };
+
+  const enrolVerify = async ({ staffId, credential }) => {
+    const member = await requireMember(staffId);
+    const result = await relyingParty.verifyRegistration({ userId: member.id, credential });
+    if (result.verified && !member.enrolled) {
+      await staff.set(member.id, { ...member, enrolled: true, enrolmentCode: null });
+    }
+    return result;
+  };
+
+  const signInOptions = async ({ staffId }) => {
+    const member = await requireMember(staffId);
+    return relyingParty.generateAuthenticationOptions({ userId: member.id });
+  };
+
+  // -> { verified, session, token } or { verified: false, reason }
+  const signInVerify = async ({ staffId, credential }) => {
+    const member = await requireMember(staffId);
+    const result = await relyingParty.verifyAuthentication({ userId: member.id, credential });
+    if (!result.verified) return result;
+
+    const session = { staffId: member.id, name: member.name, roles: member.roles, issuedAt: now(), expiresAt: now() + sessionTtlMs };
+    const payload = bufferToBase64url(toBytes(JSON.stringify(session)));
+    return { verified: true, session, token: `${payload}.${await sign(payload)}` };
+  };
+
+  // -> the session, or null when the token is forged, expired or its member
+  // has since been removed
+  const verifySession = async (token) => {
+    const [payload, signature] = String(token || '').split('.');
+    if (!payload || !signature || !timingSafeEqual(signature, await sign(payload))) return null;
+    const session = JSON.parse(new TextDecoder().decode(base64urlToBuffer(payload)));
+    if (session.expiresAt <= now() || !await staff.get(session.staffId)) return null;
+    return session;
+  };
+
+  return {
+    enrolOptions,
+    enrolVerify,
+    signInOptions,
+    signInVerify,
+    verifySession
+  };
+};
+
@@ -0,0 +1,50 @@
+import { DEFAULT_RP_URL } from './webauthnClient.js';
+
+// Browser side of the staff console's server routes (staffApi.js). Every call
+// but fetchCurrentPolicy carries the staff session token from signInStaff and
+// the server checks it; nothing here decides who may do what. Failures throw
+// with the server's reason.
+
+const post = async (baseUrl, path, body) => {
+  const response = await fetch(`${baseUrl}${path}`, {
+    method: 'POST',
+    headers: { 'Content-Type': 'application/json' },
+    body: JSON.stringify(body)
+  });
+  const data = await response.json();
+  if (!response.ok) throw new Error(data.reason || `Server responded ${response.status}`);
+  return data;
+};
+
+// The published policy version in force, or null while the built-in default
+// applies. Every dashboard fetches it; no sign-in needed.
+export const fetchCurrentPolicy = ({ baseUrl = DEFAULT_RP_URL } = {}) => post(baseUrl, '/policy/current', {});
+
+// token: from signInStaff
+export const createStaffClient = ({ token, baseUrl = DEFAULT_RP_URL }) => {
+  const call = (path, body = {}) => post(baseUrl, path, { ...body, token });
+
+  return {
+    policies: {
+      current: () => fetchCurrentPolicy({ baseUrl }),
+      // Newest first
+      list: () => call('/policy/list'),
+      // Every monitored subscriber's logged events, to dry-run drafts against
+      events: () => call('/policy/events'),
+      publish: (policy, { note = '' } = {}) => call('/policy/publish', { policy, note }),
+      rollback: (version) => call('/policy/rollback', { version })
+    },
+    subscribers: {
+      // Highest risk first: [{ subscriber, state }]
+      list: () => call('/subscribers/list'),
+      // -> { subscriber, state, devices, locations, audit }
+      get: (id) => call('/subscribers/detail', { id }),
+      add: ({ name, email, phone }) => call('/subscribers/add', { name, email, phone }),
+      update: (id, changes) => call('/subscribers/update', { id, changes }),
+      remove: (id) => call('/subscribers/remove', { id }),
+      // services: ids, all of them when omitted
+      lock: (id, { services, reason }) => call('/subscribers/lock', { id, services, reason }),
+      unlock: (id, { reason }) => call('/subscribers/unlock', { id, reason })
+    }
+  };
+};
@@ -0,0 +1,82 @@
+// Pluggable persistence. Every adapter exposes the same async key-value API,
+// scoped to a namespace:
+//   get(key) -> value | undefined, set(key, value), delete(key), list() -> values,
+//   add(key, value) -> false without writing when the key already exists
+// Swap the IndexedDB adapter for the memory one in Node or tests, or for one
+// backed by a server API.
+
+const DB_NAME = 'cybersentrix';
+const STORE_NAME = 'kv';
+
+let dbPromise = null;
+
+const openDatabase = () => {
+  if (!dbPromise) {
+    dbPromise = new Promise((resolve, reject) => {
+      const request = indexedDB.open(DB_NAME, 1);
+      request.onupgradeneeded = () => {
+        request.result.createObjectStore(STORE_NAME);
+      };
+      request.onsuccess = () => resolve(request.result);
+      request.onerror = () => reject(request.error);
+    });
+  }
+  return dbPromise;
+};
+
+const runRequest = async (mode, operation) => {
+  const db = await openDatabase();
+  return new Promise((resolve, reject) => {
+    const transaction = db.transaction(STORE_NAME, mode);
+    const request = operation(transaction.objectStore(STORE_NAME));
+    transaction.oncomplete = () => resolve(request.result);
+    transaction.onerror = () => reject(request.error || transaction.error);
+    // Quota errors and version changes abort without a request error
+    transaction.onabort = () => reject(request.error || transaction.error || new Error('Storage transaction aborted'));
+  });
+};
+
+export const createIndexedDbStorage = ({ namespace }) => {
+  const prefix = `${namespace}:`;
+  const allKeys = () => IDBKeyRange.bound(prefix, `${prefix}\uffff`);
+
+  return {
+    get: (key) => runRequest('readonly', store => store.get(prefix + key)),
+    set: (key, value) => runRequest('readwrite', store => store.put(value, prefix + key)),
+    delete: (key) => runRequest('readwrite', store => store.delete(prefix + key)),
+    list: () => runRequest('readonly', store => store.getAll(allKeys())),
+    // store.add fails the transaction on an existing key, so the check and the
+    // write cannot interleave with another tab's
+    add: (key, value) => runRequest('readwrite', store => store.add(value, prefix + key)).then(
+      () => true,
+      error => {
+        if (error && error.name === 'ConstraintError') return false;
+        throw error;
+      }
+    )
+  };
+};
+
+export const createMemoryStorage = () => {
+  const entries = new Map();
+  // Copies keep callers from mutating stored values in place, as with IndexedDB
+  const clone = (value) => value === undefined ? value : structuredClone(value);
+
+  return {
+    get: async (key) => clone(entries.get(key)),
+    set: async (key, value) => { entries.set(key, clone(value)); },
+    delete: async (key) => { entries.delete(key); },
+    list: async () => [...entries.values()].map(clone),
+    add: async (key, value) => {
+      if (entries.has(key)) return false;
+      entries.set(key, clone(value));
+      return true;
+    }
+  };
+};
+
+// IndexedDB in the browser, memory elsewhere
+export const createDefaultStorage = (namespace) =>
+  typeof indexedDB !== 'undefined'
+    ? createIndexedDbStorage({ namespace })
+    : createMemoryStorage();
@@ -0,0 +1,246 @@
+import { createDetectionPipeline } from './detectionPipeline.js';
+import { createDeviceRegistry } from './deviceRegistry.js';
+import { createEventStore } from './eventStore.js';
+import { createLocationHistory } from './locationHistory.js';
+import { createOtpMonitor } from './otpMonitor.js';
+import { createRiskEngine } from './riskEngine.js';
+import { requireStaffRole } from './staffAuth.js';
+import { createDefaultStorage } from './storage.js';
+import { verifyWebhookSignature } from './webhooks.js';
+
+// Subscribers monitored from the analyst console in the staff console. Runs
+// in the relying-party server (rpServer.js); the console reads and acts
+// through its routes (staffApi.js). Each subscriber has its own runtime: risk
+// engine, OTP monitor, detection pipeline, event log, enrolled devices and
+// location history, stored in namespaces of its own. Their inputs arrive from
+// the bank's systems through createSubscriberInputHandler below.
+//
+// Subscriber: { id, name, email, phone, addedAt }
+// Analysts, signed in with a staff session carrying the analyst role, lock
+// and unlock on a subscriber's behalf; every such action goes to a
+// hash-chained audit log (an event store of its own) as an event of type
+// analystLock or analystUnlock with evidence
+// { subscriberId, analyst: { staffId, name }, reason, services }.
+
+const EMAIL_PATTERN = /^[^\s@]+@[^\s@]+\.[^\s@]+$/;
+
+export const createSubscriberRegistry = ({
+  storage = createDefaultStorage('subscribers'),
+  // Namespaced storage for each subscriber's runtime
+  storageFor = (namespace) => createDefaultStorage(namespace),
+  audit = createEventStore({ storage: createDefaultStorage('analystAudit') }),
+  now = () => Date.now()
+} = {}) => {
+  // Subscriber id -> { subscriber, engine, otpMonitor, pipeline, eventStore,
+  // deviceRegistry, locationHistory }
+  const entries = new Map();
+  // Latest published policy, for engines created after it
+  let config = null;
+
+  const track = (subscriber, runtime) => {
+    entries.set(subscriber.id, { ...runtime, subscriber });
+    if (config) runtime.pipeline.process('policy', { config });
+  };
+
+  const open = (subscriber) => {
+    const eventStore = createEventStore({ storage: storageFor(`eventLog:${subscriber.id}`), now });
+    const engine = createRiskEngine({ store: eventStore, now });
+    const otpMonitor = createOtpMonitor({ engine, now });
+    track(subscriber, {
+      engine,
+      otpMonitor,
+      pipeline: createDetectionPipeline({ engine, otpMonitor }),
+      eventStore,
+      deviceRegistry: createDeviceRegistry({ storage: storageFor(`devices:${subscriber.id}`), now }),
+      locationHistory: createLocationHistory({ storage: storageFor(`locations:${subscriber.id}`) })
+    });
+    return eventStore.listCurrent().then(events => {
+      if (events.length > 0) entries.get(subscriber.id).pipeline.process('restore', { events });
+    });
+  };
+
+  const validate = ({ name, email }) => {
+    if (!name || !name.trim()) throw new Error('Subscriber needs a name');
+    if (email && !EMAIL_PATTERN.test(email)) throw new Error(`Invalid email address: ${email}`);
+  };
+
+  // Reload stored subscribers, e.g. when the server starts
+  const restore = async () => {
+    const stored = await storage.list();
+    await Promise.all(stored.filter(subscriber => !entries.has(subscriber.id)).map(open));
+  };
+
+  const add = async ({ name, email = '', phone = '' }) => {
+    validate({ name, email });
+    const subscriber = { id: crypto.randomUUID(), name: name.trim(), email: email.trim(), phone: phone.trim(), addedAt: now() };
+    await storage.set(subscriber.id, subscriber);
+    await open(subscriber);
+    return subscriber;
+  };
+
+  const update = async (id, changes) => {
+    const entry = entries.get(id);
+    if (!entry) throw new Error(`Unknown subscriber: ${id}`);
+    const { name, email, phone } = { ...entry.subscriber, ...changes };
+    validate({ name, email });
+    const subscriber = { ...entry.subscriber, name: name.trim(), email: email.trim(), phone: phone.trim() };
+    await storage.set(id, subscriber);
+    entries.set(id, { ...entry, subscriber });
+    return subscriber;
+  };
+
+  // Stops monitoring; the subscriber's event log stays in storage
+  const remove = async (id) => {
+    if (!entries.has(id)) return;
+    entries.delete(id);
+    await storage.delete(id);
+  };
+
+  // -> { subscriber, engine, otpMonitor, pipeline, ... } or null
+  const get = (id) => entries.get(id) || null;
+
+  // Highest risk first: [{ subscriber, state }]
+  const list = () => [...entries.values()]
+    .map(entry => ({ subscriber: entry.subscriber, state: entry.engine.getState() }))
+    .sort((a, b) => b.state.score - a.state.score || a.subscriber.name.localeCompare(b.subscriber.name));
+
+  // Apply a published policy to every subscriber
+  const setConfig = (next) => {
+    config = next;
+    entries.forEach(entry => entry.pipeline.process('policy', { config }));
+  };
+
+  const tick = () => entries.forEach(entry => entry.pipeline.process('tick'));
+
+  const record = (type, description, subscriber, evidence) => audit.append({
+    id: crypto.randomUUID(),
+    type,
+    description,
+    severity: 'info',
+    evidence: { subscriberId: subscriber.id, subscriber: subscriber.email || subscriber.name, ...evidence },
+    detectedAt: now(),
+    timestamp: new Date(now()).toISOString()
+  });
+
+  // session: a verified staff session with the analyst role (see
+  // staffAuth.js), which names who acted. -> { entry, analyst: { staffId, name } }
+  const requireAction = (id, { session, reason }) => {
+    const { staffId, name } = requireStaffRole(session, 'analyst', now());
+    const entry = entries.get(id);
+    if (!entry) throw new Error(`Unknown subscriber: ${id}`);
+    if (!reason || !reason.trim()) throw new Error('A reason is required');
+    return { entry, analyst: { staffId, name } };
+  };
+
+  // Lock services (ids; all of them when omitted) for the subscriber.
+  // -> the services newly locked
+  const lock = async (id, { services, session, reason }) => {
+    const { entry, analyst } = requireAction(id, { session, reason });
+    const ids = services || entry.engine.getServices().map(service => service.id);
+    const locked = entry.pipeline.process('lock', { services: ids, reason: `Locked by analyst: ${reason.trim()}` });
+    await record('analystLock', `${analyst.name} locked ${locked.map(service => service.name).join(', ') || 'nothing new'}`, entry.subscriber, {
+      analyst,
+      reason: reason.trim(),
+      services: locked.map(service => service.id)
+    });
+    return locked;
+  };
+
+  // Unlocking on the subscriber's behalf counts as a completed recovery: the
+  // log is archived and every lock released
+  const unlock = async (id, { session, reason }) => {
+    const { entry, analyst } = requireAction(id, { session, reason });
+    const released = entry.engine.getServices().filter(service => service.action === 'lock').map(service => service.id);
+    entry.pipeline.process('reset');
+    await record('analystUnlock', `${analyst.name} unlocked all services`, entry.subscriber, {
+      analyst,
+      reason: reason.trim(),
+      services: released
+    });
+  };
+
+  // Newest first, optionally for one subscriber
+  const listAudit = async (subscriberId = null) => {
+    const logged = await audit.listCurrent();
+    return logged
+      .filter(entry => !subscriberId || (entry.evidence && entry.evidence.subscriberId === subscriberId))
+      .reverse();
+  };
+
+  const verifyAudit = () => audit.verify();
+
+  return {
+    restore,
+    add,
+    update,
+    remove,
+    get,
+    list,
+    setConfig,
+    tick,
+    lock,
+    unlock,
+    listAudit,
+    verifyAudit
+  };
+};
+
+// Pipeline inputs the bank's systems may send for a monitored subscriber.
+// Restores, resets, locks and policies only come from the console itself.
+export const SUBSCRIBER_INPUT_KINDS = ['fingerprint', 'location', 'zones', 'loginTime', 'timezone', 'network', 'otp', 'signal'];
+
+// Node HTTP handler feeding monitored subscribers' pipelines, e.g. from the
+// login service, the OTP gateway or a carrier's SIM swap feed. POST
+//   { id, subscriberId, kind, data }
+// signed like outgoing webhooks (X-CyberSentrix-Signature, see webhooks.js)
+// with `secret`. `data` is the pipeline input for `kind` as listed in
+// detectionPipeline.js. Deliveries are idempotent by id. rpServer.js mounts it
+// at /subscribers/inputs; pass the registry's storageFor a persistent adapter
+// so subscribers' logs outlive the process.
+export const createSubscriberInputHandler = (registry, { secret, toleranceMs = 5 * 60 * 1000, now = () => Date.now() }) => {
+  if (!secret) throw new Error('An input signing secret is required');
+  // Delivery id -> when it was applied; older than the signature tolerance
+  // they could not be replayed anyway
+  const applied = new Map();
+
+  return (req, res) => {
+    if (req.method !== 'POST') {
+      res.writeHead(405).end();
+      return;
+    }
+
+    let body = '';
+    req.on('data', chunk => { body += chunk; });
+    req.on('end', async () => {
+      const reply = (status, payload) => {
+        res.writeHead(status, { 'Content-Type': 'application/json' });
+        res.end(JSON.stringify(payload));
+      };
+
+      const result = await verifyWebhookSignature({ secret, body, header: req.headers['x-cybersentrix-signature'], toleranceMs, now: now() });
+      if (!result.verified) {
+        reply(401, { accepted: false, error: result.reason });
+        return;
+      }
+
+      try {
+        const { id, subscriberId, kind, data = {} } = JSON.parse(body);
+        if (!id) throw new Error('id is required');
+        applied.forEach((at, key) => { if (at < now() - toleranceMs) applied.delete(key); });
+        if (applied.has(id)) {
+          reply(200, { accepted: true, duplicate: true });
+          return;
+        }
+        if (!SUBSCRIBER_INPUT_KINDS.includes(kind)) throw new Error(`Input kind not accepted: ${kind}`);
+        const entry = registry.get(subscriberId);
+        if (!entry) throw new Error(`Unknown subscriber: ${subscriberId}`);
+
+        entry.pipeline.process(kind, data);
+        applied.set(id, now());
+        reply(202, { accepted: true });
+      } catch (error) {
+        reply(400, { accepted: false, error: error.message });
+      }
+    });
+  };
+};
@@ -0,0 +1,144 @@
+import { base32Decode, base32Encode, randomBytes, timingSafeEqual } from './encoding.js';
+import { createDefaultStorage } from './storage.js';
+
+// RFC 6238 time-based one-time passwords (HMAC-SHA-1, 30 second steps, 6
+// digits - the parameters every authenticator app supports) and the user's
+// enrolled authenticator.
+
+export const TOTP_DEFAULTS = {
+  period: 30,
+  digits: 6,
+  // Steps either side of now that still count, for clock skew
+  window: 1
+};
+
+const counterBytes = (counter) => {
+  const bytes = new Uint8Array(8);
+  new DataView(bytes.buffer).setBigUint64(0, BigInt(counter));
+  return bytes;
+};
+
+// RFC 4226 HOTP value for one counter
+export const generateHotp = async (secret, counter, digits = TOTP_DEFAULTS.digits) => {
+  const key = await crypto.subtle.importKey('raw', base32Decode(secret), { name: 'HMAC', hash: 'SHA-1' }, false, ['sign']);
+  const mac = new Uint8Array(await crypto.subtle.sign('HMAC', key, counterBytes(counter)));
+  const offset = mac[mac.length - 1] & 0x0f;
+  const binary = ((mac[offset] & 0x7f) << 24) | (mac[offset + 1] << 16) | (mac[offset + 2] << 8) | mac[offset + 3];
+  return String(binary % 10 ** digits).padStart(digits, '0');
+};
+
+export const totpCounter = (time, period = TOTP_DEFAULTS.period) => Math.floor(time / 1000 / period);
+
+export const generateTotp = (secret, { time = Date.now(), period, digits } = {}) =>
+  generateHotp(secret, totpCounter(time, period || TOTP_DEFAULTS.period), digits || TOTP_DEFAULTS.digits);
+
+// Returns the matching counter, or null. Callers reject counters they have
+// already accepted so an observed code cannot be replayed.
+export const verifyTotp = async (secret, code, { time = Date.now(), period, digits, window } = {}) => {
+  const options = { ...TOTP_DEFAULTS, ...(period && { period }), ...(digits && { digits }), ...(window !== undefined && { window }) };
+  const normalized = String(code).replace(/\s/g, '');
+  if (!/^\d+$/.test(normalized) || normalized.length !== options.digits) return null;
+
+  const current = totpCounter(time, options.period);
+  for (let offset = -options.window; offset <= options.window; offset++) {
+    const candidate = await generateHotp(secret, current + offset, options.digits);
+    if (timingSafeEqual(candidate, normalized)) return current + offset;
+  }
+  return null;
+};
+
+export const generateTotpSecret = (bytes = 20) => base32Encode(randomBytes(bytes));
+
+// Key URI for authenticator apps, usually shown as a QR code:
+// https://github.com/google/google-authenticator/wiki/Key-Uri-Format
+export const buildOtpauthUri = ({ secret, account, issuer = 'CyberSentrix', period = TOTP_DEFAULTS.period, digits = TOTP_DEFAULTS.digits }) => {
+  const label = `${encodeURIComponent(issuer)}:${encodeURIComponent(account)}`;
+  const params = new URLSearchParams({ secret, issuer, algorithm: 'SHA1', digits: String(digits), period: String(period) });
+  return `otpauth://totp/${label}?${params}`;
+};
+
+// The user's authenticator app. Enrolment is two-phase: begin() issues a
+// secret, confirm() activates it once the app produces a valid code. The
+// pending secret is kept apart from the enrolled one, so starting a new setup
+// never disturbs an authenticator that already works. The secret is shared
+// with the app, so unlike backup codes it cannot be hashed.
+export const createTotpFactor = ({
+  storage = createDefaultStorage('totp'),
+  issuer = 'CyberSentrix',
+  now = () => Date.now()
+} = {}) => {
+  const KEY = 'authenticator';
+  const PENDING_KEY = 'pending';
+
+  const get = async () => (await storage.get(KEY)) || null;
+
+  const isEnrolled = async () => {
+    const record = await get();
+    return !!record && record.confirmed;
+  };
+
+  // When the enrolled authenticator was confirmed, or null
+  const enrolledAt = async () => {
+    const record = await get();
+    return record && record.confirmed ? record.confirmedAt : null;
+  };
+
+  const begin = async (account) => {
+    const secret = generateTotpSecret();
+    await storage.set(PENDING_KEY, { id: crypto.randomUUID(), secret, account, createdAt: now() });
+    return { secret, uri: buildOtpauthUri({ secret, account, issuer }) };
+  };
+
+  // -> the accepted counter, or a failed result. Each time step counts once.
+  const check = async (record, code) => {
+    const counter = await verifyTotp(record.secret, code, { time: now() });
+    if (counter === null) return { verified: false, reason: 'Invalid authenticator code' };
+    if (counter <= record.lastCounter) return { verified: false, reason: 'Authenticator code already used' };
+    return { verified: true, counter };
+  };
+
+  // Swaps the pending secret in for any enrolled one
+  const confirm = async (code) => {
+    const pending = await storage.get(PENDING_KEY);
+    if (!pending) return { verified: false, reason: 'No authenticator enrolment in progress' };
+    const result = await check({ ...pending, lastCounter: -1 }, code);
+    if (!result.verified) return result;
+    await storage.set(KEY, { ...pending, confirmed: true, confirmedAt: now(), lastCounter: result.counter });
+    await storage.delete(PENDING_KEY);
+    return { verified: true };
+  };
+
+  const cancel = () => storage.delete(PENDING_KEY);
+
+  const verify = async (code) => {
+    const record = await get();
+    if (!record || !record.confirmed) return { verified: false, reason: 'No authenticator enrolled' };
+    const result = await check(record, code);
+    if (!result.verified) return result;
+    // Claim the time step before accepting it, so two submissions of the same
+    // code racing past the lastCounter check cannot both succeed
+    if (!await storage.add(`step:${record.id}:${result.counter}`, { usedAt: now() })) {
+      return { verified: false, reason: 'Authenticator code already used' };
+    }
+    const latest = await get();
+    if (latest && latest.id === record.id && result.counter > latest.lastCounter) {
+      await storage.set(KEY, { ...latest, lastCounter: result.counter });
+    }
+    return { verified: true };
+  };
+
+  const remove = async () => {
+    await storage.delete(KEY);
+    await storage.delete(PENDING_KEY);
+  };
+
+  return {
+    isEnrolled,
+    enrolledAt,
+    begin,
+    confirm,
+    cancel,
+    verify,
+    remove
+  };
+};
@@ -0,0 +1,73 @@
+import { createDefaultStorage } from './storage.js';
+import { calculateDistance } from './geo.js';
+
+// Named geofences the user trusts, e.g. home and office:
+// { id, name, latitude, longitude, radius (metres) }
+export const createZoneStore = ({ storage = createDefaultStorage('zones') } = {}) => {
+  const list = async () => (await storage.list()).sort((a, b) => a.name.localeCompare(b.name));
+
+  const add = async ({ name, latitude, longitude, radius }) => {
+    const zone = { id: crypto.randomUUID(), name, latitude, longitude, radius };
+    await storage.set(zone.id, zone);
+    return zone;
+  };
+
+  const update = async (id, changes) => {
+    const zone = await storage.get(id);
+    if (!zone) throw new Error(`Unknown zone: ${id}`);
+    const updated = { ...zone, ...changes };
+    await storage.set(id, updated);
+    return updated;
+  };
+
+  const remove = (id) => storage.delete(id);
+
+  return {
+    list,
+    add,
+    update,
+    remove
+  };
+};
+
+// Where a fix sits relative to the zones. A fix counts as inside when its
+// accuracy circle reaches the zone, so a coarse fix near home is not "away".
+// Returns { inside, zone, distanceKm } where `zone` is the containing zone or
+// the nearest one and distanceKm is the distance to that zone's edge.
+export const locateInZones = (position, zones) => {
+  let nearest = null;
+
+  zones.forEach(zone => {
+    const centre = calculateDistance(position.latitude, position.longitude, zone.latitude, zone.longitude);
+    const edge = Math.max(0, centre - (zone.radius + (position.accuracy || 0)) / 1000);
+    if (!nearest || edge < nearest.distanceKm) {
+      nearest = { zone, distanceKm: edge };
+    }
+  });
+
+  if (!nearest) return { inside: false, zone: null, distanceKm: null };
+  return { inside: nearest.distanceKm === 0, ...nearest };
+};
+
+// Graded signal for being outside every trusted zone: the magnitude grows
+// linearly with distance from the nearest zone edge, reaching 1 at fullRiskKm.
+export const detectOutsideZones = (position, zones, { fullRiskKm = 50 } = {}) => {
+  if (zones.length === 0) return null;
+
+  const { inside, zone, distanceKm } = locateInZones(position, zones);
+  if (inside) return null;
+
+  const magnitude = Math.min(1, distanceKm / fullRiskKm);
+
+  return {
+    type: 'outsideTrustedZones',
+    description: `Outside all trusted zones (${distanceKm.toFixed(1)}km from ${zone.name})`,
+    severity: magnitude >= 0.5 ? 'high' : 'medium',
+    magnitude,
+    evidence: {
+      nearestZone: zone.name,
+      distanceKm: Math.round(distanceKm * 10) / 10,
+      magnitude: `${Math.round(magnitude * 100)}%`
+    }
+  };
+};
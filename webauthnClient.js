@@ -0,0 +1,122 @@
+import { base64urlToBuffer, bufferToBase64url } from './encoding.js';
+
+// Browser side of the WebAuthn ceremonies. Options come from the relying-party
+// server and the authenticator's response goes back to it for verification;
+// nothing here decides success. Every call resolves to { verified, reason } and
+// any failure - cancelled prompt, network error, rejected response - is
+// reported as verified: false.
+
+export const DEFAULT_RP_URL = 'http://localhost:8787';
+
+const post = async (baseUrl, path, body) => {
+  const response = await fetch(`${baseUrl}${path}`, {
+    method: 'POST',
+    headers: { 'Content-Type': 'application/json' },
+    body: JSON.stringify(body)
+  });
+  const data = await response.json();
+  if (!response.ok) throw new Error(data.reason || `Relying party responded ${response.status}`);
+  return data;
+};
+
+const toDescriptors = (list = []) => list.map(descriptor => ({ ...descriptor, id: base64urlToBuffer(descriptor.id) }));
+
+export const isWebAuthnSupported = () => typeof window !== 'undefined' && !!window.PublicKeyCredential;
+
+// create() against `${path}/options` and `${path}/verify`; `identity` ({ userId }
+// or { staffId }) goes with both, `extra` with the options request only
+const createCeremony = async (baseUrl, path, identity, extra = {}) => {
+  const options = await post(baseUrl, `${path}/options`, { ...identity, ...extra });
+  const credential = await navigator.credentials.create({
+    publicKey: {
+      ...options,
+      challenge: base64urlToBuffer(options.challenge),
+      user: { ...options.user, id: base64urlToBuffer(options.user.id) },
+      excludeCredentials: toDescriptors(options.excludeCredentials)
+    }
+  });
+  if (!credential) return { verified: false, reason: 'No credential created' };
+
+  const { response } = credential;
+  return post(baseUrl, `${path}/verify`, {
+    ...identity,
+    credential: {
+      id: credential.id,
+      response: {
+        clientDataJSON: bufferToBase64url(response.clientDataJSON),
+        authenticatorData: bufferToBase64url(response.getAuthenticatorData()),
+        publicKey: bufferToBase64url(response.getPublicKey()),
+        publicKeyAlgorithm: response.getPublicKeyAlgorithm()
+      }
+    }
+  });
+};
+
+// get() against `${path}/options` and `${path}/verify`
+const getCeremony = async (baseUrl, path, identity, noPasskeyReason) => {
+  const options = await post(baseUrl, `${path}/options`, identity);
+  if (options.allowCredentials.length === 0) return { verified: false, reason: noPasskeyReason };
+
+  const credential = await navigator.credentials.get({
+    publicKey: {
+      ...options,
+      challenge: base64urlToBuffer(options.challenge),
+      allowCredentials: toDescriptors(options.allowCredentials)
+    }
+  });
+  if (!credential) return { verified: false, reason: 'No assertion returned' };
+
+  const { response } = credential;
+  return post(baseUrl, `${path}/verify`, {
+    ...identity,
+    credential: {
+      id: credential.id,
+      response: {
+        clientDataJSON: bufferToBase64url(response.clientDataJSON),
+        authenticatorData: bufferToBase64url(response.authenticatorData),
+        signature: bufferToBase64url(response.signature)
+      }
+    }
+  });
+};
+
+// Run at device enrolment: creates a platform credential bound to this device
+export const registerCredential = async ({ userId, userName, displayName = userName, baseUrl = DEFAULT_RP_URL }) => {
+  try {
+    return await createCeremony(baseUrl, '/webauthn/register', { userId }, { userName, displayName });
+  } catch (error) {
+    return { verified: false, reason: error.message };
+  }
+};
+
+// Run at recovery: proves possession of a previously registered credential,
+// one registered before `createdBefore` (epoch ms) when given
+export const authenticate = async ({ userId, createdBefore = null, baseUrl = DEFAULT_RP_URL }) => {
+  try {
+    const noPasskeyReason = createdBefore === null
+      ? 'No passkey registered - enroll this device first'
+      : 'No passkey registered before the lockdown';
+    return await getCeremony(baseUrl, '/webauthn/authenticate', { userId, createdBefore }, noPasskeyReason);
+  } catch (error) {
+    return { verified: false, reason: error.message };
+  }
+};
+
+// Admin console: registers a staff member's passkey. The first one needs the
+// enrolment code they were given; later ones a recent staff sign-in.
+export const enrolStaffPasskey = async ({ staffId, enrolmentCode, baseUrl = DEFAULT_RP_URL }) => {
+  try {
+    return await createCeremony(baseUrl, '/staff/enrol', { staffId }, { enrolmentCode });
+  } catch (error) {
+    return { verified: false, reason: error.message };
+  }
+};
+
+// Admin console sign-in. -> { verified, session, token } or { verified: false, reason }
+export const signInStaff = async ({ staffId, baseUrl = DEFAULT_RP_URL }) => {
+  try {
+    return await getCeremony(baseUrl, '/staff/signin', { staffId }, 'No passkey enrolled yet - enrol with your enrolment code first');
+  } catch (error) {
+    return { verified: false, reason: error.message };
+  }
+};
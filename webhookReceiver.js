@@ -0,0 +1,93 @@
+import http from 'node:http';
+import { verifyWebhookSignature } from './webhooks.js';
+
+// Local mock receiver for testing webhook delivery. Run with
+//   WEBHOOK_SECRET=... node webhookReceiver.js
+// and register http://localhost:8788/webhooks with the same secret. Set
+// FAIL_RATE=0.5 to reject half the deliveries and exercise the retries.
+// Verified events are logged; services are "frozen" and "released" the way a
+// core banking system would. A lock or unlock older than the last one applied
+// to the same service (by event sequence) is acknowledged but ignored, so a
+// late retry cannot undo a newer state.
+
+export const createWebhookReceiver = ({ secret, failRate = 0, log = console.log } = {}) => {
+  const seen = new Set();
+  const frozen = new Set();
+  // Service id -> sequence of the last lock or unlock applied to it
+  const applied = new Map();
+
+  return (req, res) => {
+    if (req.method !== 'POST') {
+      res.writeHead(405).end();
+      return;
+    }
+
+    let body = '';
+    req.on('data', chunk => { body += chunk; });
+    req.on('end', async () => {
+      if (Math.random() < failRate) {
+        log('✗ simulated outage, rejecting delivery');
+        res.writeHead(503).end();
+        return;
+      }
+
+      const result = await verifyWebhookSignature({ secret, body, header: req.headers['x-cybersentrix-signature'] });
+      if (!result.verified) {
+        log(`✗ rejected: ${result.reason}`);
+        res.writeHead(401, { 'Content-Type': 'application/json' });
+        res.end(JSON.stringify({ error: result.reason }));
+        return;
+      }
+
+      let event;
+      try {
+        event = JSON.parse(body);
+      } catch (error) {
+        log(`✗ rejected: malformed body (${error.message})`);
+        res.writeHead(400, { 'Content-Type': 'application/json' });
+        res.end(JSON.stringify({ error: error.message }));
+        return;
+      }
+      // Retries reuse the delivery id; acknowledge without acting twice
+      if (!seen.has(event.id)) {
+        seen.add(event.id);
+        const serviceEvent = event.type === 'service.locked' || event.type === 'service.unlocked';
+        if (serviceEvent && event.sequence <= (applied.get(event.data.id) || 0)) {
+          log(`✗ ignored stale ${event.type} for ${event.data.id}`);
+        } else {
+          if (serviceEvent) applied.set(event.data.id, event.sequence);
+          if (event.type === 'service.locked') frozen.add(event.data.id);
+          if (event.type === 'service.unlocked') frozen.delete(event.data.id);
+          log(`✓ ${event.type} ${JSON.stringify(event.data)}`);
+          log(`  frozen services: ${[...frozen].join(', ') || 'none'}`);
+        }
+      }
+
+      res.writeHead(200, { 'Content-Type': 'application/json' });
+      res.end(JSON.stringify({ received: true }));
+    });
+  };
+};
+
+if (import.meta.url === `file://${process.argv[1]}`) {
+  const port = Number(process.env.PORT) || 8788;
+  const secret = process.env.WEBHOOK_SECRET;
+  if (!secret) {
+    console.error('WEBHOOK_SECRET is required');
+    process.exit(1);
+  }
+
+  const receiver = createWebhookReceiver({ secret, failRate: Number(process.env.FAIL_RATE) || 0 });
+  http.createServer((req, res) => {
+    // The dashboard posts cross-origin from the browser
+    res.setHeader('Access-Control-Allow-Origin', '*');
+    res.setHeader('Access-Control-Allow-Headers', 'Content-Type, X-CyberSentrix-Event, X-CyberSentrix-Delivery, X-CyberSentrix-Signature');
+    if (req.method === 'OPTIONS') {
+      res.writeHead(204).end();
+      return;
+    }
+    receiver(req, res);
+  }).listen(port, () => {
+    console.log(`Mock webhook receiver listening on http://localhost:${port}/webhooks`);
+  });
+}
@@ -0,0 +1,304 @@
+import { bufferToHex, timingSafeEqual, toBytes } from './encoding.js';
+import { createDefaultStorage } from './storage.js';
+
+// Outbound webhooks so downstream systems (core banking, card processors)
+// enforce lockdowns themselves. Every notification is written to a durable
+// outbox first and delivered from there, with exponential backoff, so nothing
+// is lost while offline or while a receiver is down. Each endpoint receives
+// its events in the order they were queued: while one is waiting to be
+// retried, later ones for the same endpoint wait behind it, so a lock can never
+// overtake the unlock that followed it.
+//
+// Payload: { id, type, createdAt, sequence, data } as JSON, where sequence
+// increases with every event queued (receivers can use it to ignore anything
+// older than what they last applied), with headers
+//   X-CyberSentrix-Event:     the event type
+//   X-CyberSentrix-Delivery:  the event id (stable across retries, for dedupe)
+//   X-CyberSentrix-Signature: t=<unix ms>,v1=<hex HMAC-SHA256 of "<t>.<body>">
+
+export const WEBHOOK_EVENTS = {
+  'service.locked': 'Service locked',
+  'service.unlocked': 'Service unlocked',
+  'recovery.completed': 'Recovery completed',
+  'event.critical': 'Critical event',
+  'event.detected': 'Any detected event',
+  'alert.escalated': 'Alert escalated'
+};
+
+const hmacHex = async (secret, message) => {
+  const key = await crypto.subtle.importKey('raw', toBytes(secret), { name: 'HMAC', hash: 'SHA-256' }, false, ['sign']);
+  return bufferToHex(await crypto.subtle.sign('HMAC', key, toBytes(message)));
+};
+
+export const signPayload = async (secret, body, timestamp = Date.now()) =>
+  `t=${timestamp},v1=${await hmacHex(secret, `${timestamp}.${body}`)}`;
+
+// For receivers: checks the signature header against the raw body. Rejects
+// stale timestamps so a captured request cannot be replayed later.
+export const verifyWebhookSignature = async ({ secret, body, header, toleranceMs = 5 * 60 * 1000, now = Date.now() }) => {
+  const parts = Object.fromEntries(String(header || '').split(',').map(part => part.split('=')));
+  const timestamp = Number(parts.t);
+  if (!timestamp || !parts.v1) return { verified: false, reason: 'malformed signature header' };
+  if (Math.abs(now - timestamp) > toleranceMs) return { verified: false, reason: 'timestamp outside tolerance' };
+  const expected = await hmacHex(secret, `${timestamp}.${body}`);
+  if (!timingSafeEqual(expected, parts.v1)) return { verified: false, reason: 'signature mismatch' };
+  return { verified: true };
+};
+
+// Registered receivers: { id, url, secret, events: [type] | ['*'], createdAt }
+export const createWebhookEndpoints = ({
+  storage = createDefaultStorage('webhookEndpoints'),
+  now = () => Date.now()
+} = {}) => {
+  const list = async () => (await storage.list()).sort((a, b) => a.createdAt - b.createdAt);
+
+  const add = async ({ url, secret, events = ['*'] }) => {
+    const endpoint = { id: crypto.randomUUID(), url, secret, events, createdAt: now() };
+    await storage.set(endpoint.id, endpoint);
+    return endpoint;
+  };
+
+  const remove = (id) => storage.delete(id);
+
+  return {
+    list,
+    add,
+    remove
+  };
+};
+
+// 4xx other than timeouts and rate limiting
+const isPermanentStatus = (status) => status >= 400 && status < 500 && status !== 408 && status !== 429;
+
+const wantsEvent = (endpoint, type) => endpoint.events.includes('*') || endpoint.events.includes(type);
+
+// Outbox entries: { id, endpointId, url, event, attempts, nextAttemptAt,
+// status: pending | delivered | dead, lastError }
+export const createWebhookDispatcher = ({
+  endpoints = createWebhookEndpoints(),
+  outbox = createDefaultStorage('webhookOutbox'),
+  fetchImpl = (...args) => fetch(...args),
+  maxAttempts = 8,
+  baseDelayMs = 1000,
+  maxDelayMs = 5 * 60 * 1000,
+  // Delivered entries are kept this long for the UI, then pruned
+  retainDeliveredMs = 24 * 60 * 60 * 1000,
+  isOnline = () => typeof navigator === 'undefined' || navigator.onLine !== false,
+  now = () => Date.now(),
+  schedule = (callback, ms) => {
+    const timer = setTimeout(callback, ms);
+    return () => clearTimeout(timer);
+  }
+} = {}) => {
+  const listeners = new Set();
+  let cancelTimer = null;
+  let flushing = null;
+  let stopped = true;
+  let lastSequence = 0;
+
+  // Millisecond clock scaled up, so sequences keep increasing across reloads
+  // and still differ for events queued within the same millisecond
+  const nextSequence = () => {
+    lastSequence = Math.max(now() * 1000, lastSequence + 1);
+    return lastSequence;
+  };
+
+  const notify = async () => {
+    if (listeners.size === 0) return;
+    const entries = await list();
+    listeners.forEach(listener => listener(entries));
+  };
+
+  const list = async () => (await outbox.list()).sort((a, b) => b.event.createdAt.localeCompare(a.event.createdAt));
+
+  // Exponential backoff with jitter so recovering receivers are not stampeded
+  const backoff = (attempts) => {
+    const delay = Math.min(maxDelayMs, baseDelayMs * 2 ** (attempts - 1));
+    return Math.round(delay * (0.5 + Math.random() / 2));
+  };
+
+  const deliver = async (entry, endpoint) => {
+    const body = JSON.stringify(entry.event);
+    const response = await fetchImpl(entry.url, {
+      method: 'POST',
+      headers: {
+        'Content-Type': 'application/json',
+        'X-CyberSentrix-Event': entry.event.type,
+        'X-CyberSentrix-Delivery': entry.event.id,
+        'X-CyberSentrix-Signature': await signPayload(endpoint.secret, body, now())
+      },
+      body
+    });
+    if (!response.ok) {
+      const error = new Error(`Receiver responded ${response.status}`);
+      // The receiver refused this request as such (bad signature, unknown
+      // endpoint); sending it again would get the same answer
+      error.permanent = isPermanentStatus(response.status);
+      throw error;
+    }
+  };
+
+  // Wake up for the earliest pending retry
+  const scheduleNext = (entries) => {
+    if (cancelTimer) cancelTimer();
+    cancelTimer = null;
+    if (stopped) return;
+    const pending = entries.filter(entry => entry.status === 'pending');
+    if (pending.length === 0) return;
+    const next = Math.min(...pending.map(entry => entry.nextAttemptAt));
+    cancelTimer = schedule(() => {
+      cancelTimer = null;
+      flush();
+    }, Math.max(0, next - now()));
+  };
+
+  const runFlush = async () => {
+    const registered = new Map((await endpoints.list()).map(endpoint => [endpoint.id, endpoint]));
+    const entries = (await outbox.list()).sort((a, b) => a.event.sequence - b.event.sequence);
+    // Endpoints whose earliest pending entry is not delivered yet. Dead entries
+    // no longer hold anything back.
+    const held = new Set();
+
+    for (const entry of entries) {
+      if (entry.status === 'delivered' && entry.deliveredAt < now() - retainDeliveredMs) {
+        await outbox.delete(entry.id);
+        continue;
+      }
+      if (entry.status !== 'pending' || held.has(entry.endpointId)) continue;
+      if (entry.nextAttemptAt > now() || !isOnline()) {
+        held.add(entry.endpointId);
+        continue;
+      }
+
+      const endpoint = registered.get(entry.endpointId);
+      if (!endpoint) {
+        await outbox.set(entry.id, { ...entry, status: 'dead', lastError: 'Endpoint removed' });
+        continue;
+      }
+
+      const attempts = entry.attempts + 1;
+      try {
+        await deliver(entry, endpoint);
+        await outbox.set(entry.id, { ...entry, attempts, status: 'delivered', deliveredAt: now(), lastError: null });
+      } catch (error) {
+        const status = error.permanent || attempts >= maxAttempts ? 'dead' : 'pending';
+        if (status === 'pending') held.add(entry.endpointId);
+        await outbox.set(entry.id, {
+          ...entry,
+          attempts,
+          status,
+          nextAttemptAt: now() + backoff(attempts),
+          lastError: error.message
+        });
+      }
+    }
+
+    scheduleNext(await outbox.list());
+    await notify();
+  };
+
+  // Deliver everything that is due. Concurrent calls share one pass.
+  const flush = () => {
+    if (!flushing) {
+      flushing = runFlush().finally(() => { flushing = null; });
+    }
+    return flushing;
+  };
+
+  // Queue an event for every endpoint subscribed to its type
+  const enqueue = async (type, data) => {
+    const event = { id: crypto.randomUUID(), type, createdAt: new Date(now()).toISOString(), sequence: nextSequence(), data };
+    const targets = (await endpoints.list()).filter(endpoint => wantsEvent(endpoint, type));
+    for (const endpoint of targets) {
+      await outbox.set(`${event.id}:${endpoint.id}`, {
+        id: `${event.id}:${endpoint.id}`,
+        endpointId: endpoint.id,
+        url: endpoint.url,
+        event,
+        attempts: 0,
+        nextAttemptAt: now(),
+        status: 'pending',
+        lastError: null
+      });
+    }
+    if (targets.length > 0 && !stopped) await flush();
+    return event;
+  };
+
+  // Give a dead entry another full set of attempts
+  const retry = async (id) => {
+    const entry = await outbox.get(id);
+    if (!entry) return;
+    await outbox.set(id, { ...entry, status: 'pending', attempts: 0, nextAttemptAt: now() });
+    await flush();
+  };
+
+  const handleOnline = () => flush();
+
+  // Resume whatever the outbox still holds, e.g. after a reload
+  const start = async () => {
+    stopped = false;
+    if (typeof window !== 'undefined') window.addEventListener('online', handleOnline);
+    await flush();
+  };
+
+  const stop = () => {
+    stopped = true;
+    if (cancelTimer) cancelTimer();
+    cancelTimer = null;
+    if (typeof window !== 'undefined') window.removeEventListener('online', handleOnline);
+  };
+
+  const subscribe = (listener) => {
+    listeners.add(listener);
+    return () => listeners.delete(listener);
+  };
+
+  return {
+    enqueue,
+    flush,
+    retry,
+    list,
+    start,
+    stop,
+    subscribe
+  };
+};
+
+// Forward engine changes: service locks and unlocks, and detected events.
+// Events are queued in the order the changes happen; a failure to queue one is
+// logged, since the engine has nowhere to report it.
+export const connectEngineWebhooks = (engine, dispatcher) => engine.subscribe((state, change) => {
+  const enqueue = (type, data) => dispatcher.enqueue(type, data)
+    .catch(error => console.error(`Could not queue ${type} webhook:`, error));
+
+  const serviceData = (service) => ({
+    id: service.id,
+    name: service.name,
+    action: service.action,
+    reason: service.reason,
+    score: state.score
+  });
+
+  if (change.type === 'serviceLock') {
+    // Locks are evaluated right after each event, so the newest one caused it
+    const triggeredBy = state.events.length > 0 ? state.events[0].id : null;
+    change.services.forEach(service => enqueue('service.locked', { ...serviceData(service), triggeredBy }));
+  }
+  if (change.type === 'serviceUnlock') {
+    // Report what each service is allowed to do now, not the lock it left
+    change.services.forEach(service => enqueue(
+      'service.unlocked',
+      serviceData(state.services.find(current => current.id === service.id) || service)
+    ));
+  }
+  if (change.type === 'event') {
+    const { id, type, description, severity, evidence, timestamp, points } = change.event;
+    const data = {
+      event: { id, type, description, severity, evidence, timestamp, points },
+      score: state.score
+    };
+    enqueue('event.detected', data);
+    if (severity === 'critical') enqueue('event.critical', data);
+  }
+});
@@ -0,0 +1,50 @@
+// Collect ICE candidates from a throwaway peer connection. The server-reflexive
+// (srflx) candidates reveal the public address the STUN server saw; host
+// candidates reveal local interfaces unless the browser hides them behind mDNS.
+// No STUN server is contacted unless the caller names one in `iceServers`;
+// without one only host candidates come back.
+export const gatherIceCandidates = ({
+  iceServers = [],
+  timeoutMs = 3000
+} = {}) => new Promise((resolve) => {
+  if (typeof RTCPeerConnection === 'undefined') {
+    resolve([]);
+    return;
+  }
+
+  const candidates = [];
+  const pc = new RTCPeerConnection({ iceServers });
+
+  const finish = () => {
+    clearTimeout(timer);
+    pc.close();
+    resolve(candidates);
+  };
+  const timer = setTimeout(finish, timeoutMs);
+
+  pc.onicecandidate = (event) => {
+    if (!event.candidate) {
+      finish();
+      return;
+    }
+    const parsed = parseCandidate(event.candidate.candidate);
+    if (parsed) candidates.push(parsed);
+  };
+
+  pc.createDataChannel('probe');
+  pc.createOffer()
+    .then(offer => pc.setLocalDescription(offer))
+    .catch(finish);
+});
+
+// "candidate:<foundation> <component> <protocol> <priority> <address> <port> typ <type> ..."
+export const parseCandidate = (line) => {
+  const parts = line.replace(/^a=/, '').split(' ');
+  if (parts.length < 8 || parts[6] !== 'typ') return null;
+  return {
+    protocol: parts[2].toLowerCase(),
+    address: parts[4],
+    port: Number(parts[5]),
+    type: parts[7]
+  };
+};